@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { sendMail } = require('./mailer');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const VERIFICATION_TTL_HOURS = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS, 10) || 48;
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 60;
+
+function getAppUrl() {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/$/, '');
+}
+
+// Solo se guarda el hash del token: una filtración de la BD no permite usarlo
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Crea un token de verificación (sustituye al anterior) y envía el email en
+// el idioma indicado
+async function sendVerificationEmail(user, locale = DEFAULT_LOCALE) {
+  const token = generateToken();
+
+  await pool.query(`
+    UPDATE users
+    SET verification_token = $2,
+        verification_expires_at = NOW() + make_interval(hours => $3)
+    WHERE id = $1
+  `, [user.id, hashToken(token), VERIFICATION_TTL_HOURS]);
+
+  const url = `${getAppUrl()}/?verify=${token}`;
+  const intro = translate(locale, 'mail_verify_intro');
+  const expires = translate(locale, 'mail_verify_expires', { hours: VERIFICATION_TTL_HOURS });
+  await sendMail({
+    to: user.email,
+    subject: translate(locale, 'mail_verify_subject'),
+    text: `${intro}\n\n${url}\n\n${expires}`,
+    html: `<p>${intro}</p><p><a href="${url}">${url}</a></p><p>${expires}</p>`
+  });
+}
+
+// Marca el email como verificado. El token solo se puede usar una vez.
+// Devuelve el id del usuario o null si el token no es válido o ha caducado.
+async function confirmEmailVerification(token) {
+  const result = await pool.query(`
+    UPDATE users
+    SET email_verified = TRUE,
+        verification_token = NULL,
+        verification_expires_at = NULL,
+        updated_at = NOW()
+    WHERE verification_token = $1
+      AND verification_expires_at > NOW()
+    RETURNING id
+  `, [hashToken(token)]);
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Crea un token de restablecimiento de contraseña y envía el email en el
+// idioma indicado
+async function sendPasswordResetEmail(user, locale = DEFAULT_LOCALE) {
+  const token = generateToken();
+
+  await pool.query(`
+    UPDATE users
+    SET password_reset_token = $2,
+        password_reset_expires_at = NOW() + make_interval(mins => $3)
+    WHERE id = $1
+  `, [user.id, hashToken(token), RESET_TTL_MINUTES]);
+
+  const url = `${getAppUrl()}/?reset=${token}`;
+  const intro = translate(locale, 'mail_reset_intro');
+  const expires = translate(locale, 'mail_reset_expires', { minutes: RESET_TTL_MINUTES });
+  await sendMail({
+    to: user.email,
+    subject: translate(locale, 'mail_reset_subject'),
+    text: `${intro}\n\n${url}\n\n${expires}`,
+    html: `<p>${intro}</p><p><a href="${url}">${url}</a></p><p>${expires}</p>`
+  });
+}
+
+// Cambia la contraseña si el token es válido. Las sesiones anteriores
+// quedan invalidadas por password_changed_at y, como el enlace llegó por
+// email, la dirección queda verificada. password_changed_at se toma del
+// reloj de la aplicación, el mismo que firma los tokens (auth.signToken).
+async function confirmPasswordReset(token, passwordHash) {
+  const result = await pool.query(`
+    UPDATE users
+    SET password_hash = $2,
+        password_reset_token = NULL,
+        password_reset_expires_at = NULL,
+        password_changed_at = $3,
+        email_verified = TRUE,
+        updated_at = NOW()
+    WHERE password_reset_token = $1
+      AND password_reset_expires_at > NOW()
+    RETURNING id
+  `, [hashToken(token), passwordHash, new Date()]);
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+module.exports = {
+  sendVerificationEmail,
+  confirmEmailVerification,
+  sendPasswordResetEmail,
+  confirmPasswordReset
+};
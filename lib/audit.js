@@ -0,0 +1,107 @@
+// Registro de auditoría: todo lo que hacen los usuarios, los admins y el
+// sistema queda en activity_logs con un tipo de EVENT_TYPES. Cada evento
+// guarda la cuenta a la que se refiere (userId), quién lo hizo (actorId:
+// la propia cuenta, un admin, o nadie si fue el sistema o alguien sin
+// sesión), el objeto afectado (target), los valores antes y después del
+// cambio, y la petición que lo originó (lib/logger.js).
+//
+// Se registra con el mismo cliente que hace el cambio para que el evento
+// forme parte de la transacción: si el cambio se deshace, el evento también.
+const { pool } = require('./db');
+const logger = require('./logger');
+const repositories = require('./repositories');
+
+// Tipo -> descripción por defecto
+const EVENT_TYPES = {
+  // Cuentas y sesiones
+  user_registered: 'Cuenta creada',
+  login: 'Inicio de sesión',
+  login_failed: 'Intento de inicio de sesión fallido',
+  logout: 'Cierre de sesión',
+  email_verified: 'Email verificado',
+  password_reset: 'Contraseña restablecida',
+  consent_given: 'Consentimiento aceptado',
+  data_exported: 'Descarga de los datos personales',
+  account_erased: 'Cuenta borrada a petición del usuario',
+
+  // Encuestas
+  survey_started: 'Abrió una encuesta',
+  survey_resumed: 'Retomó una encuesta',
+  survey_abandoned: 'Abandonó una encuesta',
+  survey_completed: 'Completó una encuesta',
+  submission_flagged: 'Envío retenido para revisión por riesgo de fraude',
+  submission_cleared: 'Envío aprobado tras revisión',
+  submission_rejected: 'Envío rechazado tras revisión',
+
+  // Referidos
+  referral_signup: 'Nuevo referido registrado',
+  referral_qualified: 'Un referido completó su primera encuesta',
+
+  // Retiros y pagos
+  withdrawal_requested: 'Solicitud de retiro',
+  withdrawal_processing: 'Retiro aprobado',
+  withdrawal_completed: 'Retiro pagado',
+  withdrawal_failed: 'Retiro rechazado o fallido',
+  payout_sent: 'Pago enviado a PayPal',
+  payout_failed: 'Error enviando el pago a PayPal',
+
+  // Administración
+  role_changed: 'Rol cambiado',
+  survey_exported: 'Exportación de respuestas',
+  survey_created: 'Encuesta creada',
+  survey_updated: 'Encuesta modificada',
+  survey_deleted: 'Encuesta borrada',
+  survey_version_created: 'Borrador de encuesta creado',
+  survey_version_published: 'Versión de encuesta publicada',
+  survey_question_added: 'Pregunta añadida',
+  survey_question_updated: 'Pregunta modificada',
+  survey_question_deleted: 'Pregunta borrada',
+  survey_question_translated: 'Traducciones de una pregunta modificadas'
+};
+
+// Quién hace la petición, para pasarlo a record: { actorId, ip, userAgent }
+function fromRequest(req) {
+  return {
+    actorId: req.user ? req.user.id : null,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  };
+}
+
+// Guarda un evento. target es { type, id } (p. ej. { type: 'withdrawal',
+// id }); before y after, solo los campos que cambian. Un tipo desconocido es
+// un error de programación y lanza una excepción.
+async function record(type, {
+  userId, actorId, target, before, after, metadata, ip, userAgent, description
+} = {}, db = pool) {
+  if (!EVENT_TYPES[type]) {
+    throw new Error(`Tipo de evento de auditoría desconocido: ${type}`);
+  }
+
+  return repositories.activity.insert({
+    userId,
+    actorId,
+    type,
+    description: description || EVENT_TYPES[type],
+    targetType: target ? target.type : null,
+    targetId: target && target.id !== undefined && target.id !== null ? String(target.id) : null,
+    before,
+    after,
+    metadata,
+    ip,
+    userAgent,
+    requestId: logger.requestId()
+  }, db);
+}
+
+// Línea de tiempo del panel (filtros de repositories.activity.list)
+function timeline(filters, pagination) {
+  return repositories.activity.list(filters, pagination);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  fromRequest,
+  record,
+  timeline
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const dataStore = require('./dataStore');
+const i18n = require('./i18n');
+const { errorBody, httpError } = require('./errors');
+const logger = require('./logger');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['user', 'staff', 'admin'];
+
+// En producción el secreto es obligatorio; en desarrollo se genera uno
+// temporal (las sesiones se pierden al reiniciar el servidor)
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET es obligatorio en producción');
+  }
+  JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  logger.warn('JWT_SECRET no definido: se usa un secreto temporal');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Devuelve el error (httpError 400) o null si la contraseña es aceptable
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return httpError(400, 'password_too_short', { params: { min: MIN_PASSWORD_LENGTH } });
+  }
+  return null;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// bcrypt.compare lanza una excepción si password no es un texto
+function verifyPassword(password, hash) {
+  if (!hash || typeof password !== 'string') return Promise.resolve(false);
+  return bcrypt.compare(password, hash);
+}
+
+// Firma un token de sesión. El jti permite revocarlo en el logout. iat_ms
+// es el momento de emisión en milisegundos (iat solo tiene segundos) para
+// compararlo con el último cambio de contraseña.
+function signToken(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, iat_ms: Date.now() },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Usuario del token de la petición: { user, payload } si es válido y no está
+// revocado, { error } con el código de error si no, o null si no hay token.
+// Si el usuario ha elegido idioma, las respuestas pasan a estar en ese idioma.
+async function authenticate(req, res) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return { error: 'session_expired' };
+  }
+
+  const user = await dataStore.getStore().findSessionUser(payload.sub, payload.jti);
+
+  // Los tokens emitidos antes de un cambio de contraseña (o en el mismo
+  // instante) ya no valen. Los tokens sin iat_ms cuentan desde el principio
+  // de su segundo. password_changed_at lo escribe la aplicación, no la base de
+  // datos: así las dos fechas vienen del mismo reloj.
+  const changedAt = user && user.password_changed_at ? user.password_changed_at.getTime() : -1;
+  const issuedAt = payload.iat_ms || payload.iat * 1000;
+
+  if (!user || issuedAt <= changedAt) {
+    return { error: 'session_expired' };
+  }
+
+  delete user.password_changed_at;
+  if (i18n.isLocale(user.locale)) {
+    i18n.setLocale(req, res, user.locale);
+  }
+  return { user, payload };
+}
+
+// Middleware: exige un token válido y no revocado. Deja el usuario en
+// req.user y el payload del token en req.auth.
+async function requireAuth(req, res, next) {
+  try {
+    const session = await authenticate(req, res);
+    if (!session) {
+      return res.status(401).json(errorBody(req, 'unauthorized'));
+    }
+    if (session.error) {
+      return res.status(401).json(errorBody(req, session.error));
+    }
+
+    req.user = session.user;
+    req.auth = session.payload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware: como requireAuth, pero sin token (o con uno que ya no vale)
+// la petición sigue sin usuario
+async function optionalAuth(req, res, next) {
+  try {
+    const session = await authenticate(req, res);
+    if (session && !session.error) {
+      req.user = session.user;
+      req.auth = session.payload;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware: exige que el usuario autenticado haya verificado su email
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user || !req.user.email_verified) {
+    return res.status(403).json(errorBody(req, 'email_not_verified'));
+  }
+  next();
+}
+
+// Middleware: exige uno de los roles indicados (usar después de requireAuth)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json(errorBody(req, 'forbidden'));
+    }
+    next();
+  };
+}
+
+// Revoca el token actual hasta su fecha de caducidad
+function revokeToken(payload) {
+  return dataStore.getStore().revokeToken(payload);
+}
+
+module.exports = {
+  normalizeEmail,
+  isValidEmail,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  requireAuth,
+  optionalAuth,
+  requireVerifiedEmail,
+  requireRole,
+  revokeToken,
+  ROLES
+};
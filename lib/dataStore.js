@@ -0,0 +1,547 @@
+// Acceso a datos de las rutas públicas: sesiones, encuestas, envíos y perfil.
+// Un almacén es cualquier objeto con estos métodos (todos devuelven promesas):
+//
+//   ping()                                   -> { time }
+//   createUser({ email, passwordHash, ip, userAgent, referralCode, consent, locale })
+//                                            -> usuario | null si el email ya existe
+//   findUserByEmail(email)                   -> usuario con password_hash | null
+//   recordLogin(userId)
+//   recordEvent(type, fields)                -> evento del registro de auditoría (lib/audit.js)
+//   findSessionUser(userId, jti)             -> usuario de la sesión | null si no existe o está revocada
+//   revokeToken({ jti, sub, exp })
+//   getProfile(userId)                       -> perfil con saldo y encuestas completadas
+//   setLocale(userId, locale)                -> idioma elegido (null: el del navegador)
+//   getReferralSummary(userId)
+//   listAvailableSurveys(userId)             -> encuestas que puede responder (userId null: sin sesión)
+//   getPublishedSurvey(surveyId)             -> { version, questions } | null
+//   recordSurveyStart({ userId, surveyId, surveyVersion, ip, userAgent })
+//                                            -> { resumed, draft }: retoma el borrador vigente o crea uno;
+//                                               error si no puede responderla
+//   getDraft(userId, surveyId)               -> borrador vigente | null
+//   saveDraft({ userId, surveyId, surveyVersion, responses, lastQuestionKey })
+//                                            -> borrador
+//   discardDraft(userId, surveyId)
+//   submitSurvey({ userId, surveyId, surveyVersion, answers, consent, ip, userAgent })
+//                                            -> { responsesCount, reward, pendingReview }; borra el borrador
+//
+// Las fechas, los cupos y el público de cada encuesta se comprueban con
+// lib/surveyAvailability.js, al listar, al empezar y al enviar.
+//
+// consent es el consentimiento aceptado ({ purpose, version }, de
+// privacy.requireConsent) y se registra junto con la cuenta o el envío.
+//
+// El de PostgreSQL es el normal y se apoya en lib/repositories. El de
+// memoria solo se usa en modo demostración (DEMO_MODE=true): nada se guarda
+// ni se paga de verdad.
+const crypto = require('crypto');
+const audit = require('./audit');
+const { pool, withTransaction } = require('./db');
+const { httpError } = require('./errors');
+const logger = require('./logger');
+const surveyAvailability = require('./surveyAvailability');
+const surveyBuilder = require('./surveyBuilder');
+const ledger = require('./ledger');
+const referrals = require('./referrals');
+const fraud = require('./fraud');
+const privacy = require('./privacy');
+const surveyDrafts = require('./surveyDrafts');
+const repositories = require('./repositories');
+require('dotenv').config();
+
+function createPostgresStore() {
+  return {
+    name: 'postgres',
+    demo: false,
+
+    async ping() {
+      const result = await pool.query('SELECT NOW() as time');
+      return { time: result.rows[0].time };
+    },
+
+    // Si el código de referido generado ya existe se repite con otro
+    createUser({ email, passwordHash, ip, userAgent, referralCode, consent, locale }) {
+      return referrals.withUniqueReferralCode((code) => withTransaction(async (client) => {
+        const user = await repositories.users.insert({ email, passwordHash, ip, userAgent, referralCode: code, locale }, client);
+        if (user) {
+          await audit.record('user_registered', {
+            userId: user.id,
+            actorId: user.id,
+            target: { type: 'user', id: user.id },
+            ip,
+            userAgent,
+            metadata: referralCode ? { referralCode } : undefined
+          }, client);
+          await privacy.recordConsent(client, { userId: user.id, consent, ip, userAgent });
+        }
+
+        // Código ?ref= con el que llegó a la web
+        if (user && referralCode) {
+          await referrals.recordReferral(client, { referredUserId: user.id, code: referralCode });
+        }
+        return user;
+      }));
+    },
+
+    findUserByEmail(email) {
+      return repositories.users.findByEmail(email);
+    },
+
+    recordLogin(userId) {
+      return repositories.users.recordLogin(userId);
+    },
+
+    recordEvent(type, fields) {
+      return audit.record(type, fields);
+    },
+
+    findSessionUser(userId, jti) {
+      return repositories.users.findSessionUser(userId, jti);
+    },
+
+    revokeToken(payload) {
+      return repositories.users.revokeToken(payload);
+    },
+
+    async getProfile(userId) {
+      const profile = await repositories.users.findProfile(userId);
+      if (!profile) {
+        throw httpError(404, 'user_not_found');
+      }
+      return { ...profile, completed_surveys: await repositories.responses.listCompletedByUser(userId) };
+    },
+
+    async setLocale(userId, locale) {
+      const user = await repositories.users.updateLocale(userId, locale);
+      if (!user) {
+        throw httpError(404, 'user_not_found');
+      }
+      return user.locale;
+    },
+
+    getReferralSummary(userId) {
+      return referrals.getReferralSummary(userId);
+    },
+
+    async listAvailableSurveys(userId) {
+      const member = userId ? await repositories.users.findAudienceFacts(userId) : null;
+      const surveys = await repositories.surveys.listActive();
+      const now = new Date();
+      return surveys
+        .filter((survey) => !surveyAvailability.unavailableReason(survey, member, now))
+        .map(surveyAvailability.publicSurvey);
+    },
+
+    // Versión publicada vigente y sus preguntas
+    async getPublishedSurvey(surveyId) {
+      const version = await surveyBuilder.getPublishedVersion(surveyId);
+      if (!version) return null;
+      return { version, questions: await surveyBuilder.getQuestionsForVersion(version.id) };
+    },
+
+    async recordSurveyStart({ userId, surveyId, surveyVersion, ip, userAgent }) {
+      const [survey, member] = await Promise.all([
+        repositories.surveys.findById(surveyId),
+        repositories.users.findAudienceFacts(userId)
+      ]);
+      surveyAvailability.assertAvailable(survey, member);
+      return surveyDrafts.startDraft({ userId, surveyId, surveyVersionId: surveyVersion.id, ip, userAgent });
+    },
+
+    getDraft(userId, surveyId) {
+      return surveyDrafts.getDraft(userId, surveyId);
+    },
+
+    saveDraft({ userId, surveyId, surveyVersion, responses, lastQuestionKey }) {
+      return surveyDrafts.saveDraft({ userId, surveyId, surveyVersionId: surveyVersion.id, responses, lastQuestionKey });
+    },
+
+    async discardDraft(userId, surveyId) {
+      await surveyDrafts.discardDraft(userId, surveyId);
+    },
+
+    // Guarda un envío ya validado y paga la recompensa, todo en una
+    // transacción. Los envíos con riesgo alto se guardan, pero la recompensa
+    // espera revisión (y mientras tanto cuenta para el presupuesto).
+    async submitSurvey({ userId, surveyId, surveyVersion, answers, consent, ip, userAgent }) {
+      const assessment = await fraud.assessSubmission({ userId, surveyId, answers, ip });
+      if (assessment.signals.length > 0) {
+        logger.info('submission_risk', { userId, surveyId, score: assessment.score, signals: assessment.signals.map((item) => item.code) });
+      }
+
+      return withTransaction(async (client) => {
+        // Con la encuesta bloqueada hasta el final, los envíos simultáneos
+        // ven los cupos ya actualizados por el anterior. Se bloquea antes que
+        // cualquier usuario (el que envía y luego quien le invitó) para que
+        // todos los envíos tomen los bloqueos en el mismo orden
+        const survey = await repositories.surveys.findByIdForUpdate(surveyId, client);
+
+        // Actualizar IP y navegador del usuario autenticado
+        await repositories.users.updateConnection(userId, { ip, userAgent }, client);
+
+        if (await repositories.responses.findCompletion(userId, surveyId, client)) {
+          throw httpError(409, 'survey_completed');
+        }
+
+        const member = await repositories.users.findAudienceFacts(userId, client);
+        surveyAvailability.assertAvailable(survey, member);
+
+        await privacy.recordConsent(client, {
+          userId,
+          consent,
+          surveyId,
+          surveyVersionId: surveyVersion.id,
+          ip,
+          userAgent
+        });
+
+        // Guardar las respuestas ya validadas
+        const savedResponses = [];
+        for (const { question, answer_text, answer_options } of answers) {
+          await repositories.responses.insertAnswer({
+            userId,
+            surveyId,
+            surveyVersionId: surveyVersion.id,
+            questionId: question.id,
+            answerText: answer_text,
+            answerOptions: answer_options
+          }, client);
+
+          savedResponses.push({ questionKey: question.question_key, answer: answer_options || answer_text });
+        }
+
+        const rewardAmount = parseFloat(survey.reward_amount);
+        const underReview = assessment.review && rewardAmount > 0;
+        const description = `Recompensa por completar encuesta: ${survey.survey_key}`;
+
+        await repositories.drafts.remove(userId, surveyId, client);
+        await repositories.surveys.recordCompletion(surveyId, rewardAmount, client);
+
+        const completion = await repositories.responses.insertCompletion({
+          userId,
+          surveyId,
+          surveyVersionId: surveyVersion.id,
+          rewardPaid: !underReview
+        }, client);
+
+        await repositories.transactions.insert({
+          userId,
+          type: 'survey_reward',
+          amount: rewardAmount,
+          description,
+          referenceId: survey.survey_key,
+          status: underReview ? 'pending' : 'completed'
+        }, client);
+
+        if (underReview) {
+          await fraud.createReview(client, {
+            userId,
+            surveyId,
+            completedSurveyId: completion.id,
+            rewardAmount,
+            assessment
+          });
+        } else if (rewardAmount > 0) {
+          // Abono en el libro contable (actualiza también users.balance)
+          await ledger.credit(client, {
+            userId,
+            amount: rewardAmount,
+            kind: 'survey_reward',
+            description,
+            reference: `survey:${surveyId}`,
+            idempotencyKey: `survey_reward:${userId}:${surveyId}`
+          });
+
+          // Primera encuesta con recompensa de un referido: bono para quien le invitó
+          await referrals.qualifyReferral(client, { referredUserId: userId, surveyId });
+        }
+
+        await audit.record('survey_completed', {
+          userId,
+          actorId: userId,
+          target: { type: 'survey', id: surveyId },
+          description: `Completó encuesta: ${survey.survey_key}`,
+          ip,
+          userAgent,
+          metadata: { surveyId, responses: savedResponses, riskScore: assessment.score }
+        }, client);
+
+        return {
+          responsesCount: savedResponses.length,
+          reward: underReview ? 0 : rewardAmount,
+          pendingReview: underReview
+        };
+      });
+    }
+  };
+}
+
+// Modo demostración: usuarios, sesiones revocadas y envíos en memoria, con
+// las encuestas de seeds/default-surveys.js. Se pierde todo al reiniciar.
+function createMemoryStore({ surveys = require('../seeds/default-surveys') } = {}) {
+  const users = new Map();
+  const revoked = new Set();
+  // Borradores por `${userId}:${surveyId}`
+  const drafts = new Map();
+  const draftTtlMs = surveyDrafts.DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const startedAt = new Date();
+
+  let questionId = 0;
+  const catalog = surveys.map(({ questions, ...fields }, index) => {
+    const id = index + 1;
+    const version = { id, survey_id: id, version: 1, status: 'published', published_at: startedAt };
+    return {
+      survey: {
+        id,
+        survey_key: fields.survey_key,
+        title: fields.title,
+        description: fields.description || null,
+        reward_amount: Number(fields.reward_amount).toFixed(2),
+        translations: fields.translations || {},
+        is_active: true,
+        opens_at: fields.opens_at || null,
+        closes_at: fields.closes_at || null,
+        max_completions: fields.max_completions || null,
+        budget: fields.budget || null,
+        audience: fields.audience || null,
+        completions_count: 0,
+        budget_spent: 0
+      },
+      version,
+      questions: questions.map((question, position) => ({
+        id: ++questionId,
+        survey_id: id,
+        survey_version_id: version.id,
+        ...surveyBuilder.validateQuestion({ ...question, order_index: position + 1 })
+      }))
+    };
+  });
+
+  const findSurvey = (surveyId) => catalog.find((item) => item.survey.id === Number(surveyId));
+  // Sin referidos en la demostración
+  const audienceFacts = (user) => ({
+    email_verified: user.email_verified,
+    referred: false,
+    completed_surveys: [...user.completed.keys()].map((surveyId) => findSurvey(surveyId).survey.survey_key)
+  });
+  const publicUser = ({ id, email, referral_code, email_verified, locale }) => ({ id, email, referral_code, email_verified, locale });
+
+  return {
+    name: 'memory',
+    demo: true,
+
+    async ping() {
+      return { time: new Date() };
+    },
+
+    async createUser({ email, passwordHash, consent, locale }) {
+      if ([...users.values()].some((user) => user.email === email)) return null;
+
+      const user = {
+        id: crypto.randomUUID(),
+        email,
+        password_hash: passwordHash,
+        role: 'user',
+        referral_code: referrals.generateReferralCode(),
+        email_verified: false,
+        locale: locale || null,
+        created_at: new Date(),
+        last_login: null,
+        password_changed_at: null,
+        balance: 0,
+        completed: new Map(),
+        consents: [{ ...consent, created_at: new Date() }]
+      };
+      users.set(user.id, user);
+      return publicUser(user);
+    },
+
+    async findUserByEmail(email) {
+      const user = [...users.values()].find((item) => item.email === email);
+      return user ? { ...publicUser(user), password_hash: user.password_hash } : null;
+    },
+
+    async recordLogin(userId) {
+      const user = users.get(userId);
+      if (user) user.last_login = new Date();
+    },
+
+    // En la demostración no hay registro de auditoría
+    async recordEvent() {},
+
+    async findSessionUser(userId, jti) {
+      const user = users.get(userId);
+      if (!user || revoked.has(jti)) return null;
+      const { id, email, role, email_verified, locale, password_changed_at } = user;
+      return { id, email, role, email_verified, locale, password_changed_at };
+    },
+
+    async revokeToken({ jti }) {
+      revoked.add(jti);
+    },
+
+    async getProfile(userId) {
+      const user = users.get(userId);
+      if (!user) {
+        throw httpError(404, 'user_not_found');
+      }
+      return {
+        ...publicUser(user),
+        created_at: user.created_at,
+        last_login: user.last_login,
+        balance: user.balance.toFixed(2),
+        completed_surveys: [...user.completed.values()].map(({ survey_id, completed_at }) => ({ survey_id, completed_at }))
+      };
+    },
+
+    async setLocale(userId, locale) {
+      const user = users.get(userId);
+      if (!user) {
+        throw httpError(404, 'user_not_found');
+      }
+      user.locale = locale;
+      return locale;
+    },
+
+    async getReferralSummary(userId) {
+      const user = users.get(userId);
+      if (!user) {
+        throw httpError(404, 'user_not_found');
+      }
+      return {
+        referral_code: user.referral_code,
+        total: 0,
+        qualified: 0,
+        bonus_per_referral: referrals.REFERRAL_BONUS,
+        milestone: { referrals: referrals.MILESTONE_REFERRALS, bonus: referrals.MILESTONE_BONUS, reached: false },
+        referrals: []
+      };
+    },
+
+    async listAvailableSurveys(userId) {
+      const member = userId && users.has(userId) ? audienceFacts(users.get(userId)) : null;
+      const now = new Date();
+      return catalog
+        .filter(({ survey }) => !surveyAvailability.unavailableReason(survey, member, now))
+        .map(({ survey, version, questions }) => surveyAvailability.publicSurvey({
+          ...survey,
+          version: version.version,
+          question_count: String(questions.length)
+        }));
+    },
+
+    async getPublishedSurvey(surveyId) {
+      const item = findSurvey(surveyId);
+      return item ? { version: item.version, questions: item.questions } : null;
+    },
+
+    async recordSurveyStart({ userId, surveyId, surveyVersion }) {
+      const user = users.get(userId);
+      if (user.completed.has(surveyId)) {
+        throw httpError(409, 'survey_completed');
+      }
+      surveyAvailability.assertAvailable(findSurvey(surveyId).survey, audienceFacts(user));
+
+      const key = `${userId}:${surveyId}`;
+      const now = new Date();
+      const existing = drafts.get(key);
+      const resumed = Boolean(existing && existing.expires_at > now);
+      const draft = resumed ? existing : {
+        user_id: userId,
+        survey_id: surveyId,
+        survey_version_id: surveyVersion.id,
+        responses: {},
+        last_question_key: null,
+        started_at: now,
+        updated_at: now
+      };
+      draft.expires_at = new Date(now.getTime() + draftTtlMs);
+      drafts.set(key, draft);
+      return { resumed, draft: surveyDrafts.publicDraft(draft) };
+    },
+
+    async getDraft(userId, surveyId) {
+      const draft = drafts.get(`${userId}:${surveyId}`);
+      return draft && draft.expires_at > new Date() ? surveyDrafts.publicDraft(draft) : null;
+    },
+
+    async saveDraft({ userId, surveyId, surveyVersion, responses, lastQuestionKey }) {
+      if (users.get(userId).completed.has(surveyId)) {
+        throw httpError(409, 'survey_completed');
+      }
+
+      const key = `${userId}:${surveyId}`;
+      const now = new Date();
+      const draft = {
+        started_at: now,
+        ...drafts.get(key),
+        user_id: userId,
+        survey_id: surveyId,
+        survey_version_id: surveyVersion.id,
+        responses,
+        last_question_key: lastQuestionKey,
+        updated_at: now,
+        expires_at: new Date(now.getTime() + draftTtlMs)
+      };
+      drafts.set(key, draft);
+      return surveyDrafts.publicDraft(draft);
+    },
+
+    async discardDraft(userId, surveyId) {
+      drafts.delete(`${userId}:${surveyId}`);
+    },
+
+    async submitSurvey({ userId, surveyId, answers, consent }) {
+      const user = users.get(userId);
+      if (user.completed.has(surveyId)) {
+        throw httpError(409, 'survey_completed');
+      }
+      const { survey } = findSurvey(surveyId);
+      surveyAvailability.assertAvailable(survey, audienceFacts(user));
+      user.consents.push({ ...consent, survey_id: surveyId, created_at: new Date() });
+
+      const reward = parseFloat(survey.reward_amount);
+      survey.completions_count += 1;
+      survey.budget_spent += reward;
+      user.completed.set(surveyId, { survey_id: surveyId, completed_at: new Date(), answers });
+      drafts.delete(`${userId}:${surveyId}`);
+      user.balance += reward;
+      return { responsesCount: answers.length, reward, pendingReview: false };
+    }
+  };
+}
+
+function isDemoMode() {
+  return process.env.DEMO_MODE === 'true';
+}
+
+function createStoreFromEnv() {
+  if (!isDemoMode()) {
+    return createPostgresStore();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('DEMO_MODE no se puede usar en producción');
+  }
+  return createMemoryStore();
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createStoreFromEnv();
+  }
+  return store;
+}
+
+// Permite sustituir el almacén (por ejemplo en pruebas)
+function setStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  createPostgresStore,
+  createMemoryStore,
+  isDemoMode,
+  getStore,
+  setStore
+};
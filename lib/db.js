@@ -0,0 +1,41 @@
+const { Pool } = require('pg');
+const logger = require('./logger');
+require('dotenv').config();
+
+// Configuración de la base de datos PostgreSQL
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Un cliente inactivo que pierde la conexión (reinicio o caída de PostgreSQL)
+// emite 'error' en el pool; sin este manejador el proceso entero terminaría.
+// Las consultas siguientes fallan y se responden con 503.
+pool.on('error', (error) => {
+  logger.error('database_connection_lost', { error: error.message });
+});
+
+// Ejecuta fn(client) dentro de una transacción: COMMIT si termina bien y
+// ROLLBACK si lanza un error, devolviendo siempre el cliente al pool. Si el
+// ROLLBACK también falla (conexión perdida) el cliente se descarta en lugar
+// de volver al pool.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  let brokenConnection;
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch((rollbackError) => {
+      brokenConnection = rollbackError;
+    });
+    throw error;
+  } finally {
+    client.release(brokenConnection);
+  }
+}
+
+module.exports = { pool, withTransaction };
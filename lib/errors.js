@@ -0,0 +1,80 @@
+const { DEFAULT_LOCALE, translate, localize } = require('./i18n');
+const logger = require('./logger');
+
+// Todas las respuestas de error llevan { error, code }: code es estable para
+// que el frontend pueda distinguir los casos y error es el mensaje de ese
+// código en el idioma de la petición (lib/messages). Estos son los códigos
+// por estado HTTP para los errores que no traen uno propio.
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable'
+};
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+// Error con código HTTP para devolver directamente al cliente. code es la
+// clave del mensaje en lib/messages y params sus parámetros. details es
+// opcional (por ejemplo, errores por campo) y puede llevar mensajes de
+// i18n.message, que se traducen al responder. error.message queda en el
+// idioma de referencia para los logs.
+function httpError(status, code, { params, details } = {}) {
+  const error = new Error(translate(DEFAULT_LOCALE, code, params));
+  error.status = status;
+  error.errorCode = code;
+  error.params = params;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+// Errores de pg que indican que la base de datos no está disponible (no que
+// la consulta esté mal): sin conexión, reinicio o demasiadas conexiones
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', '57P01', '57P02', '57P03', '53300'];
+
+function isDatabaseUnavailable(error) {
+  const code = typeof error.code === 'string' ? error.code : '';
+  return CONNECTION_ERROR_CODES.includes(code) || code.startsWith('08') ||
+    /Connection terminated|timeout exceeded when trying to connect/.test(error.message || '');
+}
+
+// Cuerpo { error, code } con el mensaje en el idioma de la petición
+function errorBody(req, code, params) {
+  return { error: translate(req.locale || DEFAULT_LOCALE, code, params), code };
+}
+
+// Respuesta estándar en los catch de las rutas: los httpError se devuelven
+// con su código, la base de datos caída es un 503 y el resto se registra
+// (con fallbackMessage) y se oculta tras un mensaje genérico. Los errores
+// con estado que no son httpError (p. ej. de express.json) usan el código
+// genérico del estado.
+function sendError(res, error, fallbackMessage) {
+  const locale = res.req.locale || DEFAULT_LOCALE;
+
+  if (error.status) {
+    const body = errorBody(res.req, error.errorCode || errorCode(error.status), error.params);
+    if (error.details !== undefined) {
+      body.details = localize(error.details, locale);
+    }
+    return res.status(error.status).json(body);
+  }
+
+  logger.error(fallbackMessage, { error });
+  if (isDatabaseUnavailable(error)) {
+    res.set('Retry-After', '30');
+    return res.status(503).json(errorBody(res.req, 'database_unavailable'));
+  }
+  res.status(500).json(errorBody(res.req, 'internal_error'));
+}
+
+module.exports = { errorCode, errorBody, httpError, isDatabaseUnavailable, sendError };
@@ -0,0 +1,299 @@
+// Puntuación de riesgo de los envíos con recompensa. Cada señal suma su peso;
+// si el total llega a REVIEW_THRESHOLD el envío se guarda pero la recompensa
+// queda pendiente hasta que un admin lo revise.
+//
+//   accounts_per_ip   demasiadas cuentas usando la misma IP
+//   no_start          no consta que se abriera la encuesta antes de enviarla
+//   too_fast          enviada en menos tiempo del que lleva leer las preguntas
+//   straight_lining   misma opción en todas las preguntas de elección o filas de una matriz
+//   copy_paste        textos repetidos entre preguntas o copiados de otros usuarios
+//   referral_ring     quien le invitó comparte su IP
+const audit = require('./audit');
+const { pool, withTransaction } = require('./db');
+const { httpError } = require('./errors');
+const { createFilter } = require('./pagination');
+const ledger = require('./ledger');
+const referrals = require('./referrals');
+const repositories = require('./repositories');
+
+const REVIEW_THRESHOLD = 50;
+
+const WEIGHTS = {
+  accounts_per_ip: 40,
+  no_start: 20,
+  too_fast: 50,
+  straight_lining: 30,
+  copy_paste: 30,
+  referral_ring: 50
+};
+
+const MAX_ACCOUNTS_PER_IP = 3;
+const IP_WINDOW_DAYS = 30;
+const MIN_SECONDS_PER_ANSWER = 3;
+const MIN_STRAIGHT_LINE_ANSWERS = 4;
+const MIN_STRAIGHT_LINE_ROWS = 3;
+
+// La IP de un evento solo es de la cuenta si lo hizo ella: no cuentan los
+// inicios de sesión fallidos (los intenta cualquiera que sepa el email) ni lo
+// que hace un admin sobre la cuenta
+const OWN_IP_EVENT = "activity_type <> 'login_failed' AND (actor_id IS NULL OR actor_id = user_id)";
+const MIN_COPY_LENGTH = 20;
+
+function signal(code, message, details = {}) {
+  return { code, weight: WEIGHTS[code], message, ...details };
+}
+
+// Cuentas distintas vistas con esta IP (registro o actividad reciente)
+async function checkAccountsPerIp({ userId, ip }, db) {
+  if (!ip) return null;
+
+  const result = await db.query(`
+    SELECT COUNT(DISTINCT user_id) as accounts FROM (
+      SELECT id as user_id FROM users WHERE ip_address = $1
+      UNION
+      SELECT user_id FROM activity_logs
+      WHERE ip_address = $1 AND user_id IS NOT NULL AND ${OWN_IP_EVENT}
+        AND created_at >= NOW() - make_interval(days => $3)
+      UNION
+      SELECT $2::uuid
+    ) seen
+  `, [ip, userId, IP_WINDOW_DAYS]);
+
+  const accounts = parseInt(result.rows[0].accounts, 10);
+  return accounts > MAX_ACCOUNTS_PER_IP
+    ? signal('accounts_per_ip', `${accounts} cuentas usan la misma IP`, { accounts })
+    : null;
+}
+
+// Tiempo desde el último survey_started del usuario en esta encuesta
+async function checkCompletionTime({ userId, surveyId, answers }, db) {
+  const result = await db.query(`
+    SELECT EXTRACT(EPOCH FROM (NOW() - MAX(created_at))) as seconds
+    FROM activity_logs
+    WHERE user_id = $1 AND activity_type = 'survey_started' AND metadata->>'surveyId' = $2
+  `, [userId, String(surveyId)]);
+
+  const seconds = result.rows[0].seconds === null ? null : parseFloat(result.rows[0].seconds);
+  if (seconds === null) {
+    return signal('no_start', 'No consta el inicio de la encuesta');
+  }
+
+  const minimum = answers.length * MIN_SECONDS_PER_ANSWER;
+  return seconds < minimum
+    ? signal('too_fast', `Completada en ${Math.round(seconds)} s (mínimo ${minimum} s)`, { seconds: Math.round(seconds), minimum })
+    : null;
+}
+
+// Posición de la respuesta en una pregunta de elección única o escala
+function answerPosition({ question, answer_text: answerText }) {
+  if (['radio', 'dropdown'].includes(question.question_type)) {
+    return (question.options || []).findIndex((option) => option.value === answerText);
+  }
+  if (question.question_type === 'scale') {
+    return Number(answerText) - ((question.settings && question.settings.min) || 0);
+  }
+  return null;
+}
+
+function checkStraightLining({ answers }) {
+  const positions = answers.map(answerPosition).filter((position) => position !== null);
+  if (positions.length >= MIN_STRAIGHT_LINE_ANSWERS && new Set(positions).size === 1) {
+    return signal('straight_lining', `Misma opción en ${positions.length} preguntas`);
+  }
+
+  for (const answer of answers) {
+    if (answer.question.question_type !== 'matrix' || !answer.answer_options) continue;
+    const columns = Object.values(answer.answer_options);
+    if (columns.length >= MIN_STRAIGHT_LINE_ROWS && new Set(columns).size === 1) {
+      return signal('straight_lining', `Misma columna en todas las filas de ${answer.question.question_key}`);
+    }
+  }
+  return null;
+}
+
+async function checkCopyPaste({ userId, answers }, db) {
+  const texts = answers.filter((answer) =>
+    ['text', 'textarea'].includes(answer.question.question_type) &&
+    answer.answer_text && answer.answer_text.trim().length >= MIN_COPY_LENGTH
+  );
+  if (texts.length === 0) return null;
+
+  const normalized = texts.map((answer) => answer.answer_text.trim().toLowerCase());
+  if (new Set(normalized).size < normalized.length) {
+    return signal('copy_paste', 'El mismo texto aparece en varias preguntas');
+  }
+
+  const result = await db.query(`
+    SELECT COUNT(*) as copies
+    FROM user_survey_responses r
+    JOIN UNNEST($2::int[], $3::text[]) AS a(question_id, text) ON r.question_id = a.question_id
+    WHERE r.user_id <> $1 AND LOWER(TRIM(r.answer_text)) = a.text
+  `, [userId, texts.map((answer) => answer.question.id), normalized]);
+
+  const copies = parseInt(result.rows[0].copies, 10);
+  return copies > 0
+    ? signal('copy_paste', 'Textos idénticos a los de otros usuarios', { copies })
+    : null;
+}
+
+// Quien le invitó (o quien invitó a este) usa la misma IP
+async function checkReferralRing({ userId, ip }, db) {
+  if (!ip) return null;
+
+  const result = await db.query(`
+    WITH RECURSIVE chain AS (
+      SELECT r.referrer_id, 1 as depth FROM referrals r WHERE r.referred_user_id = $1
+      UNION
+      SELECT r.referrer_id, chain.depth + 1
+      FROM referrals r JOIN chain ON r.referred_user_id = chain.referrer_id
+      WHERE chain.depth < 2
+    )
+    SELECT chain.referrer_id FROM chain
+    WHERE EXISTS (SELECT 1 FROM users WHERE id = chain.referrer_id AND ip_address = $2)
+       OR EXISTS (
+         SELECT 1 FROM activity_logs
+         WHERE user_id = chain.referrer_id AND ip_address = $2 AND ${OWN_IP_EVENT}
+       )
+    LIMIT 1
+  `, [userId, ip]);
+
+  return result.rows.length > 0
+    ? signal('referral_ring', 'Comparte IP con quien le invitó', { referrerId: result.rows[0].referrer_id })
+    : null;
+}
+
+// Evalúa un envío ya validado. answers es lo que devuelve
+// surveyAnswers.validateSubmission. Devuelve { score, signals, review }.
+async function assessSubmission({ userId, surveyId, answers, ip }, db = pool) {
+  const context = { userId, surveyId, answers, ip };
+  const results = await Promise.all([
+    checkAccountsPerIp(context, db),
+    checkCompletionTime(context, db),
+    checkStraightLining(context),
+    checkCopyPaste(context, db),
+    checkReferralRing(context, db)
+  ]);
+
+  const signals = results.filter(Boolean);
+  const score = signals.reduce((sum, item) => sum + item.weight, 0);
+  return { score, signals, review: score >= REVIEW_THRESHOLD };
+}
+
+// Cola de revisión: el envío queda guardado y la recompensa pendiente
+async function createReview(client, { userId, surveyId, completedSurveyId, rewardAmount, assessment }) {
+  const result = await client.query(`
+    INSERT INTO submission_reviews (user_id, survey_id, completed_survey_id, risk_score, signals, reward_amount)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [userId, surveyId, completedSurveyId, assessment.score, JSON.stringify(assessment.signals), rewardAmount]);
+  const review = result.rows[0];
+
+  await audit.record('submission_flagged', {
+    userId,
+    target: { type: 'review', id: review.id },
+    after: { status: review.status },
+    metadata: { surveyId, riskScore: assessment.score, signals: assessment.signals.map((signal) => signal.code) }
+  }, client);
+
+  return review;
+}
+
+// Cola de revisión para el panel. filters: status, surveyId, userId
+async function listReviews({ status, surveyId, userId }, { limit, offset }, db = pool) {
+  const filter = createFilter();
+  filter.add('sr.status = ?', status);
+  filter.add('sr.survey_id = ?', surveyId);
+  filter.add('sr.user_id = ?', userId);
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM submission_reviews sr ${filter.where()}`, filter.params
+  );
+  const result = await db.query(`
+    SELECT sr.*, u.email, u.ip_address, s.survey_key, s.title as survey_title
+    FROM submission_reviews sr
+    JOIN users u ON sr.user_id = u.id
+    JOIN surveys s ON sr.survey_id = s.id
+    ${filter.where()}
+    ORDER BY sr.risk_score DESC, sr.created_at
+    LIMIT ${filter.next(limit)} OFFSET ${filter.next(offset)}
+  `, filter.params);
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
+
+// Resuelve una revisión pendiente. clear paga la recompensa (y el bono de
+// referido, si corresponde); reject la anula.
+async function resolveReview(reviewId, decision, { adminId, adminNotes } = {}) {
+  if (!['clear', 'reject'].includes(decision)) {
+    throw httpError(400, 'invalid_decision');
+  }
+
+  return withTransaction(async (client) => {
+    const current = await client.query(`
+      SELECT sr.*, s.survey_key
+      FROM submission_reviews sr
+      JOIN surveys s ON sr.survey_id = s.id
+      WHERE sr.id = $1
+      FOR UPDATE OF sr
+    `, [reviewId]);
+    if (current.rows.length === 0) {
+      throw httpError(404, 'review_not_found');
+    }
+
+    const review = current.rows[0];
+    if (review.status !== 'pending') {
+      throw httpError(409, 'review_resolved');
+    }
+
+    const cleared = decision === 'clear';
+    if (cleared) {
+      await ledger.credit(client, {
+        userId: review.user_id,
+        amount: review.reward_amount,
+        kind: 'survey_reward',
+        description: `Recompensa por completar encuesta: ${review.survey_key}`,
+        reference: `survey:${review.survey_id}`,
+        idempotencyKey: `survey_reward:${review.user_id}:${review.survey_id}`
+      });
+      await referrals.qualifyReferral(client, { referredUserId: review.user_id, surveyId: review.survey_id });
+      await repositories.responses.markRewardPaid(review.completed_survey_id, client);
+    } else {
+      // El envío sigue contando para max_completions, pero no para el presupuesto
+      await repositories.surveys.releaseBudget(review.survey_id, review.reward_amount, client);
+    }
+
+    await repositories.transactions.resolvePendingReward({
+      userId: review.user_id,
+      surveyKey: review.survey_key,
+      status: cleared ? 'completed' : 'cancelled'
+    }, client);
+
+    const updated = await client.query(`
+      UPDATE submission_reviews SET
+        status = $2, admin_notes = $3, reviewed_by = $4, reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [review.id, cleared ? 'cleared' : 'rejected', adminNotes || null, adminId]);
+
+    await audit.record(cleared ? 'submission_cleared' : 'submission_rejected', {
+      userId: review.user_id,
+      actorId: adminId,
+      target: { type: 'review', id: review.id },
+      before: { status: review.status },
+      after: { status: updated.rows[0].status },
+      description: `${cleared ? 'Aprobado' : 'Rechazado'} el envío de ${review.survey_key} tras revisión`,
+      metadata: { surveyId: review.survey_id }
+    }, client);
+
+    return updated.rows[0];
+  });
+}
+
+module.exports = {
+  REVIEW_THRESHOLD,
+  WEIGHTS,
+  assessSubmission,
+  createReview,
+  listReviews,
+  resolveReview
+};
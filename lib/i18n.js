@@ -0,0 +1,107 @@
+// Idiomas de la plataforma: castellano (el de siempre y el de referencia),
+// catalán e inglés. Los mensajes de la API están en lib/messages/<idioma>.js
+// con la misma clave en todos, que es el código de error estable que
+// reciben los clientes. Los textos de la web están en index.html (UI_TEXT)
+// y el contenido de las encuestas en la base de datos
+// (lib/surveyTranslations.js).
+const LOCALES = ['es', 'ca', 'en'];
+const DEFAULT_LOCALE = 'es';
+
+const MESSAGES = {
+  es: require('./messages/es'),
+  ca: require('./messages/ca'),
+  en: require('./messages/en')
+};
+
+function isLocale(value) {
+  return LOCALES.includes(value);
+}
+
+// Mejor idioma disponible para una cabecera Accept-Language, p. ej.
+// "ca-ES,ca;q=0.9,en;q=0.8" -> 'ca'. Sin coincidencias, el de referencia.
+function negotiateLocale(header) {
+  const ranges = String(header || '').split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return {
+        language: tag.trim().toLowerCase().split('-')[0],
+        quality: quality ? Number(quality[1]) : 1,
+        index
+      };
+    })
+    .filter((range) => range.language && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const match = ranges.find((range) => isLocale(range.language));
+  return match ? match.language : DEFAULT_LOCALE;
+}
+
+// Mensaje traducido con sus parámetros ({min}, {name}...). Si falta en un
+// idioma se usa el de referencia, y si tampoco existe, el propio código.
+function translate(locale, code, params = {}) {
+  const template = (MESSAGES[locale] || {})[code] ?? MESSAGES[DEFAULT_LOCALE][code];
+  if (template === undefined) {
+    return code;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Mensaje pendiente de traducir: lo que se lanza o se devuelve antes de
+// saber el idioma de la petición (p. ej. los errores por campo de details).
+// sendError lo traduce con localize.
+class Message {
+  constructor(code, params = {}) {
+    this.code = code;
+    this.params = params;
+  }
+
+  toJSON() {
+    return translate(DEFAULT_LOCALE, this.code, this.params);
+  }
+}
+
+function message(code, params) {
+  return new Message(code, params);
+}
+
+// Sustituye los Message de un valor (objetos y listas incluidos) por su texto
+function localize(value, locale) {
+  if (value instanceof Message) {
+    return translate(locale, value.code, value.params);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => localize(item, locale));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, localize(item, locale)]));
+  }
+  return value;
+}
+
+// Fija el idioma de la respuesta y deja req.t para traducir en las rutas
+function setLocale(req, res, locale) {
+  req.locale = locale;
+  req.t = (code, params) => translate(locale, code, params);
+  res.set('Content-Language', locale);
+}
+
+// Middleware: idioma según Accept-Language. requireAuth lo cambia por el
+// que haya elegido el usuario, si lo tiene.
+function localeMiddleware(req, res, next) {
+  setLocale(req, res, negotiateLocale(req.headers['accept-language']));
+  res.vary('Accept-Language');
+  next();
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  isLocale,
+  negotiateLocale,
+  translate,
+  message,
+  localize,
+  setLocale,
+  localeMiddleware
+};
@@ -0,0 +1,258 @@
+// Libro contable de doble entrada. Es la única forma de mover saldo:
+//
+//   credit   recompensa o bono:      rewards/referrals/adjustments -> user_available
+//   hold     retención de un retiro: user_available -> user_held
+//   release  devolución de la retención: user_held -> user_available
+//   settle   retiro pagado:          user_held -> payouts
+//   reversal asiento inverso de un credit, o de un settle (vuelve a user_available)
+//
+// Las funciones que escriben reciben un cliente con una transacción abierta
+// (BEGIN ya ejecutado) para que el asiento se confirme o se deshaga junto con
+// el resto de cambios de quien llama. Bloquean la fila del usuario, así que
+// dos operaciones sobre el mismo saldo nunca se cruzan.
+const { pool } = require('./db');
+const { httpError } = require('./errors');
+
+const CREDIT_SOURCES = {
+  survey_reward: 'rewards',
+  referral_bonus: 'referrals',
+  adjustment: 'adjustments'
+};
+
+function toCents(amount) {
+  const cents = Math.round(Number(amount) * 100);
+  if (!Number.isFinite(cents) || cents <= 0) {
+    throw httpError(400, 'amount_not_positive');
+  }
+  return cents;
+}
+
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+async function getBalance(userId, db = pool) {
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(amount) FILTER (WHERE account = 'user_available'), 0) as available,
+      COALESCE(SUM(amount) FILTER (WHERE account = 'user_held'), 0) as held
+    FROM ledger_entries
+    WHERE user_id = $1
+  `, [userId]);
+
+  const { available, held } = result.rows[0];
+  return { available: parseFloat(available), held: parseFloat(held) };
+}
+
+async function lockUser(client, userId) {
+  const result = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'user_not_found');
+  }
+}
+
+async function getTransaction(client, transactionId) {
+  const result = await client.query('SELECT * FROM ledger_transactions WHERE id = $1', [transactionId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'ledger_entry_not_found');
+  }
+  return result.rows[0];
+}
+
+// Escribe un asiento. legs son los apuntes en céntimos y deben sumar 0.
+// Con idempotencyKey, repetir la llamada devuelve el asiento original
+// (replayed: true) sin volver a aplicarlo.
+async function post(client, { userId, kind, cents, legs, description, reference, relatedId, idempotencyKey, check }) {
+  if (legs.reduce((sum, leg) => sum + leg.cents, 0) !== 0) {
+    throw new Error(`Asiento descuadrado (${kind})`);
+  }
+
+  await lockUser(client, userId);
+
+  if (idempotencyKey) {
+    const existing = await client.query(
+      'SELECT * FROM ledger_transactions WHERE idempotency_key = $1', [idempotencyKey]
+    );
+    if (existing.rows.length > 0) {
+      const previous = existing.rows[0];
+      if (previous.user_id !== userId || previous.kind !== kind) {
+        throw httpError(409, 'idempotency_key_reused');
+      }
+      return { ...previous, replayed: true };
+    }
+  }
+
+  if (check) {
+    await check(await getBalance(userId, client));
+  }
+
+  let transaction;
+  try {
+    const result = await client.query(`
+      INSERT INTO ledger_transactions (user_id, kind, amount, description, reference, related_id, idempotency_key)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [userId, kind, fromCents(cents), description || null, reference || null, relatedId || null, idempotencyKey || null]);
+    transaction = result.rows[0];
+  } catch (error) {
+    // Índice único de related_id: el asiento ya se liberó, liquidó o revirtió
+    if (error.code === '23505' && error.constraint === 'idx_ledger_transactions_related') {
+      throw httpError(409, 'ledger_entry_closed');
+    }
+    throw error;
+  }
+
+  for (const leg of legs) {
+    await client.query(`
+      INSERT INTO ledger_entries (transaction_id, account, user_id, amount)
+      VALUES ($1, $2, $3, $4)
+    `, [transaction.id, leg.account, leg.userId || null, fromCents(leg.cents)]);
+  }
+
+  // Copia desnormalizada del saldo disponible
+  const balance = await getBalance(userId, client);
+  await client.query('UPDATE users SET balance = $2, updated_at = NOW() WHERE id = $1', [userId, balance.available]);
+
+  return transaction;
+}
+
+// Abono al saldo disponible: kind es survey_reward, referral_bonus o adjustment
+async function credit(client, { userId, amount, kind, description, reference, idempotencyKey }) {
+  const source = CREDIT_SOURCES[kind];
+  if (!source) {
+    throw new Error(`Tipo de abono no válido: ${kind}`);
+  }
+
+  const cents = toCents(amount);
+  return post(client, {
+    userId,
+    kind,
+    cents,
+    legs: [
+      { account: source, cents: -cents },
+      { account: 'user_available', userId, cents }
+    ],
+    description,
+    reference,
+    idempotencyKey
+  });
+}
+
+// Retiene fondos del saldo disponible. Falla con 400 si no hay saldo suficiente.
+async function hold(client, { userId, amount, description, reference, idempotencyKey }) {
+  const cents = toCents(amount);
+  return post(client, {
+    userId,
+    kind: 'hold',
+    cents,
+    legs: [
+      { account: 'user_available', userId, cents: -cents },
+      { account: 'user_held', userId, cents }
+    ],
+    description,
+    reference,
+    idempotencyKey,
+    check: ({ available }) => {
+      if (Math.round(available * 100) < cents) {
+        throw httpError(400, 'insufficient_balance');
+      }
+    }
+  });
+}
+
+// Cierra una retención: release devuelve los fondos, settle los da por pagados
+async function closeHold(client, holdId, kind, { description, idempotencyKey } = {}) {
+  const held = await getTransaction(client, holdId);
+  if (held.kind !== 'hold') {
+    throw httpError(400, 'ledger_entry_not_hold');
+  }
+
+  const cents = toCents(held.amount);
+  const destination = kind === 'release'
+    ? { account: 'user_available', userId: held.user_id, cents }
+    : { account: 'payouts', cents };
+
+  return post(client, {
+    userId: held.user_id,
+    kind,
+    cents,
+    legs: [{ account: 'user_held', userId: held.user_id, cents: -cents }, destination],
+    description,
+    reference: held.reference,
+    relatedId: held.id,
+    idempotencyKey
+  });
+}
+
+const release = (client, holdId, options) => closeHold(client, holdId, 'release', options);
+const settle = (client, holdId, options) => closeHold(client, holdId, 'settle', options);
+
+// Asiento que liberó o liquidó una retención, o null si sigue abierta
+async function findClosingEntry(holdId, db = pool) {
+  const result = await db.query('SELECT * FROM ledger_transactions WHERE related_id = $1', [holdId]);
+  return result.rows[0] || null;
+}
+
+// Asiento inverso de un abono o de un retiro pagado. Puede dejar el saldo
+// disponible en negativo (por ejemplo, al anular una recompensa ya retirada).
+// Un retiro pagado que se revierte vuelve al saldo disponible, no a la
+// retención: la solicitud ya está cerrada.
+async function reverse(client, transactionId, { description, idempotencyKey } = {}) {
+  const original = await getTransaction(client, transactionId);
+  if (!CREDIT_SOURCES[original.kind] && original.kind !== 'settle') {
+    throw httpError(400, 'ledger_entry_not_reversible');
+  }
+
+  const entries = await client.query(
+    'SELECT account, user_id, amount FROM ledger_entries WHERE transaction_id = $1', [original.id]
+  );
+
+  return post(client, {
+    userId: original.user_id,
+    kind: 'reversal',
+    cents: toCents(original.amount),
+    legs: entries.rows.map((entry) => ({
+      account: entry.account === 'user_held' ? 'user_available' : entry.account,
+      userId: entry.user_id,
+      cents: -Math.round(parseFloat(entry.amount) * 100)
+    })),
+    description: description || `Reversión de ${original.kind}`,
+    reference: original.reference,
+    relatedId: original.id,
+    idempotencyKey
+  });
+}
+
+// Usuarios cuyo users.balance no coincide con el saldo disponible del libro,
+// y asientos descuadrados (no debería haber ninguno)
+async function findDrift(db = pool) {
+  const users = await db.query(`
+    SELECT u.id, u.email, u.balance,
+           COALESCE(SUM(e.amount) FILTER (WHERE e.account = 'user_available'), 0) as ledger_available,
+           COALESCE(SUM(e.amount) FILTER (WHERE e.account = 'user_held'), 0) as ledger_held
+    FROM users u
+    LEFT JOIN ledger_entries e ON e.user_id = u.id
+    GROUP BY u.id
+    HAVING COALESCE(u.balance, 0) <> COALESCE(SUM(e.amount) FILTER (WHERE e.account = 'user_available'), 0)
+    ORDER BY u.email
+  `);
+
+  const unbalanced = await db.query(`
+    SELECT t.id, t.kind, SUM(e.amount) as total
+    FROM ledger_transactions t
+    LEFT JOIN ledger_entries e ON e.transaction_id = t.id
+    GROUP BY t.id
+    HAVING COALESCE(SUM(e.amount), 0) <> 0 OR COUNT(e.id) = 0
+  `);
+
+  return { users: users.rows, unbalancedTransactions: unbalanced.rows };
+}
+
+module.exports = {
+  getBalance,
+  credit,
+  hold,
+  release,
+  settle,
+  reverse,
+  findClosingEntry,
+  findDrift
+};
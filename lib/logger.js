@@ -0,0 +1,84 @@
+// Registro de la aplicación en JSON, una línea por evento:
+//
+//   {"time":"...","level":"info","msg":"request","requestId":"...","method":"GET",...}
+//
+// Cada petición recibe un identificador (el de la cabecera X-Request-Id si
+// llega uno válido, o uno nuevo) que se devuelve en la respuesta y se añade
+// a todo lo que se registre mientras se atiende, también al registro de
+// auditoría (lib/audit.js). LOG_LEVEL fija el nivel mínimo (debug, info,
+// warn, error; por defecto info). info y debug van a la salida estándar y
+// warn y error a la de errores.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const context = new AsyncLocalStorage();
+
+function minLevel() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+// Identificador de la petición en curso, o null fuera de una petición
+function requestId() {
+  const store = context.getStore();
+  return store ? store.requestId : null;
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+function log(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const id = fields.requestId || requestId();
+  const entry = { time: new Date().toISOString(), level, msg, ...(id ? { requestId: id } : {}), ...fields };
+  const line = JSON.stringify(entry, (key, value) => (value instanceof Error ? serializeError(value) : value));
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// Middleware: asigna el identificador, lo devuelve en X-Request-Id y
+// registra la petición al terminar
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+  res.on('finish', () => {
+    log('info', 'request', {
+      requestId: id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      userId: req.user ? req.user.id : undefined,
+      ip: req.ip
+    });
+  });
+
+  context.run({ requestId: id }, next);
+}
+
+module.exports = {
+  LEVELS,
+  requestId,
+  requestLogger,
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields)
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+require('dotenv').config();
+
+// Un transporte de correo es cualquier objeto con
+// send({ to, from, subject, text, html }) que devuelve una promesa.
+
+// SMTP real mediante nodemailer
+function createSmtpTransport(options = {}) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+    secure: options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+}
+
+// Guarda cada mensaje como JSON en un directorio (pruebas locales)
+function createFileTransport(options = {}) {
+  const dir = options.dir || process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    }
+  };
+}
+
+// Muestra los mensajes por consola (desarrollo)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      logger.info('email', message);
+      return {};
+    }
+  };
+}
+
+function createTransportFromEnv() {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    default:
+      return createConsoleTransport();
+  }
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+}
+
+// Permite sustituir el transporte (por ejemplo en pruebas)
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'Ángeles Sin Alas <no-reply@angelessinalas.com>';
+  return getTransport().send({ from, to, subject, text, html });
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,132 @@
+// Missatges de l'API en català. Les claus són les de lib/messages/es.js.
+module.exports = {
+  // Genèrics, per estat HTTP
+  bad_request: 'Petició no vàlida',
+  unauthorized: 'Has d\'iniciar sessió',
+  forbidden: 'No tens permisos per fer aquesta acció',
+  not_found: 'Ruta no trobada',
+  conflict: 'L\'operació no és compatible amb l\'estat actual',
+  payload_too_large: 'La petició és massa gran',
+  rate_limited: 'Massa peticions. Torna-ho a provar més tard',
+  internal_error: 'S\'ha produït un error inesperat. Torna-ho a provar més tard',
+  bad_gateway: 'Un servei extern no ha respost correctament',
+  service_unavailable: 'El servei no està disponible en aquest moment. Torna-ho a provar més tard',
+
+  // Peticions
+  invalid_json: 'El cos de la petició no és JSON vàlid',
+  invalid_param: 'Paràmetre {name} no vàlid',
+  invalid_date_param: 'Data no vàlida a {name}',
+  database_unavailable: 'El servei no està disponible en aquest moment. Torna-ho a provar més tard',
+  demo_unavailable: 'No disponible en el mode de demostració',
+  login_rate_limited: 'Massa intents d\'inici de sessió. Torna-ho a provar més tard',
+
+  // Sessions i comptes
+  session_expired: 'Sessió no vàlida o caducada',
+  email_not_verified: 'Has de verificar el teu correu electrònic abans de continuar',
+  invalid_email: 'Correu electrònic no vàlid',
+  password_too_short: 'La contrasenya ha de tenir com a mínim {min} caràcters',
+  email_taken: 'Ja hi ha un compte amb aquest correu electrònic',
+  credentials_required: 'Cal el correu electrònic i la contrasenya',
+  invalid_credentials: 'Correu electrònic o contrasenya incorrectes',
+  email_already_verified: 'El teu correu electrònic ja està verificat',
+  token_required: 'Cal el token',
+  invalid_link: 'L\'enllaç no és vàlid o ha caducat',
+  wrong_password: 'Contrasenya incorrecta',
+  user_not_found: 'Usuari no trobat',
+  invalid_locale: 'Idioma no vàlid. Valors permesos: {locales}',
+  consent_terms_required: 'Has d\'acceptar la política de privadesa per crear el compte',
+  consent_survey_required: 'Has d\'acceptar el tractament de les teves respostes per enviar l\'enquesta',
+  open_withdrawal: 'Tens una retirada en curs. Podràs esborrar el compte quan s\'hagi completat',
+  verification_sent: 'T\'hem enviat un enllaç de verificació',
+  email_verified: 'Correu electrònic verificat correctament',
+  password_reset_requested: 'Si el correu electrònic està registrat, rebràs un enllaç per restablir la contrasenya',
+  password_updated: 'Contrasenya actualitzada. Torna a iniciar sessió.',
+  account_erased: 'Hem esborrat el teu compte i les teves dades personals',
+
+  // Correus
+  mail_verify_subject: 'Confirma el teu correu electrònic - Ángeles Sin Alas',
+  mail_verify_intro: 'Confirma la teva adreça de correu electrònic obrint aquest enllaç:',
+  mail_verify_expires: 'L\'enllaç caduca d\'aquí a {hours} hores.',
+  mail_reset_subject: 'Restableix la contrasenya - Ángeles Sin Alas',
+  mail_reset_intro: 'Per triar una contrasenya nova obre aquest enllaç:',
+  mail_reset_expires: 'L\'enllaç caduca d\'aquí a {minutes} minuts. Si no l\'has demanat, ignora aquest missatge.',
+
+  // Enquestes
+  survey_not_available: 'Enquesta no disponible',
+  survey_completed: 'Ja has completat aquesta enquesta',
+  survey_not_open: 'L\'enquesta encara no està oberta',
+  survey_closed: 'L\'enquesta ja està tancada',
+  survey_full: 'L\'enquesta ja ha arribat al màxim de participants',
+  survey_not_eligible: 'Aquesta enquesta no està disponible per al teu compte',
+  draft_not_found: 'No hi ha respostes desades',
+  invalid_responses_format: 'Format de respostes no vàlid',
+  invalid_responses: 'Hi ha respostes no vàlides',
+  empty_submission: 'L\'enquesta no té respostes',
+  survey_submitted: 'Enquesta enviada correctament',
+  survey_submitted_pending_review: 'Enquesta enviada. La recompensa està pendent de revisió',
+
+  // Errors per pregunta
+  answer_unknown_question: 'La pregunta no pertany a aquesta enquesta',
+  answer_not_reached: 'La pregunta no es mostra amb les respostes anteriors',
+  answer_required: 'Aquesta pregunta és obligatòria',
+  answer_invalid_type: 'Format de resposta no vàlid',
+  answer_invalid_option: 'Opció no vàlida',
+  answer_duplicate_option: 'Opció repetida',
+  answer_incomplete: 'Falten opcions per respondre',
+  answer_below_min: 'El valor és inferior al mínim permès',
+  answer_above_max: 'El valor és superior al màxim permès',
+  answer_invalid_step: 'El valor no respecta l\'interval permès',
+  answer_too_long: 'La resposta és massa llarga',
+
+  // Saldo i retirades
+  invalid_amount: 'Import no vàlid',
+  withdrawal_below_minimum: 'L\'import mínim de retirada és {min} EUR',
+  invalid_paypal_email: 'Correu electrònic de PayPal no vàlid',
+  invalid_idempotency_key: 'La capçalera Idempotency-Key ha de tenir entre 1 i 100 lletres, números, guions o guions baixos',
+  withdrawal_requested: 'Sol·licitud de retirada enviada. Processarem el pagament en 24-48 hores.',
+  withdrawal_not_found: 'Sol·licitud de retirada no trobada',
+  paypal_transaction_required: 'Falta l\'identificador de la transacció de PayPal',
+  invalid_withdrawal_transition: 'No es pot passar una sol·licitud de {from} a {to}',
+  payout_requires_approval: 'Només es poden enviar a PayPal retirades aprovades',
+  payout_failed: 'No s\'ha pogut enviar el pagament a PayPal; la retirada continua aprovada i es pot tornar a provar',
+  payout_in_progress: 'El pagament ja s\'ha enviat a PayPal; la retirada es tancarà amb el seu resultat',
+  invalid_webhook_signature: 'Signatura del webhook no vàlida',
+  amount_not_positive: 'L\'import ha de ser més gran que 0',
+  ledger_entry_not_found: 'Assentament no trobat',
+  idempotency_key_reused: 'La clau d\'idempotència ja s\'ha fet servir per a una altra operació',
+  ledger_entry_closed: 'L\'assentament ja s\'ha tancat o revertit',
+  insufficient_balance: 'Saldo insuficient',
+  ledger_entry_not_hold: 'L\'assentament no és una retenció',
+  ledger_entry_not_reversible: 'Només es poden revertir abonaments i retirades pagades',
+
+  // Administració
+  invalid_role: 'Rol no vàlid. Valors permesos: {roles}',
+  own_role: 'No pots canviar el teu propi rol',
+  invalid_activity_type: 'Tipus d\'esdeveniment no vàlid: {type}',
+  invalid_decision: 'Decisió no vàlida',
+  review_not_found: 'Revisió no trobada',
+  review_resolved: 'La revisió ja està resolta',
+  invalid_export_format: 'Format no vàlid. Valors permesos: {formats}',
+  invalid_crosstab: 'Creuament no vàlid: {value} (format: pregunta_fila,pregunta_columna)',
+  too_many_crosstabs: 'Com a màxim {max} creuaments per consulta',
+  crosstab_unknown_question: 'La pregunta {key} no existeix en aquesta enquesta',
+  crosstab_invalid_type: 'No es poden creuar preguntes de tipus {type} ({key})',
+
+  // Editor d'enquestes
+  survey_not_found: 'Enquesta no trobada',
+  version_not_found: 'Versió no trobada',
+  version_not_published: 'Versió no trobada o sense publicar',
+  question_not_found: 'Pregunta no trobada',
+  invalid_survey: 'Dades d\'enquesta no vàlides',
+  invalid_question: 'Pregunta no vàlida',
+  invalid_translations: 'Traduccions no vàlides',
+  version_immutable: 'La versió està publicada i no es pot modificar. Crea una versió nova.',
+  survey_key_taken: 'Ja hi ha una enquesta amb aquest survey_key',
+  no_changes: 'No hi ha canvis',
+  survey_has_published_versions: 'L\'enquesta té versions publicades. Desactiva-la en lloc d\'esborrar-la.',
+  draft_version_exists: 'Ja hi ha un esborrany (versió {version})',
+  question_key_taken: 'Ja hi ha una pregunta amb la clau {key} en aquesta versió',
+  version_already_published: 'La versió ja està publicada',
+  version_without_questions: 'No es pot publicar una versió sense preguntes',
+  invalid_survey_logic: 'La lògica condicional no és vàlida'
+};
@@ -0,0 +1,132 @@
+// API messages in English. The keys are those of lib/messages/es.js.
+module.exports = {
+  // Generic, by HTTP status
+  bad_request: 'Invalid request',
+  unauthorized: 'You need to log in',
+  forbidden: 'You are not allowed to do this',
+  not_found: 'Route not found',
+  conflict: 'The operation conflicts with the current state',
+  payload_too_large: 'The request is too large',
+  rate_limited: 'Too many requests. Please try again later',
+  internal_error: 'Something went wrong. Please try again later',
+  bad_gateway: 'An external service did not respond correctly',
+  service_unavailable: 'The service is not available right now. Please try again later',
+
+  // Requests
+  invalid_json: 'The request body is not valid JSON',
+  invalid_param: 'Invalid parameter {name}',
+  invalid_date_param: 'Invalid date in {name}',
+  database_unavailable: 'The service is not available right now. Please try again later',
+  demo_unavailable: 'Not available in demo mode',
+  login_rate_limited: 'Too many login attempts. Please try again later',
+
+  // Sessions and accounts
+  session_expired: 'Invalid or expired session',
+  email_not_verified: 'You need to verify your email before continuing',
+  invalid_email: 'Invalid email',
+  password_too_short: 'The password must be at least {min} characters long',
+  email_taken: 'An account with this email already exists',
+  credentials_required: 'Email and password are required',
+  invalid_credentials: 'Wrong email or password',
+  email_already_verified: 'Your email is already verified',
+  token_required: 'Token required',
+  invalid_link: 'The link is invalid or has expired',
+  wrong_password: 'Wrong password',
+  user_not_found: 'User not found',
+  invalid_locale: 'Invalid language. Allowed values: {locales}',
+  consent_terms_required: 'You must accept the privacy policy to create an account',
+  consent_survey_required: 'You must agree to the processing of your answers to submit the survey',
+  open_withdrawal: 'You have a withdrawal in progress. You can delete your account once it is completed',
+  verification_sent: 'We have sent you a verification link',
+  email_verified: 'Email verified',
+  password_reset_requested: 'If the email is registered, you will receive a link to reset your password',
+  password_updated: 'Password updated. Please log in again.',
+  account_erased: 'We have deleted your account and your personal data',
+
+  // Emails
+  mail_verify_subject: 'Confirm your email - Ángeles Sin Alas',
+  mail_verify_intro: 'Confirm your email address by opening this link:',
+  mail_verify_expires: 'The link expires in {hours} hours.',
+  mail_reset_subject: 'Reset your password - Ángeles Sin Alas',
+  mail_reset_intro: 'To choose a new password open this link:',
+  mail_reset_expires: 'The link expires in {minutes} minutes. If you did not ask for it, ignore this message.',
+
+  // Surveys
+  survey_not_available: 'Survey not available',
+  survey_completed: 'You have already completed this survey',
+  survey_not_open: 'The survey is not open yet',
+  survey_closed: 'The survey is closed',
+  survey_full: 'The survey has reached its maximum number of participants',
+  survey_not_eligible: 'This survey is not available for your account',
+  draft_not_found: 'There are no saved answers',
+  invalid_responses_format: 'Invalid answer format',
+  invalid_responses: 'Some answers are not valid',
+  empty_submission: 'The survey has no answers',
+  survey_submitted: 'Survey submitted',
+  survey_submitted_pending_review: 'Survey submitted. The reward is pending review',
+
+  // Per-question errors
+  answer_unknown_question: 'The question does not belong to this survey',
+  answer_not_reached: 'The question is not shown with the previous answers',
+  answer_required: 'This question is required',
+  answer_invalid_type: 'Invalid answer format',
+  answer_invalid_option: 'Invalid option',
+  answer_duplicate_option: 'Repeated option',
+  answer_incomplete: 'Some options are missing',
+  answer_below_min: 'The value is below the allowed minimum',
+  answer_above_max: 'The value is above the allowed maximum',
+  answer_invalid_step: 'The value does not match the allowed interval',
+  answer_too_long: 'The answer is too long',
+
+  // Balance and withdrawals
+  invalid_amount: 'Invalid amount',
+  withdrawal_below_minimum: 'The minimum withdrawal is {min} EUR',
+  invalid_paypal_email: 'Invalid PayPal email',
+  invalid_idempotency_key: 'The Idempotency-Key header must have 1 to 100 letters, digits, hyphens or underscores',
+  withdrawal_requested: 'Withdrawal requested. We will process your payment within 24-48 hours.',
+  withdrawal_not_found: 'Withdrawal request not found',
+  paypal_transaction_required: 'The PayPal transaction id is missing',
+  invalid_withdrawal_transition: 'A request cannot go from {from} to {to}',
+  payout_requires_approval: 'Only approved withdrawals can be sent to PayPal',
+  payout_failed: 'The payment could not be sent to PayPal; the withdrawal is still approved and can be retried',
+  payout_in_progress: 'The payment has already been sent to PayPal; the withdrawal will be closed with its result',
+  invalid_webhook_signature: 'Invalid webhook signature',
+  amount_not_positive: 'The amount must be greater than 0',
+  ledger_entry_not_found: 'Ledger entry not found',
+  idempotency_key_reused: 'The idempotency key has already been used for another operation',
+  ledger_entry_closed: 'The ledger entry has already been closed or reversed',
+  insufficient_balance: 'Insufficient balance',
+  ledger_entry_not_hold: 'The ledger entry is not a hold',
+  ledger_entry_not_reversible: 'Only credits and paid withdrawals can be reversed',
+
+  // Administration
+  invalid_role: 'Invalid role. Allowed values: {roles}',
+  own_role: 'You cannot change your own role',
+  invalid_activity_type: 'Invalid event type: {type}',
+  invalid_decision: 'Invalid decision',
+  review_not_found: 'Review not found',
+  review_resolved: 'The review is already resolved',
+  invalid_export_format: 'Invalid format. Allowed values: {formats}',
+  invalid_crosstab: 'Invalid crosstab: {value} (format: row_question,column_question)',
+  too_many_crosstabs: 'At most {max} crosstabs per request',
+  crosstab_unknown_question: 'Question {key} does not exist in this survey',
+  crosstab_invalid_type: 'Questions of type {type} cannot be crossed ({key})',
+
+  // Survey editor
+  survey_not_found: 'Survey not found',
+  version_not_found: 'Version not found',
+  version_not_published: 'Version not found or not published',
+  question_not_found: 'Question not found',
+  invalid_survey: 'Invalid survey data',
+  invalid_question: 'Invalid question',
+  invalid_translations: 'Invalid translations',
+  version_immutable: 'The version is published and cannot be changed. Create a new version.',
+  survey_key_taken: 'A survey with that survey_key already exists',
+  no_changes: 'No changes',
+  survey_has_published_versions: 'The survey has published versions. Deactivate it instead of deleting it.',
+  draft_version_exists: 'A draft already exists (version {version})',
+  question_key_taken: 'A question with key {key} already exists in this version',
+  version_already_published: 'The version is already published',
+  version_without_questions: 'A version without questions cannot be published',
+  invalid_survey_logic: 'The conditional logic is not valid'
+};
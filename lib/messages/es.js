@@ -0,0 +1,134 @@
+// Mensajes de la API en castellano, el idioma de referencia: todas las claves
+// tienen que estar aquí. La clave es el código que reciben los clientes en
+// { error, code }; los parámetros van entre llaves.
+module.exports = {
+  // Genéricos, por estado HTTP
+  bad_request: 'Petición no válida',
+  unauthorized: 'Debes iniciar sesión',
+  forbidden: 'No tienes permisos para esta acción',
+  not_found: 'Ruta no encontrada',
+  conflict: 'La operación no es compatible con el estado actual',
+  payload_too_large: 'La petición es demasiado grande',
+  rate_limited: 'Demasiadas peticiones. Inténtalo de nuevo más tarde',
+  internal_error: 'Se ha producido un error inesperado. Inténtalo de nuevo más tarde',
+  bad_gateway: 'Un servicio externo no ha respondido correctamente',
+  service_unavailable: 'El servicio no está disponible en este momento. Inténtalo de nuevo más tarde',
+
+  // Peticiones
+  invalid_json: 'El cuerpo de la petición no es JSON válido',
+  invalid_param: 'Parámetro {name} no válido',
+  invalid_date_param: 'Fecha no válida en {name}',
+  database_unavailable: 'El servicio no está disponible en este momento. Inténtalo de nuevo más tarde',
+  demo_unavailable: 'No disponible en el modo demostración',
+  login_rate_limited: 'Demasiados intentos de inicio de sesión. Inténtalo de nuevo más tarde',
+
+  // Sesiones y cuentas
+  session_expired: 'Sesión inválida o caducada',
+  email_not_verified: 'Debes verificar tu email antes de continuar',
+  invalid_email: 'Email no válido',
+  password_too_short: 'La contraseña debe tener al menos {min} caracteres',
+  email_taken: 'Ya existe una cuenta con este email',
+  credentials_required: 'Email y contraseña son requeridos',
+  invalid_credentials: 'Email o contraseña incorrectos',
+  email_already_verified: 'Tu email ya está verificado',
+  token_required: 'Token requerido',
+  invalid_link: 'El enlace no es válido o ha caducado',
+  wrong_password: 'Contraseña incorrecta',
+  user_not_found: 'Usuario no encontrado',
+  invalid_locale: 'Idioma no válido. Valores permitidos: {locales}',
+  consent_terms_required: 'Debes aceptar la política de privacidad para crear la cuenta',
+  consent_survey_required: 'Debes aceptar el tratamiento de tus respuestas para enviar la encuesta',
+  open_withdrawal: 'Tienes un retiro en curso. Podrás borrar la cuenta cuando se complete',
+  verification_sent: 'Te hemos enviado un enlace de verificación',
+  email_verified: 'Email verificado correctamente',
+  password_reset_requested: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña',
+  password_updated: 'Contraseña actualizada. Inicia sesión de nuevo.',
+  account_erased: 'Hemos borrado tu cuenta y tus datos personales',
+
+  // Emails
+  mail_verify_subject: 'Confirma tu email - Ángeles Sin Alas',
+  mail_verify_intro: 'Confirma tu dirección de email abriendo este enlace:',
+  mail_verify_expires: 'El enlace caduca en {hours} horas.',
+  mail_reset_subject: 'Restablece tu contraseña - Ángeles Sin Alas',
+  mail_reset_intro: 'Para elegir una nueva contraseña abre este enlace:',
+  mail_reset_expires: 'El enlace caduca en {minutes} minutos. Si no lo has pedido, ignora este mensaje.',
+
+  // Encuestas
+  survey_not_available: 'Encuesta no disponible',
+  survey_completed: 'Ya has completado esta encuesta',
+  survey_not_open: 'La encuesta todavía no está abierta',
+  survey_closed: 'La encuesta ya está cerrada',
+  survey_full: 'La encuesta ya ha alcanzado el máximo de participantes',
+  survey_not_eligible: 'Esta encuesta no está disponible para tu cuenta',
+  draft_not_found: 'No hay respuestas guardadas',
+  invalid_responses_format: 'Formato de respuestas no válido',
+  invalid_responses: 'Hay respuestas no válidas',
+  empty_submission: 'La encuesta no tiene respuestas',
+  survey_submitted: 'Encuesta enviada correctamente',
+  survey_submitted_pending_review: 'Encuesta enviada. La recompensa está pendiente de revisión',
+
+  // Errores por pregunta (details del envío)
+  answer_unknown_question: 'La pregunta no pertenece a esta encuesta',
+  answer_not_reached: 'La pregunta no se muestra con las respuestas anteriores',
+  answer_required: 'Esta pregunta es obligatoria',
+  answer_invalid_type: 'Formato de respuesta no válido',
+  answer_invalid_option: 'Opción no válida',
+  answer_duplicate_option: 'Opción repetida',
+  answer_incomplete: 'Faltan opciones por responder',
+  answer_below_min: 'El valor es menor que el mínimo permitido',
+  answer_above_max: 'El valor es mayor que el máximo permitido',
+  answer_invalid_step: 'El valor no respeta el intervalo permitido',
+  answer_too_long: 'La respuesta es demasiado larga',
+
+  // Saldo y retiros
+  invalid_amount: 'Importe no válido',
+  withdrawal_below_minimum: 'El monto mínimo de retiro es {min} EUR',
+  invalid_paypal_email: 'Email de PayPal no válido',
+  invalid_idempotency_key: 'La cabecera Idempotency-Key debe tener entre 1 y 100 letras, números, guiones o guiones bajos',
+  withdrawal_requested: 'Solicitud de retiro enviada. Procesaremos tu pago en 24-48 horas.',
+  withdrawal_not_found: 'Solicitud de retiro no encontrada',
+  paypal_transaction_required: 'Falta el identificador de la transacción de PayPal',
+  invalid_withdrawal_transition: 'No se puede pasar una solicitud de {from} a {to}',
+  payout_requires_approval: 'Solo se pueden enviar a PayPal retiros aprobados',
+  payout_failed: 'No se pudo enviar el pago a PayPal; el retiro sigue aprobado y se puede reintentar',
+  payout_in_progress: 'El pago ya se ha enviado a PayPal; el retiro se cerrará con su resultado',
+  invalid_webhook_signature: 'Firma del webhook no válida',
+  amount_not_positive: 'El importe debe ser mayor que 0',
+  ledger_entry_not_found: 'Asiento no encontrado',
+  idempotency_key_reused: 'La clave de idempotencia ya se ha usado para otra operación',
+  ledger_entry_closed: 'El asiento ya se ha cerrado o revertido',
+  insufficient_balance: 'Saldo insuficiente',
+  ledger_entry_not_hold: 'El asiento no es una retención',
+  ledger_entry_not_reversible: 'Solo se pueden revertir abonos y retiros pagados',
+
+  // Administración
+  invalid_role: 'Rol no válido. Valores permitidos: {roles}',
+  own_role: 'No puedes cambiar tu propio rol',
+  invalid_activity_type: 'Tipo de evento no válido: {type}',
+  invalid_decision: 'Decisión no válida',
+  review_not_found: 'Revisión no encontrada',
+  review_resolved: 'La revisión ya está resuelta',
+  invalid_export_format: 'Formato no válido. Valores permitidos: {formats}',
+  invalid_crosstab: 'Cruce no válido: {value} (formato: pregunta_fila,pregunta_columna)',
+  too_many_crosstabs: 'Como máximo {max} cruces por consulta',
+  crosstab_unknown_question: 'La pregunta {key} no existe en esta encuesta',
+  crosstab_invalid_type: 'No se pueden cruzar preguntas de tipo {type} ({key})',
+
+  // Editor de encuestas
+  survey_not_found: 'Encuesta no encontrada',
+  version_not_found: 'Versión no encontrada',
+  version_not_published: 'Versión no encontrada o sin publicar',
+  question_not_found: 'Pregunta no encontrada',
+  invalid_survey: 'Datos de encuesta no válidos',
+  invalid_question: 'Pregunta no válida',
+  invalid_translations: 'Traducciones no válidas',
+  version_immutable: 'La versión está publicada y no se puede modificar. Crea una nueva versión.',
+  survey_key_taken: 'Ya existe una encuesta con ese survey_key',
+  no_changes: 'No hay cambios',
+  survey_has_published_versions: 'La encuesta tiene versiones publicadas. Desactívala en lugar de borrarla.',
+  draft_version_exists: 'Ya existe un borrador (versión {version})',
+  question_key_taken: 'Ya existe una pregunta con la clave {key} en esta versión',
+  version_already_published: 'La versión ya está publicada',
+  version_without_questions: 'No se puede publicar una versión sin preguntas',
+  invalid_survey_logic: 'La lógica condicional no es válida'
+};
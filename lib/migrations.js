@@ -0,0 +1,234 @@
+// Migraciones del esquema. Cada migración es un par de ficheros en
+// migrations/: NNN_nombre.up.sql y NNN_nombre.down.sql. Se aplican en orden
+// de número, cada una en su propia transacción, y se anotan en
+// schema_migrations con el checksum del .up.sql: si un fichero ya aplicado
+// cambia, el runner se niega a continuar.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Paso de una base de datos creada con el antiguo schema.sql a la 001
+const LEGACY_UPGRADE = path.join(MIGRATIONS_DIR, 'legacy', 'schema_sql_to_001.sql');
+// Tablas que creaba schema.sql. survey_versions llegó con las migraciones
+const LEGACY_TABLES = [
+  'users', 'surveys', 'survey_questions', 'user_survey_responses', 'user_completed_surveys',
+  'transactions', 'referrals', 'withdrawal_requests', 'activity_logs', 'system_config'
+];
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Clave del advisory lock: dos instancias arrancando a la vez no migran a la par
+const LOCK_KEY = 731942;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// Lee las migraciones del directorio, ordenadas por versión
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      if (file.endsWith('.sql')) {
+        throw new Error(`Nombre de migración no válido: ${file} (formato: 001_nombre.up.sql)`);
+      }
+      continue;
+    }
+
+    const version = parseInt(match[1], 10);
+    const name = `${match[1]}_${match[2]}`;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Dos migraciones con la versión ${version}: ${migration.name} y ${name}`);
+    }
+
+    migration[match[3]] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up) {
+      throw new Error(`Falta ${migration.name}.up.sql`);
+    }
+    migration.checksum = checksum(migration.up);
+  }
+  return migrations;
+}
+
+// Ejecuta fn con la tabla schema_migrations creada y el advisory lock tomado
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Compara lo aplicado con los ficheros. Falla si un fichero aplicado ha
+// cambiado o ha desaparecido, o si la base de datos se creó con el antiguo
+// schema.sql y aún no tiene historial de migraciones.
+async function readState(client, migrations) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const applied = result.rows;
+
+  if (applied.length === 0) {
+    const legacy = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'users'
+      ) as exists
+    `);
+    if (legacy.rows[0].exists) {
+      throw new Error('La base de datos ya tiene tablas pero no historial de migraciones. ' +
+        'Si se creó con el antiguo schema.sql, actualízala con `npm run db:migrate -- upgrade-legacy`');
+    }
+  }
+
+  for (const row of applied) {
+    const migration = migrations.find((item) => item.version === row.version);
+    if (!migration) {
+      throw new Error(`La migración aplicada ${row.name} no existe en ${MIGRATIONS_DIR}`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`La migración ${row.name} ha cambiado desde que se aplicó (checksum distinto). ` +
+        'No edites migraciones aplicadas: crea una nueva');
+    }
+  }
+
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  return {
+    applied,
+    pending: migrations.filter((migration) => !appliedVersions.has(migration.version))
+  };
+}
+
+async function runInTransaction(client, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Migraciones aplicadas y pendientes
+async function status({ dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock((client) => readState(client, migrations));
+}
+
+// Aplica todas las migraciones pendientes. Devuelve los nombres aplicados.
+async function migrate({ dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(async (client) => {
+    const { pending } = await readState(client, migrations);
+
+    for (const migration of pending) {
+      logger.info('migration_apply', { migration: migration.name });
+      try {
+        await runInTransaction(client, migration.up, () => client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        ));
+      } catch (error) {
+        error.message = `Migración ${migration.name}: ${error.message}`;
+        throw error;
+      }
+    }
+    return pending.map((migration) => migration.name);
+  });
+}
+
+// Deshace las últimas `steps` migraciones aplicadas con sus .down.sql
+async function rollback({ steps = 1, dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(async (client) => {
+    const { applied } = await readState(client, migrations);
+    const targets = applied.slice(-steps).reverse()
+      .map((row) => migrations.find((migration) => migration.version === row.version));
+
+    const missing = targets.find((migration) => !migration.down);
+    if (missing) {
+      throw new Error(`La migración ${missing.name} no tiene ${missing.name}.down.sql`);
+    }
+
+    for (const migration of targets) {
+      logger.info('migration_rollback', { migration: migration.name });
+      try {
+        await runInTransaction(client, migration.down, () => client.query(
+          'DELETE FROM schema_migrations WHERE version = $1', [migration.version]
+        ));
+      } catch (error) {
+        error.message = `Migración ${migration.name}: ${error.message}`;
+        throw error;
+      }
+    }
+    return targets.map((migration) => migration.name);
+  });
+}
+
+// Actualiza una base de datos creada con el antiguo schema.sql: ejecuta
+// migrations/legacy/schema_sql_to_001.sql y anota la 001 como aplicada, en
+// la misma transacción. Las demás migraciones se aplican después con migrate.
+async function upgradeLegacy({ dir } = {}) {
+  const [initial] = loadMigrations(dir);
+  const sql = fs.readFileSync(LEGACY_UPGRADE, 'utf8');
+
+  return withMigrationLock(async (client) => {
+    const existing = await client.query('SELECT COUNT(*) as count FROM schema_migrations');
+    if (parseInt(existing.rows[0].count, 10) > 0) {
+      throw new Error('La base de datos ya tiene historial de migraciones');
+    }
+
+    const tables = await client.query(
+      "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name = ANY($1)",
+      [[...LEGACY_TABLES, 'survey_versions']]
+    );
+    const found = new Set(tables.rows.map((row) => row.table_name));
+    const missing = LEGACY_TABLES.filter((table) => !found.has(table));
+    if (missing.length > 0 || found.has('survey_versions')) {
+      throw new Error('La base de datos no tiene el esquema del antiguo schema.sql' +
+        (missing.length > 0 ? ` (faltan las tablas ${missing.join(', ')})` : ''));
+    }
+
+    try {
+      await runInTransaction(client, sql, () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [initial.version, initial.name, initial.checksum]
+      ));
+    } catch (error) {
+      error.message = `Actualización desde schema.sql: ${error.message}`;
+      throw error;
+    }
+    return [initial.name];
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  status,
+  migrate,
+  rollback,
+  upgradeLegacy
+};
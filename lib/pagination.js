@@ -0,0 +1,92 @@
+const { httpError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Lee ?page y ?pageSize con valores por defecto y un máximo razonable
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+function paginatedResponse(rows, total, { page, pageSize }) {
+  return {
+    data: rows,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+// Acumula condiciones WHERE con parámetros numerados. Los valores vacíos se
+// ignoran, así que se pueden pasar directamente los de req.query.
+//   const filter = createFilter();
+//   filter.add('u.role = ?', req.query.role);
+//   pool.query(`SELECT ... ${filter.where()}`, filter.params);
+function createFilter() {
+  const clauses = [];
+  const params = [];
+
+  return {
+    params,
+    add(sql, value) {
+      if (value === undefined || value === null || value === '') return;
+      params.push(value);
+      clauses.push(sql.replace(/\?/g, `$${params.length}`));
+    },
+    where() {
+      return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    },
+    // Siguiente posición libre, para añadir LIMIT/OFFSET después de los filtros
+    next(value) {
+      params.push(value);
+      return `$${params.length}`;
+    }
+  };
+}
+
+// Devuelve la fecha en ISO, undefined si no viene, o lanza un error 400
+function parseDateParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw httpError(400, 'invalid_date_param', { params: { name } });
+  }
+  return new Date(time).toISOString();
+}
+
+// Identificadores numéricos de la URL (:id, :version...)
+function parseIntParam(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw httpError(400, 'invalid_param', { params: { name } });
+  }
+  return number;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Identificadores UUID de la URL
+function parseUuidParam(value, name) {
+  if (!UUID_PATTERN.test(value)) {
+    throw httpError(400, 'invalid_param', { params: { name } });
+  }
+  return value;
+}
+
+module.exports = {
+  parsePagination,
+  paginatedResponse,
+  createFilter,
+  parseDateParam,
+  parseIntParam,
+  parseUuidParam
+};
@@ -0,0 +1,338 @@
+const audit = require('./audit');
+const { withTransaction } = require('./db');
+const { httpError } = require('./errors');
+const logger = require('./logger');
+const withdrawals = require('./withdrawals');
+const repositories = require('./repositories');
+require('dotenv').config();
+
+// Un proveedor de pagos es cualquier objeto con:
+//   send({ withdrawal }) -> { batchId, itemId, status, transactionId }
+//   verifyWebhook({ headers, event }) -> true | false
+// status es el del elemento del lote: PENDING mientras PayPal lo procesa,
+// SUCCESS si ya está pagado (entonces trae transactionId).
+
+const PAYPAL_SANDBOX_URL = 'https://api-m.sandbox.paypal.com';
+
+// PayPal Payouts (REST). Con PAYPAL_API_URL se puede apuntar a producción
+// (https://api-m.paypal.com); por defecto usa el sandbox.
+function createPaypalProvider(options = {}) {
+  const baseUrl = options.baseUrl || process.env.PAYPAL_API_URL || PAYPAL_SANDBOX_URL;
+  const clientId = options.clientId || process.env.PAYPAL_CLIENT_ID;
+  const clientSecret = options.clientSecret || process.env.PAYPAL_CLIENT_SECRET;
+  const webhookId = options.webhookId || process.env.PAYPAL_WEBHOOK_ID;
+
+  if (!clientId || !clientSecret) {
+    throw new Error('PAYPAL_CLIENT_ID y PAYPAL_CLIENT_SECRET son obligatorios para PAYOUT_PROVIDER=paypal');
+  }
+
+  let accessToken = null;
+  let tokenExpiresAt = 0;
+
+  async function request(method, endpoint, body, { retryAuth = true } = {}) {
+    if (!accessToken || Date.now() >= tokenExpiresAt) {
+      await authenticate();
+    }
+
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401 && retryAuth) {
+      accessToken = null;
+      return request(method, endpoint, body, { retryAuth: false });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`PayPal ${response.status}: ${data.name || ''} ${data.message || ''}`.trim());
+      error.paypal = data;
+      throw error;
+    }
+    return data;
+  }
+
+  async function authenticate() {
+    const response = await fetch(`${baseUrl}/v1/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`PayPal ${response.status}: no se pudo obtener el token de acceso`);
+    }
+    accessToken = data.access_token;
+    // Se renueva un minuto antes de que caduque
+    tokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+  }
+
+  return {
+    name: 'paypal',
+
+    async send({ withdrawal }) {
+      // sender_batch_id es único en PayPal: reenviar el mismo retiro no paga dos veces
+      const data = await request('POST', '/v1/payments/payouts', {
+        sender_batch_header: {
+          sender_batch_id: withdrawal.id,
+          email_subject: 'Has recibido un pago de Ángeles Sin Alas',
+          email_message: 'Gracias por participar en nuestras encuestas.'
+        },
+        items: [{
+          recipient_type: 'EMAIL',
+          receiver: withdrawal.paypal_email,
+          amount: { value: withdrawal.amount, currency: 'EUR' },
+          sender_item_id: withdrawal.id,
+          note: 'Retiro de saldo de encuestas'
+        }]
+      });
+
+      const batchId = data.batch_header.payout_batch_id;
+      const batch = await request('GET', `/v1/payments/payouts/${batchId}`);
+      const item = (batch.items || [])[0] || {};
+
+      return {
+        batchId,
+        itemId: item.payout_item_id || null,
+        status: item.transaction_status || 'PENDING',
+        transactionId: item.transaction_id || null
+      };
+    },
+
+    async verifyWebhook({ headers, event }) {
+      if (!webhookId) {
+        logger.error('webhook_rejected', { reason: 'PAYPAL_WEBHOOK_ID no configurado' });
+        return false;
+      }
+
+      const data = await request('POST', '/v1/notifications/verify-webhook-signature', {
+        auth_algo: headers['paypal-auth-algo'],
+        cert_url: headers['paypal-cert-url'],
+        transmission_id: headers['paypal-transmission-id'],
+        transmission_sig: headers['paypal-transmission-sig'],
+        transmission_time: headers['paypal-transmission-time'],
+        webhook_id: webhookId,
+        webhook_event: event
+      });
+      return data.verification_status === 'SUCCESS';
+    }
+  };
+}
+
+// Proveedor local para pruebas sin conexión. No mueve dinero: guarda los
+// pagos en memoria y responde como el sandbox. Con outcome 'success' los da
+// por pagados al momento; con 'pending' (por defecto) espera al webhook.
+// Los webhooks deben traer en la cabecera x-mock-webhook-secret el valor de
+// PAYOUT_MOCK_WEBHOOK_SECRET; sin él se rechazan todos, porque cualquiera
+// podría marcar retiros como pagados o fallidos.
+function createMockProvider(options = {}) {
+  const outcome = options.outcome || process.env.PAYOUT_MOCK_OUTCOME || 'pending';
+  const webhookSecret = options.webhookSecret || process.env.PAYOUT_MOCK_WEBHOOK_SECRET;
+  const sent = [];
+
+  return {
+    name: 'mock',
+    sent,
+
+    async send({ withdrawal }) {
+      const payout = {
+        batchId: `MOCK-BATCH-${withdrawal.id}`,
+        itemId: `MOCK-ITEM-${withdrawal.id}`,
+        status: outcome === 'success' ? 'SUCCESS' : 'PENDING',
+        transactionId: outcome === 'success' ? `MOCK-TX-${Date.now()}` : null
+      };
+      sent.push({ withdrawalId: withdrawal.id, receiver: withdrawal.paypal_email, amount: withdrawal.amount, ...payout });
+      logger.info('mock_payout', sent[sent.length - 1]);
+      return payout;
+    },
+
+    async verifyWebhook({ headers }) {
+      if (!webhookSecret) {
+        logger.warn('mock_webhook_without_secret');
+        return false;
+      }
+      return headers['x-mock-webhook-secret'] === webhookSecret;
+    }
+  };
+}
+
+function createProviderFromEnv() {
+  const provider = process.env.PAYOUT_PROVIDER ||
+    (process.env.NODE_ENV === 'production' ? 'paypal' : 'mock');
+
+  switch (provider) {
+    case 'paypal':
+      return createPaypalProvider();
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`PAYOUT_PROVIDER no válido: ${provider}`);
+  }
+}
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+// Permite sustituir el proveedor (por ejemplo en pruebas)
+function setProvider(newProvider) {
+  provider = newProvider;
+}
+
+// Envía a PayPal un retiro aprobado (processing). Si el retiro ya tiene lote
+// no se vuelve a enviar. Si PayPal lo paga al momento se marca como pagado;
+// si no, el webhook lo cerrará. adminId es quien lo envía, para el registro
+// de auditoría.
+//
+// La solicitud queda bloqueada mientras se llama a PayPal: un segundo envío
+// a la vez (aprobar y /payout, o un doble clic) espera y encuentra ya el
+// lote, y un webhook o un admin esperan a que se guarde.
+async function sendPayout(withdrawalId, { adminId } = {}) {
+  if (!withdrawals.UUID_PATTERN.test(withdrawalId)) {
+    throw httpError(404, 'withdrawal_not_found');
+  }
+
+  const { withdrawal, payout, failed } = await withTransaction(async (client) => {
+    const locked = await repositories.withdrawals.findByIdForUpdate(withdrawalId, client);
+    if (!locked) {
+      throw httpError(404, 'withdrawal_not_found');
+    }
+
+    if (locked.status !== 'processing') {
+      throw httpError(409, 'payout_requires_approval');
+    }
+    if (locked.payout_batch_id) {
+      return { withdrawal: locked, payout: null };
+    }
+
+    let sent;
+    try {
+      sent = await getProvider().send({ withdrawal: locked });
+    } catch (error) {
+      logger.error('payout_error', { withdrawalId, error });
+      await audit.record('payout_failed', {
+        userId: locked.user_id,
+        actorId: adminId,
+        target: { type: 'withdrawal', id: withdrawalId },
+        metadata: { error: error.message }
+      }, client);
+      // Sin lote: el retiro sigue aprobado y se puede reintentar
+      return { withdrawal: locked, payout: null, failed: true };
+    }
+
+    const updated = await repositories.withdrawals.setPayoutIds(withdrawalId, {
+      batchId: sent.batchId,
+      itemId: sent.itemId
+    }, client);
+
+    await audit.record('payout_sent', {
+      userId: locked.user_id,
+      actorId: adminId,
+      target: { type: 'withdrawal', id: withdrawalId },
+      after: { payout_batch_id: sent.batchId, payout_status: sent.status },
+      metadata: { amount: locked.amount }
+    }, client);
+
+    return { withdrawal: updated, payout: sent };
+  });
+
+  if (failed) {
+    throw httpError(502, 'payout_failed');
+  }
+  if (payout && payout.status === 'SUCCESS' && payout.transactionId) {
+    return withdrawals.transitionWithdrawal(withdrawalId, 'completed', {
+      paypalTransactionId: payout.transactionId,
+      adminId,
+      byProvider: true
+    });
+  }
+  return withdrawal;
+}
+
+// Eventos de PayPal sobre elementos de un lote de pagos
+const FAILED_EVENTS = [
+  'PAYMENT.PAYOUTS-ITEM.FAILED',
+  'PAYMENT.PAYOUTS-ITEM.DENIED',
+  'PAYMENT.PAYOUTS-ITEM.BLOCKED',
+  'PAYMENT.PAYOUTS-ITEM.RETURNED',
+  'PAYMENT.PAYOUTS-ITEM.CANCELED'
+];
+
+// Eventos que deshacen un pago ya hecho: llegan después de SUCCEEDED
+const REVERSAL_EVENTS = [
+  'PAYMENT.PAYOUTS-ITEM.RETURNED',
+  'PAYMENT.PAYOUTS-ITEM.REFUNDED',
+  'PAYMENT.PAYOUTS-ITEM.REVERSED'
+];
+
+function findWithdrawalForItem(resource) {
+  return repositories.withdrawals.findByPayoutItem({
+    payoutItemId: resource.payout_item_id,
+    senderItemId: resource.payout_item && resource.payout_item.sender_item_id
+  });
+}
+
+// Procesa un webhook ya verificado. Devuelve qué se hizo con él; los eventos
+// desconocidos, repetidos o sobre retiros ya cerrados se ignoran, salvo los
+// que deshacen un retiro ya pagado.
+async function handleWebhookEvent(event) {
+  const eventType = event && event.event_type;
+  const resource = (event && event.resource) || {};
+  const succeeded = eventType === 'PAYMENT.PAYOUTS-ITEM.SUCCEEDED';
+  const reversal = REVERSAL_EVENTS.includes(eventType);
+
+  if (!succeeded && !reversal && !FAILED_EVENTS.includes(eventType)) {
+    return { handled: false, reason: 'evento ignorado' };
+  }
+
+  const withdrawal = await findWithdrawalForItem(resource);
+  if (!withdrawal) {
+    return { handled: false, reason: 'retiro no encontrado' };
+  }
+  const reversePaid = reversal && withdrawal.status === 'completed';
+  if (withdrawal.status !== 'processing' && !reversePaid) {
+    return { handled: false, reason: `retiro en estado ${withdrawal.status}` };
+  }
+
+  const errorName = resource.errors && resource.errors.name;
+  const notes = `PayPal: ${resource.transaction_status || eventType}${errorName ? ` (${errorName})` : ''}`;
+  try {
+    const updated = reversePaid
+      ? await withdrawals.reversePaidWithdrawal(withdrawal.id, { adminNotes: notes })
+      : await withdrawals.transitionWithdrawal(withdrawal.id, succeeded ? 'completed' : 'failed', {
+        paypalTransactionId: resource.transaction_id,
+        adminNotes: succeeded ? null : notes,
+        byProvider: true
+      });
+    return { handled: true, withdrawal: updated };
+  } catch (error) {
+    // Otro webhook (o un admin) cerró el retiro entre medias
+    if (error.status === 409) {
+      return { handled: false, reason: error.message };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  createPaypalProvider,
+  createMockProvider,
+  getProvider,
+  setProvider,
+  sendPayout,
+  handleWebhookEvent
+};
@@ -0,0 +1,123 @@
+// Protección de datos (RGPD): consentimientos, exportación de los datos de
+// un usuario, borrado de la cuenta y retención de IPs y navegadores.
+const audit = require('./audit');
+const { withTransaction } = require('./db');
+const { httpError } = require('./errors');
+const { message } = require('./i18n');
+const logger = require('./logger');
+const ledger = require('./ledger');
+const referrals = require('./referrals');
+const repositories = require('./repositories');
+
+// Versión vigente del texto de cada consentimiento. Al cambiar un texto se
+// sube su versión: los consentimientos nuevos quedan registrados con ella.
+const CONSENT_VERSIONS = {
+  // Política de privacidad y condiciones, al crear la cuenta
+  terms: '2024-06',
+  // Tratamiento de las respuestas, que incluyen datos socioeconómicos y de
+  // salud, en cada encuesta enviada
+  survey: '2024-06'
+};
+
+// Días que se guardan IPs y navegadores (DATA_RETENTION_DAYS, 90 por defecto)
+const RETENTION_DAYS = parseInt(process.env.DATA_RETENTION_DAYS, 10) || 90;
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Comprueba que la petición trae el consentimiento ({ consent: true }) y
+// devuelve lo que hay que registrar
+function requireConsent(consent, purpose) {
+  if (consent !== true) {
+    const code = `consent_${purpose}_required`;
+    throw httpError(400, code, { details: { consent: message(code) } });
+  }
+  return { purpose, version: CONSENT_VERSIONS[purpose] };
+}
+
+async function recordConsent(client, { userId, consent, surveyId, surveyVersionId, ip, userAgent }) {
+  const record = await repositories.consents.insert({
+    userId,
+    purpose: consent.purpose,
+    version: consent.version,
+    surveyId,
+    surveyVersionId,
+    ip,
+    userAgent
+  }, client);
+
+  await audit.record('consent_given', {
+    userId,
+    actorId: userId,
+    target: { type: 'consent', id: record.id },
+    after: { purpose: consent.purpose, version: consent.version },
+    metadata: surveyId ? { surveyId, surveyVersionId } : undefined,
+    ip,
+    userAgent
+  }, client);
+
+  return record;
+}
+
+// Copia de todos los datos del usuario (GET /api/me/export)
+async function exportUserData(userId) {
+  const data = await repositories.privacy.collectUserData(userId);
+  if (!data) {
+    throw httpError(404, 'user_not_found');
+  }
+
+  const summary = await referrals.getReferralSummary(userId);
+  return {
+    exported_at: new Date().toISOString(),
+    ...data,
+    balance: await ledger.getBalance(userId),
+    consents: await repositories.consents.listForUser(userId),
+    referrals: summary.referrals
+  };
+}
+
+// Borra la cuenta a petición del usuario. Los datos personales se eliminan o
+// se anonimizan, pero los asientos del libro contable se conservan. No se
+// puede mientras haya un retiro sin cerrar.
+async function eraseUser(userId) {
+  return withTransaction(async (client) => {
+    if (!await repositories.users.lockForUpdate(userId, client)) {
+      throw httpError(404, 'user_not_found');
+    }
+    if (await repositories.privacy.countOpenWithdrawals(userId, client) > 0) {
+      throw httpError(409, 'open_withdrawal');
+    }
+
+    await repositories.privacy.anonymizeUser(userId, client);
+    await audit.record('account_erased', { userId, actorId: userId, target: { type: 'user', id: userId } }, client);
+  });
+}
+
+// Borra las IPs y los navegadores con más de `days` días
+async function applyRetention({ days = RETENTION_DAYS } = {}) {
+  const before = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const cleared = await repositories.privacy.purgeConnectionData(before);
+  return { before, ...cleared };
+}
+
+// Ejecuta la retención al arrancar y una vez al día. El temporizador no
+// impide que el proceso termine.
+function scheduleRetention() {
+  const run = () => applyRetention()
+    .then((result) => logger.info('data_retention', result))
+    .catch((error) => logger.error('data_retention_error', { error }));
+
+  run();
+  const timer = setInterval(run, RETENTION_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  CONSENT_VERSIONS,
+  RETENTION_DAYS,
+  requireConsent,
+  recordConsent,
+  exportUserData,
+  eraseUser,
+  applyRetention,
+  scheduleRetention
+};
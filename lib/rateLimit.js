@@ -0,0 +1,164 @@
+const { pool } = require('./db');
+const { errorBody } = require('./errors');
+const logger = require('./logger');
+require('dotenv').config();
+
+// Un almacén de contadores es cualquier objeto con
+// increment(key, windowMs) -> { count, resetAt } que devuelve una promesa.
+// Cada clave cuenta peticiones en una ventana fija que empieza con la primera.
+
+// En memoria: vale para una sola instancia del servidor
+function createMemoryStore() {
+  const counters = new Map();
+
+  // Limpieza periódica de ventanas caducadas; no mantiene vivo el proceso
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    reset() {
+      counters.clear();
+    }
+  };
+}
+
+// En PostgreSQL (tabla rate_limits): compartido entre instancias
+function createPostgresStore(db = pool) {
+  let lastCleanup = 0;
+
+  return {
+    name: 'postgres',
+    async increment(key, windowMs) {
+      const result = await db.query(`
+        INSERT INTO rate_limits (key, count, reset_at)
+        VALUES ($1, 1, NOW() + make_interval(secs => $2::float / 1000))
+        ON CONFLICT (key) DO UPDATE SET
+          count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+          reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+        RETURNING count, reset_at
+      `, [key, windowMs]);
+
+      // Como mucho una limpieza por minuto
+      if (Date.now() - lastCleanup > 60 * 1000) {
+        lastCleanup = Date.now();
+        db.query('DELETE FROM rate_limits WHERE reset_at <= NOW()').catch((error) => {
+          logger.error('rate_limit_cleanup_error', { error });
+        });
+      }
+
+      const { count, reset_at: resetAt } = result.rows[0];
+      return { count, resetAt: resetAt.getTime() };
+    }
+  };
+}
+
+function createStoreFromEnv() {
+  switch (process.env.RATE_LIMIT_STORE) {
+    case 'postgres':
+      return createPostgresStore();
+    case 'memory':
+    case undefined:
+    case '':
+      return createMemoryStore();
+    default:
+      throw new Error(`RATE_LIMIT_STORE no válido: ${process.env.RATE_LIMIT_STORE}`);
+  }
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createStoreFromEnv();
+  }
+  return store;
+}
+
+// Permite sustituir el almacén (por ejemplo en pruebas)
+function setStore(newStore) {
+  store = newStore;
+}
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "10/15m" -> { max: 10, windowMs: 900000 }
+function parseLimit(value) {
+  const match = /^(\d+)\/(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Límite no válido: ${value} (formato: 10/15m)`);
+  }
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * UNITS[match[3]] };
+}
+
+// Claves por las que se cuenta: la IP del cliente (req.ip respeta
+// TRUST_PROXY), la cuenta autenticada o el email enviado en el cuerpo
+const KEYS = {
+  ip: (req) => req.ip,
+  user: (req) => (req.user ? `user:${req.user.id}` : null),
+  email: (req) => (req.body && typeof req.body.email === 'string' && req.body.email.trim()
+    ? `email:${req.body.email.trim().toLowerCase()}`
+    : null)
+};
+
+// Middleware de límite de peticiones. El límite por defecto (p. ej. '10/15m')
+// se puede cambiar con RATE_LIMIT_<NAME> (RATE_LIMIT_LOGIN_IP=20/15m) y
+// RATE_LIMIT_DISABLED=true lo desactiva. Si la clave no aplica (p. ej. user
+// sin sesión) la petición pasa; si el almacén falla, también. code es el
+// código (y mensaje) del error 429.
+function rateLimit(name, { limit, key = 'ip', code = 'rate_limited' }) {
+  const envName = `RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const { max, windowMs } = parseLimit(process.env[envName] || limit);
+  const getKey = typeof key === 'function' ? key : KEYS[key];
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === 'true') return next();
+
+    const id = getKey(req);
+    if (!id) return next();
+
+    let counter;
+    try {
+      counter = await getStore().increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+      logger.error('rate_limit_store_error', { error });
+      return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - counter.count, 0)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (counter.count > max) {
+      logger.warn('rate_limit_exceeded', { name, key: id, count: counter.count, max });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ ...errorBody(req, code), retryAfter });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  getStore,
+  setStore,
+  parseLimit,
+  rateLimit
+};
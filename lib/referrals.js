@@ -0,0 +1,190 @@
+// Referidos: quien se registra con ?ref=<código> queda asociado a quien le
+// invitó. El bono se paga cuando el referido completa su primera encuesta
+// con recompensa, y al llegar a MILESTONE_REFERRALS referidos cualificados
+// se paga además un bono único.
+const crypto = require('crypto');
+const audit = require('./audit');
+const { httpError } = require('./errors');
+const ledger = require('./ledger');
+const repositories = require('./repositories');
+
+const REFERRAL_BONUS = 1;
+const MILESTONE_REFERRALS = 10;
+const MILESTONE_BONUS = 10;
+
+// Sin caracteres que se confunden al copiarlos a mano (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_CODE_ATTEMPTS = 5;
+
+function generateReferralCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = 'REF';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+function normalizeReferralCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Ejecuta insert(code) con códigos nuevos hasta que no choque con el índice
+// único de users.referral_code. Con 31^8 combinaciones un choque es muy raro,
+// pero así nunca llega al usuario como error.
+async function withUniqueReferralCode(insert) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await insert(generateReferralCode());
+    } catch (error) {
+      const collision = error.code === '23505' && error.constraint === 'users_referral_code_key';
+      if (!collision || attempt >= MAX_CODE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Busca a quien invita por su código. Devuelve null si no existe.
+async function findReferrer(code, db) {
+  const referralCode = normalizeReferralCode(code);
+  if (!referralCode) return null;
+  return repositories.referrals.findReferrerByCode(referralCode, db);
+}
+
+// Registra el referido de un usuario recién creado, dentro de la transacción
+// del registro. Un código desconocido no impide el registro: se ignora.
+async function recordReferral(client, { referredUserId, code }) {
+  const referrer = await findReferrer(code, client);
+  if (!referrer || referrer.id === referredUserId) {
+    return null;
+  }
+
+  const referral = await repositories.referrals.insert({
+    referrerId: referrer.id,
+    referredUserId,
+    referralCode: referrer.referral_code
+  }, client);
+
+  await audit.record('referral_signup', {
+    userId: referrer.id,
+    actorId: referredUserId,
+    target: { type: 'referral', id: referral.id },
+    metadata: { referredUserId }
+  }, client);
+
+  return referral;
+}
+
+async function payBonus(client, { userId, amount, description, reference, idempotencyKey }) {
+  const posted = await ledger.credit(client, {
+    userId,
+    amount,
+    kind: 'referral_bonus',
+    description,
+    reference,
+    idempotencyKey
+  });
+  if (posted.replayed) return false;
+
+  await repositories.transactions.insert({
+    userId,
+    type: 'referral_bonus',
+    amount,
+    description,
+    referenceId: reference,
+    status: 'completed'
+  }, client);
+  return true;
+}
+
+// Se llama al completar una encuesta con recompensa, dentro de la misma
+// transacción. Si el usuario fue referido y su referido aún no había
+// cualificado, paga el bono a quien le invitó y, si con este llega al
+// objetivo, el bono de MILESTONE_REFERRALS referidos.
+async function qualifyReferral(client, { referredUserId, surveyId }) {
+  const referral = await repositories.referrals.findUnpaidForUpdate(referredUserId, client);
+  if (!referral) {
+    return null;
+  }
+
+  await repositories.referrals.markQualified(referral.id, client);
+
+  await payBonus(client, {
+    userId: referral.referrer_id,
+    amount: REFERRAL_BONUS,
+    description: 'Bono por referido que completó una encuesta',
+    reference: `referral:${referral.id}`,
+    idempotencyKey: `referral_bonus:${referral.id}`
+  });
+
+  const qualified = await repositories.referrals.refreshQualifiedCount(referral.referrer_id, client);
+
+  let milestonePaid = false;
+  if (qualified >= MILESTONE_REFERRALS) {
+    // La clave de idempotencia garantiza que solo se paga una vez
+    milestonePaid = await payBonus(client, {
+      userId: referral.referrer_id,
+      amount: MILESTONE_BONUS,
+      description: `Bono por alcanzar ${MILESTONE_REFERRALS} referidos`,
+      reference: `referral_milestone:${MILESTONE_REFERRALS}`,
+      idempotencyKey: `referral_milestone:${referral.referrer_id}:${MILESTONE_REFERRALS}`
+    });
+  }
+
+  await audit.record('referral_qualified', {
+    userId: referral.referrer_id,
+    target: { type: 'referral', id: referral.id },
+    before: { bonus_paid: false },
+    after: { bonus_paid: true },
+    metadata: { referredUserId, surveyId, milestonePaid }
+  }, client);
+
+  return { referral, qualified, milestonePaid };
+}
+
+// jo***@example.com: quien invita ve a sus referidos sin su email completo
+function maskEmail(email) {
+  const [name, domain] = email.split('@');
+  return `${name.slice(0, 2)}***@${domain}`;
+}
+
+async function getReferralSummary(userId) {
+  const user = await repositories.users.findById(userId);
+  if (!user) {
+    throw httpError(404, 'user_not_found');
+  }
+
+  const rows = await repositories.referrals.listForReferrer(userId);
+  const qualified = rows.filter((row) => row.bonus_paid).length;
+  return {
+    referral_code: user.referral_code,
+    total: rows.length,
+    qualified,
+    bonus_per_referral: REFERRAL_BONUS,
+    milestone: {
+      referrals: MILESTONE_REFERRALS,
+      bonus: MILESTONE_BONUS,
+      reached: qualified >= MILESTONE_REFERRALS
+    },
+    referrals: rows.map((row) => ({
+      id: row.id,
+      email: maskEmail(row.email),
+      qualified: row.bonus_paid,
+      created_at: row.created_at,
+      qualified_at: row.qualified_at
+    }))
+  };
+}
+
+module.exports = {
+  REFERRAL_BONUS,
+  MILESTONE_REFERRALS,
+  MILESTONE_BONUS,
+  generateReferralCode,
+  withUniqueReferralCode,
+  recordReferral,
+  qualifyReferral,
+  getReferralSummary
+};
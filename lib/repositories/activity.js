@@ -0,0 +1,63 @@
+// Registro de actividad y auditoría (activity_logs). Los tipos de evento y
+// sus descripciones están en lib/audit.js.
+const { pool } = require('../db');
+const { createFilter } = require('../pagination');
+
+const json = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+async function insert({
+  userId, actorId, type, description, targetType, targetId,
+  before, after, metadata, ip, userAgent, requestId
+}, db = pool) {
+  const result = await db.query(`
+    INSERT INTO activity_logs (
+      user_id, actor_id, activity_type, description, target_type, target_id,
+      before_values, after_values, metadata, ip_address, user_agent, request_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING id, created_at
+  `, [
+    userId || null, actorId || null, type, description, targetType || null, targetId || null,
+    json(before), json(after), json(metadata), ip || null, userAgent || null, requestId || null
+  ]);
+  return result.rows[0];
+}
+
+// Línea de tiempo del panel, de lo más reciente a lo más antiguo.
+// filters: userId (eventos sobre la cuenta o hechos por ella), actorId,
+// types (lista), targetType, targetId, requestId, q (parte de la
+// descripción), from, to
+async function list({ userId, actorId, types, targetType, targetId, requestId, q, from, to }, { limit, offset }, db = pool) {
+  const filter = createFilter();
+  filter.add('(a.user_id = ? OR a.actor_id = ?)', userId);
+  filter.add('a.actor_id = ?', actorId);
+  filter.add('a.activity_type = ANY(?)', types && types.length > 0 ? types : undefined);
+  filter.add('a.target_type = ?', targetType);
+  filter.add('a.target_id = ?', targetId);
+  filter.add('a.request_id = ?', requestId);
+  filter.add('a.description ILIKE ?', q ? `%${q}%` : undefined);
+  filter.add('a.created_at >= ?', from);
+  filter.add('a.created_at < ?', to);
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM activity_logs a ${filter.where()}`, filter.params);
+  const result = await db.query(`
+    SELECT a.id, a.activity_type, a.description,
+           a.user_id, u.email as user_email,
+           a.actor_id, actor.email as actor_email,
+           a.target_type, a.target_id, a.before_values, a.after_values, a.metadata,
+           a.ip_address, a.user_agent, a.request_id, a.created_at
+    FROM activity_logs a
+    LEFT JOIN users u ON a.user_id = u.id
+    LEFT JOIN users actor ON a.actor_id = actor.id
+    ${filter.where()}
+    ORDER BY a.created_at DESC, a.id
+    LIMIT ${filter.next(limit)} OFFSET ${filter.next(offset)}
+  `, filter.params);
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
+
+module.exports = {
+  insert,
+  list
+};
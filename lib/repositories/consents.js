@@ -0,0 +1,30 @@
+// Consentimientos aceptados (tabla consent_records). Las versiones vigentes
+// de cada texto están en lib/privacy.js.
+const { pool } = require('../db');
+
+async function insert({ userId, purpose, version, surveyId, surveyVersionId, ip, userAgent }, db = pool) {
+  const result = await db.query(`
+    INSERT INTO consent_records (user_id, purpose, version, survey_id, survey_version_id, ip_address, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [userId, purpose, version, surveyId || null, surveyVersionId || null, ip || null, userAgent || null]);
+  return result.rows[0];
+}
+
+async function listForUser(userId, db = pool) {
+  const result = await db.query(`
+    SELECT cr.purpose, cr.version, cr.survey_id, s.survey_key, v.version as survey_version,
+           cr.ip_address, cr.user_agent, cr.created_at
+    FROM consent_records cr
+    LEFT JOIN surveys s ON s.id = cr.survey_id
+    LEFT JOIN survey_versions v ON v.id = cr.survey_version_id
+    WHERE cr.user_id = $1
+    ORDER BY cr.created_at
+  `, [userId]);
+  return result.rows;
+}
+
+module.exports = {
+  insert,
+  listForUser
+};
@@ -0,0 +1,79 @@
+// Encuestas a medias (tabla survey_drafts). La caducidad y los abandonos
+// están en lib/surveyDrafts.js.
+const { pool } = require('../db');
+
+// Borrador vigente (sin caducar)
+async function find(userId, surveyId, db = pool) {
+  const result = await db.query(`
+    SELECT * FROM survey_drafts
+    WHERE user_id = $1 AND survey_id = $2 AND expires_at > NOW()
+  `, [userId, surveyId]);
+  return result.rows[0] || null;
+}
+
+// Dentro de una transacción: bloquea el borrador, caducado o no
+async function findForUpdate(userId, surveyId, db) {
+  const result = await db.query(`
+    SELECT *, expires_at <= NOW() as expired FROM survey_drafts
+    WHERE user_id = $1 AND survey_id = $2
+    FOR UPDATE
+  `, [userId, surveyId]);
+  return result.rows[0] || null;
+}
+
+// Crea el borrador o lo sustituye. ttlSeconds cuenta desde ahora.
+async function upsert({ userId, surveyId, surveyVersionId, responses, lastQuestionKey, ttlSeconds }, db = pool) {
+  const result = await db.query(`
+    INSERT INTO survey_drafts (user_id, survey_id, survey_version_id, responses, last_question_key, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+    ON CONFLICT (user_id, survey_id) DO UPDATE SET
+      survey_version_id = EXCLUDED.survey_version_id,
+      responses = EXCLUDED.responses,
+      last_question_key = EXCLUDED.last_question_key,
+      updated_at = NOW(),
+      expires_at = EXCLUDED.expires_at
+    RETURNING *
+  `, [userId, surveyId, surveyVersionId, JSON.stringify(responses || {}), lastQuestionKey || null, ttlSeconds]);
+  return result.rows[0];
+}
+
+// Alarga la caducidad al volver a abrir la encuesta
+async function touch(userId, surveyId, ttlSeconds, db = pool) {
+  const result = await db.query(`
+    UPDATE survey_drafts SET expires_at = NOW() + make_interval(secs => $3)
+    WHERE user_id = $1 AND survey_id = $2
+    RETURNING *
+  `, [userId, surveyId, ttlSeconds]);
+  return result.rows[0] || null;
+}
+
+async function remove(userId, surveyId, db = pool) {
+  const result = await db.query('DELETE FROM survey_drafts WHERE user_id = $1 AND survey_id = $2', [userId, surveyId]);
+  return result.rowCount > 0;
+}
+
+// Borra los borradores caducados y los devuelve. Con varias instancias cada
+// borrador lo recoge solo una.
+async function deleteExpired(limit, db = pool) {
+  const result = await db.query(`
+    DELETE FROM survey_drafts
+    WHERE (user_id, survey_id) IN (
+      SELECT user_id, survey_id FROM survey_drafts
+      WHERE expires_at <= NOW()
+      ORDER BY expires_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limit]);
+  return result.rows;
+}
+
+module.exports = {
+  find,
+  findForUpdate,
+  upsert,
+  touch,
+  remove,
+  deleteExpired
+};
@@ -0,0 +1,17 @@
+// Acceso a datos por tabla. Cada función recibe como último argumento
+// opcional el cliente con el que consultar: por defecto el pool, o el
+// cliente de withTransaction (lib/db.js) para que forme parte de la
+// transacción. Las que bloquean filas (…ForUpdate) solo tienen sentido dentro
+// de una transacción y lo exigen.
+module.exports = {
+  users: require('./users'),
+  surveys: require('./surveys'),
+  responses: require('./responses'),
+  drafts: require('./drafts'),
+  transactions: require('./transactions'),
+  withdrawals: require('./withdrawals'),
+  referrals: require('./referrals'),
+  consents: require('./consents'),
+  privacy: require('./privacy'),
+  activity: require('./activity')
+};
@@ -0,0 +1,162 @@
+// Datos personales de un usuario repartidos por varias tablas: copia para
+// exportar, anonimización al borrar la cuenta y limpieza de IPs y
+// navegadores antiguos. Las reglas están en lib/privacy.js.
+const { pool } = require('../db');
+
+// Todo lo que se guarda de un usuario, por secciones. No incluye secretos
+// (contraseña y tokens) ni datos de otras personas.
+async function collectUserData(userId, db = pool) {
+  const query = async (sql) => (await db.query(sql, [userId])).rows;
+
+  const [user] = await query(`
+    SELECT id, email, role, referral_code, referred_by, email_verified,
+           ip_address, user_agent, created_at, updated_at, last_login
+    FROM users WHERE id = $1
+  `);
+  if (!user) return null;
+
+  return {
+    user,
+    survey_responses: await query(`
+      SELECT s.survey_key, v.version as survey_version, sq.question_key, sq.question_text,
+             usr.answer_text, usr.answer_options, usr.completed_at
+      FROM user_survey_responses usr
+      JOIN surveys s ON s.id = usr.survey_id
+      JOIN survey_questions sq ON sq.id = usr.question_id
+      LEFT JOIN survey_versions v ON v.id = usr.survey_version_id
+      WHERE usr.user_id = $1
+      ORDER BY usr.completed_at, sq.order_index
+    `),
+    survey_drafts: await query(`
+      SELECT s.survey_key, v.version as survey_version, d.responses, d.last_question_key,
+             d.started_at, d.updated_at, d.expires_at
+      FROM survey_drafts d
+      JOIN surveys s ON s.id = d.survey_id
+      JOIN survey_versions v ON v.id = d.survey_version_id
+      WHERE d.user_id = $1
+      ORDER BY d.updated_at
+    `),
+    completed_surveys: await query(`
+      SELECT s.survey_key, s.title, v.version as survey_version, ucs.reward_paid, ucs.completed_at
+      FROM user_completed_surveys ucs
+      JOIN surveys s ON s.id = ucs.survey_id
+      LEFT JOIN survey_versions v ON v.id = ucs.survey_version_id
+      WHERE ucs.user_id = $1
+      ORDER BY ucs.completed_at
+    `),
+    ledger: await query(`
+      SELECT id, kind, amount, description, reference, related_id, created_at
+      FROM ledger_transactions
+      WHERE user_id = $1
+      ORDER BY created_at, id
+    `),
+    transactions: await query(`
+      SELECT id, transaction_type, amount, description, reference_id, status,
+             paypal_email, paypal_transaction_id, created_at, processed_at
+      FROM transactions
+      WHERE user_id = $1
+      ORDER BY created_at
+    `),
+    withdrawals: await query(`
+      SELECT id, amount, paypal_email, status, admin_notes, requested_at, processed_at, paypal_transaction_id
+      FROM withdrawal_requests
+      WHERE user_id = $1
+      ORDER BY requested_at
+    `),
+    reviews: await query(`
+      SELECT s.survey_key, sr.risk_score, sr.signals, sr.reward_amount, sr.status,
+             sr.admin_notes, sr.created_at, sr.reviewed_at
+      FROM submission_reviews sr
+      JOIN surveys s ON s.id = sr.survey_id
+      WHERE sr.user_id = $1
+      ORDER BY sr.created_at
+    `),
+    // La IP y el navegador de los eventos hechos por un admin son del admin
+    activity: await query(`
+      SELECT activity_type, description, target_type, target_id, before_values, after_values, metadata,
+             CASE WHEN actor_id IS NULL OR actor_id = user_id THEN ip_address END as ip_address,
+             CASE WHEN actor_id IS NULL OR actor_id = user_id THEN user_agent END as user_agent,
+             created_at
+      FROM activity_logs
+      WHERE user_id = $1
+      ORDER BY created_at
+    `)
+  };
+}
+
+// Retiros que aún se pueden pagar: necesitan el email de PayPal
+async function countOpenWithdrawals(userId, db = pool) {
+  const result = await db.query(`
+    SELECT COUNT(*)::int as count FROM withdrawal_requests
+    WHERE user_id = $1 AND status IN ('pending', 'processing')
+  `, [userId]);
+  return result.rows[0].count;
+}
+
+// Quita los datos personales de la cuenta y borra sus respuestas y su
+// actividad. Se conservan la fila del usuario, las encuestas completadas,
+// los retiros y los movimientos, para que los saldos y el libro contable
+// sigan cuadrando. Dentro de una transacción.
+async function anonymizeUser(userId, db) {
+  const placeholder = `borrado-${userId}@anonimo.invalid`;
+
+  await db.query(`
+    UPDATE users SET
+      email = $2,
+      password_hash = NULL,
+      ip_address = NULL,
+      user_agent = NULL,
+      email_verified = FALSE,
+      verification_token = NULL,
+      verification_expires_at = NULL,
+      password_reset_token = NULL,
+      password_reset_expires_at = NULL,
+      password_changed_at = $3,
+      anonymized_at = NOW(),
+      updated_at = NOW()
+    WHERE id = $1
+  `, [userId, placeholder, new Date()]);
+
+  await db.query('DELETE FROM user_survey_responses WHERE user_id = $1', [userId]);
+  await db.query('DELETE FROM survey_drafts WHERE user_id = $1', [userId]);
+  // Se conserva lo que hicieron los admins sobre la cuenta (cambios de rol,
+  // retiros, revisiones), que no guarda datos personales del usuario
+  await db.query(`
+    DELETE FROM activity_logs
+    WHERE user_id = $1 AND (actor_id IS NULL OR actor_id = $1)
+  `, [userId]);
+  await db.query('UPDATE consent_records SET ip_address = NULL, user_agent = NULL WHERE user_id = $1', [userId]);
+  await db.query('UPDATE withdrawal_requests SET paypal_email = $2 WHERE user_id = $1', [userId, placeholder]);
+  await db.query('UPDATE transactions SET paypal_email = NULL WHERE user_id = $1', [userId]);
+}
+
+// Borra IPs y navegadores anteriores a `before`. Devuelve cuántas filas ha
+// limpiado de cada tabla.
+async function purgeConnectionData(before, db = pool) {
+  const users = await db.query(`
+    UPDATE users SET ip_address = NULL, user_agent = NULL
+    WHERE (ip_address IS NOT NULL OR user_agent IS NOT NULL)
+      AND GREATEST(created_at, updated_at, last_login) < $1
+  `, [before]);
+  const activityLogs = await db.query(`
+    UPDATE activity_logs SET ip_address = NULL, user_agent = NULL
+    WHERE (ip_address IS NOT NULL OR user_agent IS NOT NULL) AND created_at < $1
+  `, [before]);
+  const consents = await db.query(`
+    UPDATE consent_records SET ip_address = NULL, user_agent = NULL
+    WHERE (ip_address IS NOT NULL OR user_agent IS NOT NULL) AND created_at < $1
+  `, [before]);
+
+  return {
+    users: users.rowCount,
+    activityLogs: activityLogs.rowCount,
+    consents: consents.rowCount
+  };
+}
+
+module.exports = {
+  collectUserData,
+  countOpenWithdrawals,
+  anonymizeUser,
+  purgeConnectionData
+};
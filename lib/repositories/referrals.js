@@ -0,0 +1,65 @@
+// Referidos (tabla referrals). Los bonos y sus reglas están en lib/referrals.js.
+const { pool } = require('../db');
+
+async function findReferrerByCode(referralCode, db = pool) {
+  const result = await db.query('SELECT id, referral_code FROM users WHERE referral_code = $1', [referralCode]);
+  return result.rows[0] || null;
+}
+
+// Asocia al usuario recién registrado con quien le invitó
+async function insert({ referrerId, referredUserId, referralCode }, db = pool) {
+  await db.query('UPDATE users SET referred_by = $2 WHERE id = $1', [referredUserId, referralCode]);
+  const result = await db.query(`
+    INSERT INTO referrals (referrer_id, referred_user_id, referral_code)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `, [referrerId, referredUserId, referralCode]);
+  return result.rows[0];
+}
+
+// Dentro de una transacción: el referido aún sin bono, bloqueado hasta el final
+async function findUnpaidForUpdate(referredUserId, db) {
+  const result = await db.query(`
+    SELECT * FROM referrals
+    WHERE referred_user_id = $1 AND bonus_paid = FALSE
+    FOR UPDATE
+  `, [referredUserId]);
+  return result.rows[0] || null;
+}
+
+async function markQualified(referralId, db = pool) {
+  await db.query('UPDATE referrals SET bonus_paid = TRUE, qualified_at = NOW() WHERE id = $1', [referralId]);
+}
+
+// Recalcula users.total_referrals y devuelve el número de referidos cualificados
+async function refreshQualifiedCount(referrerId, db = pool) {
+  const result = await db.query(`
+    UPDATE users SET total_referrals = (
+      SELECT COUNT(*) FROM referrals WHERE referrer_id = $1 AND bonus_paid = TRUE
+    )
+    WHERE id = $1
+    RETURNING total_referrals
+  `, [referrerId]);
+  return result.rows[0].total_referrals;
+}
+
+// Referidos de un usuario con su email, del más reciente al más antiguo
+async function listForReferrer(referrerId, db = pool) {
+  const result = await db.query(`
+    SELECT r.id, u.email, r.bonus_paid, r.created_at, r.qualified_at
+    FROM referrals r
+    JOIN users u ON r.referred_user_id = u.id
+    WHERE r.referrer_id = $1
+    ORDER BY r.created_at DESC
+  `, [referrerId]);
+  return result.rows;
+}
+
+module.exports = {
+  findReferrerByCode,
+  insert,
+  findUnpaidForUpdate,
+  markQualified,
+  refreshQualifiedCount,
+  listForReferrer
+};
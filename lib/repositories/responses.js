@@ -0,0 +1,100 @@
+// Respuestas a encuestas (una fila por pregunta) y encuestas completadas
+// (una fila por persona y encuesta)
+const { pool } = require('../db');
+const { createFilter } = require('../pagination');
+
+async function findCompletion(userId, surveyId, db = pool) {
+  const result = await db.query(`
+    SELECT id, survey_version_id, reward_paid, completed_at
+    FROM user_completed_surveys
+    WHERE user_id = $1 AND survey_id = $2
+  `, [userId, surveyId]);
+  return result.rows[0] || null;
+}
+
+async function insertAnswer({ userId, surveyId, surveyVersionId, questionId, answerText, answerOptions }, db = pool) {
+  await db.query(`
+    INSERT INTO user_survey_responses (user_id, survey_id, survey_version_id, question_id, answer_text, answer_options)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [userId, surveyId, surveyVersionId, questionId, answerText, answerOptions ? JSON.stringify(answerOptions) : null]);
+}
+
+async function insertCompletion({ userId, surveyId, surveyVersionId, rewardPaid }, db = pool) {
+  const result = await db.query(`
+    INSERT INTO user_completed_surveys (user_id, survey_id, survey_version_id, reward_paid)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [userId, surveyId, surveyVersionId, rewardPaid]);
+  return result.rows[0];
+}
+
+async function markRewardPaid(completedSurveyId, db = pool) {
+  await db.query('UPDATE user_completed_surveys SET reward_paid = TRUE WHERE id = $1', [completedSurveyId]);
+}
+
+async function listCompletedByUser(userId, db = pool) {
+  const result = await db.query(`
+    SELECT survey_id, completed_at FROM user_completed_surveys
+    WHERE user_id = $1
+    ORDER BY completed_at
+  `, [userId]);
+  return result.rows;
+}
+
+// Últimas respuestas de todas las encuestas, con la pregunta y el usuario
+async function listRecent(limit, db = pool) {
+  const result = await db.query(`
+    SELECT
+      u.email,
+      u.ip_address,
+      s.title as survey_title,
+      sq.question_key,
+      sq.question_text,
+      sq.question_type,
+      usr.answer_text,
+      usr.answer_options,
+      usr.completed_at
+    FROM user_survey_responses usr
+    JOIN users u ON usr.user_id = u.id
+    JOIN surveys s ON usr.survey_id = s.id
+    JOIN survey_questions sq ON usr.question_id = sq.id
+    ORDER BY usr.completed_at DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+// Listado de administración. filters: surveyId, userId, from, to
+async function listCompletions({ surveyId, userId, from, to }, { limit, offset }, db = pool) {
+  const filter = createFilter();
+  filter.add('ucs.survey_id = ?', surveyId);
+  filter.add('ucs.user_id = ?', userId);
+  filter.add('ucs.completed_at >= ?', from);
+  filter.add('ucs.completed_at < ?', to);
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM user_completed_surveys ucs ${filter.where()}`, filter.params
+  );
+  const result = await db.query(`
+    SELECT ucs.id, ucs.user_id, u.email, ucs.survey_id, s.survey_key,
+           s.title as survey_title, ucs.reward_paid, ucs.completed_at
+    FROM user_completed_surveys ucs
+    JOIN users u ON ucs.user_id = u.id
+    JOIN surveys s ON ucs.survey_id = s.id
+    ${filter.where()}
+    ORDER BY ucs.completed_at DESC
+    LIMIT ${filter.next(limit)} OFFSET ${filter.next(offset)}
+  `, filter.params);
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
+
+module.exports = {
+  findCompletion,
+  insertAnswer,
+  insertCompletion,
+  markRewardPaid,
+  listCompletedByUser,
+  listRecent,
+  listCompletions
+};
@@ -0,0 +1,61 @@
+// Encuestas visibles para los usuarios. El editor de encuestas (versiones y
+// preguntas) está en lib/surveyBuilder.js.
+const { pool } = require('../db');
+
+// Solo encuestas activas con una versión publicada, con los datos de la
+// campaña para decidir a quién se muestran (lib/surveyAvailability.js)
+async function listActive(db = pool) {
+  const result = await db.query(`
+    SELECT s.id, s.survey_key, s.title, s.description, s.reward_amount, s.translations,
+           s.is_active, s.opens_at, s.closes_at, s.max_completions, s.budget, s.audience,
+           s.completions_count, s.budget_spent,
+           v.version,
+           (SELECT COUNT(*) FROM survey_questions WHERE survey_version_id = v.id) as question_count
+    FROM surveys s
+    JOIN survey_versions v ON v.id = s.current_version_id
+    WHERE s.is_active = true
+    ORDER BY s.id
+  `);
+  return result.rows;
+}
+
+// Columnas de una encuesta que necesita surveyAvailability.unavailableReason
+const CAMPAIGN_COLUMNS = `
+  id, survey_key, title, description, reward_amount, is_active, current_version_id,
+  opens_at, closes_at, max_completions, budget, audience, completions_count, budget_spent
+`;
+
+async function findById(surveyId, db = pool) {
+  const result = await db.query(`SELECT ${CAMPAIGN_COLUMNS} FROM surveys WHERE id = $1`, [surveyId]);
+  return result.rows[0] || null;
+}
+
+// Bloquea la encuesta hasta el final de la transacción: los envíos a la
+// misma encuesta comprueban y actualizan los cupos de uno en uno
+async function findByIdForUpdate(surveyId, db) {
+  const result = await db.query(`SELECT ${CAMPAIGN_COLUMNS} FROM surveys WHERE id = $1 FOR UPDATE`, [surveyId]);
+  return result.rows[0] || null;
+}
+
+// Cuenta un envío y la recompensa que se ha pagado o está pendiente
+async function recordCompletion(surveyId, amount, db = pool) {
+  await db.query(`
+    UPDATE surveys SET completions_count = completions_count + 1, budget_spent = budget_spent + $2
+    WHERE id = $1
+  `, [surveyId, amount]);
+}
+
+// Devuelve al presupuesto una recompensa que no se paga (envío rechazado)
+async function releaseBudget(surveyId, amount, db = pool) {
+  await db.query(`
+    UPDATE surveys SET budget_spent = GREATEST(budget_spent - $2, 0) WHERE id = $1
+  `, [surveyId, amount]);
+}
+
+module.exports = {
+  listActive,
+  findById,
+  findByIdForUpdate,
+  recordCompletion,
+  releaseBudget
+};
@@ -0,0 +1,62 @@
+// Historial de movimientos que ve el usuario (tabla transactions). Los saldos
+// se calculan con el libro contable (lib/ledger.js), no con esta tabla.
+const { pool } = require('../db');
+const { createFilter } = require('../pagination');
+
+async function insert({ userId, type, amount, description, referenceId, paypalEmail, status }, db = pool) {
+  const result = await db.query(`
+    INSERT INTO transactions (user_id, transaction_type, amount, description, reference_id, paypal_email, status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [userId, type, amount, description, referenceId, paypalEmail || null, status]);
+  return result.rows[0];
+}
+
+// Sigue el estado de una solicitud de retiro. processed marca la fecha de
+// cierre cuando el estado es final.
+async function updateWithdrawalStatus(withdrawalId, { status, paypalTransactionId, processed }, db = pool) {
+  await db.query(`
+    UPDATE transactions SET
+      status = $2,
+      paypal_transaction_id = COALESCE($3, paypal_transaction_id),
+      processed_at = CASE WHEN $4 THEN NOW() ELSE processed_at END
+    WHERE reference_id = $1 AND transaction_type = 'withdrawal_request'
+  `, [withdrawalId, status, paypalTransactionId || null, processed]);
+}
+
+// Cierra la recompensa pendiente de revisión de una encuesta
+async function resolvePendingReward({ userId, surveyKey, status }, db = pool) {
+  await db.query(`
+    UPDATE transactions SET status = $3, processed_at = NOW()
+    WHERE user_id = $1 AND reference_id = $2 AND transaction_type = 'survey_reward' AND status = 'pending'
+  `, [userId, surveyKey, status]);
+}
+
+// Listado de administración. filters: type, status, userId, from, to
+async function list({ type, status, userId, from, to }, { limit, offset }, db = pool) {
+  const filter = createFilter();
+  filter.add('t.transaction_type = ?', type);
+  filter.add('t.status = ?', status);
+  filter.add('t.user_id = ?', userId);
+  filter.add('t.created_at >= ?', from);
+  filter.add('t.created_at < ?', to);
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM transactions t ${filter.where()}`, filter.params);
+  const result = await db.query(`
+    SELECT t.*, u.email
+    FROM transactions t
+    JOIN users u ON t.user_id = u.id
+    ${filter.where()}
+    ORDER BY t.created_at DESC
+    LIMIT ${filter.next(limit)} OFFSET ${filter.next(offset)}
+  `, filter.params);
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
+
+module.exports = {
+  insert,
+  updateWithdrawalStatus,
+  resolvePendingReward,
+  list
+};
@@ -0,0 +1,165 @@
+// Usuarios y sesiones revocadas
+const { pool } = require('../db');
+const { createFilter } = require('../pagination');
+
+// Devuelve null si ya existe una cuenta con ese email
+async function insert({ email, passwordHash, ip, userAgent, referralCode, locale }, db = pool) {
+  const result = await db.query(`
+    INSERT INTO users (email, password_hash, ip_address, user_agent, referral_code, locale)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (email) DO NOTHING
+    RETURNING id, email, referral_code, email_verified, locale
+  `, [email, passwordHash, ip, userAgent, referralCode, locale || null]);
+  return result.rows[0] || null;
+}
+
+async function findById(userId, db = pool) {
+  const result = await db.query(`
+    SELECT id, email, role, referral_code, email_verified, created_at, last_login
+    FROM users WHERE id = $1
+  `, [userId]);
+  return result.rows[0] || null;
+}
+
+// Incluye password_hash: solo para comprobar la contraseña
+async function findByEmail(email, db = pool) {
+  const result = await db.query(`
+    SELECT id, email, password_hash, referral_code, email_verified, locale
+    FROM users WHERE email = $1
+  `, [email]);
+  return result.rows[0] || null;
+}
+
+// Perfil con el saldo calculado
+async function findProfile(userId, db = pool) {
+  const result = await db.query(`
+    SELECT id, email, referral_code, email_verified, locale, created_at, last_login,
+           get_user_balance(id) as balance
+    FROM users WHERE id = $1
+  `, [userId]);
+  return result.rows[0] || null;
+}
+
+// Lo que deciden los públicos de las encuestas (lib/surveyAvailability.js):
+// { email_verified, referred, completed_surveys: [claves] }
+async function findAudienceFacts(userId, db = pool) {
+  const result = await db.query(`
+    SELECT u.email_verified, u.referred_by IS NOT NULL as referred,
+           ARRAY(
+             SELECT s.survey_key FROM user_completed_surveys c
+             JOIN surveys s ON c.survey_id = s.id
+             WHERE c.user_id = u.id
+           ) as completed_surveys
+    FROM users u WHERE u.id = $1
+  `, [userId]);
+  return result.rows[0] || null;
+}
+
+// Usuario de una sesión, si existe, no ha borrado la cuenta y el token no
+// está revocado
+async function findSessionUser(userId, jti, db = pool) {
+  const result = await db.query(`
+    SELECT u.id, u.email, u.role, u.email_verified, u.locale, u.password_changed_at
+    FROM users u
+    WHERE u.id = $1
+      AND u.anonymized_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $2)
+  `, [userId, jti]);
+  return result.rows[0] || null;
+}
+
+async function revokeToken({ jti, sub, exp }, db = pool) {
+  await db.query(`
+    INSERT INTO revoked_tokens (jti, user_id, expires_at)
+    VALUES ($1, $2, to_timestamp($3))
+    ON CONFLICT (jti) DO NOTHING
+  `, [jti, sub, exp]);
+}
+
+async function recordLogin(userId, db = pool) {
+  await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [userId]);
+}
+
+// IP y navegador con los que se conectó por última vez
+async function updateConnection(userId, { ip, userAgent }, db = pool) {
+  await db.query(`
+    UPDATE users SET ip_address = $2, user_agent = $3, updated_at = NOW()
+    WHERE id = $1
+  `, [userId, ip, userAgent]);
+}
+
+// Bloquea la fila del usuario hasta el final de la transacción para
+// serializar sus operaciones. Devuelve false si no existe.
+async function lockForUpdate(userId, db) {
+  const result = await db.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  return result.rows.length > 0;
+}
+
+// Idioma elegido; null vuelve a usar el del navegador
+async function updateLocale(userId, locale, db = pool) {
+  const result = await db.query(`
+    UPDATE users SET locale = $2, updated_at = NOW()
+    WHERE id = $1
+    RETURNING id, locale
+  `, [userId, locale]);
+  return result.rows[0] || null;
+}
+
+// Devuelve también el rol anterior (previous_role) para el registro de auditoría
+async function updateRole(userId, role, db = pool) {
+  const result = await db.query(`
+    UPDATE users u SET role = $2, updated_at = NOW()
+    FROM (SELECT id, role FROM users WHERE id = $1 FOR UPDATE) previous
+    WHERE u.id = previous.id
+    RETURNING u.id, u.email, u.role, previous.role as previous_role
+  `, [userId, role]);
+  return result.rows[0] || null;
+}
+
+// Listado de administración. filters: q (parte del email), role,
+// emailVerified, from, to
+async function list({ q, role, emailVerified, from, to }, { limit, offset }, db = pool) {
+  const filter = createFilter();
+  filter.add('u.email ILIKE ?', q ? `%${q}%` : undefined);
+  filter.add('u.role = ?', role);
+  filter.add('u.email_verified = ?', emailVerified);
+  filter.add('u.created_at >= ?', from);
+  filter.add('u.created_at < ?', to);
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM users u ${filter.where()}`, filter.params);
+  const result = await db.query(`
+    SELECT u.id, u.email, u.role, u.email_verified, u.referral_code,
+           get_user_balance(u.id) as balance,
+           (SELECT COUNT(*) FROM user_completed_surveys WHERE user_id = u.id) as completed_surveys,
+           u.created_at, u.last_login
+    FROM users u
+    ${filter.where()}
+    ORDER BY u.created_at DESC
+    LIMIT ${filter.next(limit)} OFFSET ${filter.next(offset)}
+  `, filter.params);
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
+
+// Cifras generales del panel de administración (vista admin_stats)
+async function getStats(db = pool) {
+  const result = await db.query('SELECT * FROM admin_stats');
+  return result.rows[0];
+}
+
+module.exports = {
+  insert,
+  findById,
+  findByEmail,
+  findProfile,
+  findAudienceFacts,
+  findSessionUser,
+  revokeToken,
+  recordLogin,
+  updateConnection,
+  lockForUpdate,
+  updateLocale,
+  updateRole,
+  list,
+  getStats
+};
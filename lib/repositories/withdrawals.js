@@ -0,0 +1,124 @@
+// Solicitudes de retiro (tabla withdrawal_requests). Las reglas de estado y
+// los movimientos del libro contable están en lib/withdrawals.js.
+const { pool } = require('../db');
+const { createFilter } = require('../pagination');
+
+async function findById(withdrawalId, db = pool) {
+  const result = await db.query('SELECT * FROM withdrawal_requests WHERE id = $1', [withdrawalId]);
+  return result.rows[0] || null;
+}
+
+// Dentro de una transacción: bloquea la solicitud hasta el final
+async function findByIdForUpdate(withdrawalId, db) {
+  const result = await db.query('SELECT * FROM withdrawal_requests WHERE id = $1 FOR UPDATE', [withdrawalId]);
+  return result.rows[0] || null;
+}
+
+async function findByIdempotencyKey(userId, idempotencyKey, db = pool) {
+  const result = await db.query(`
+    SELECT * FROM withdrawal_requests WHERE user_id = $1 AND idempotency_key = $2
+  `, [userId, idempotencyKey]);
+  return result.rows[0] || null;
+}
+
+// El elemento de un lote de PayPal, por su id o por el sender_item_id (que
+// es el id de la solicitud)
+async function findByPayoutItem({ payoutItemId, senderItemId }, db = pool) {
+  const result = await db.query(`
+    SELECT * FROM withdrawal_requests
+    WHERE payout_item_id = $1 OR id::text = $2
+    LIMIT 1
+  `, [payoutItemId || null, senderItemId || null]);
+  return result.rows[0] || null;
+}
+
+async function insert({ userId, amount, paypalEmail, idempotencyKey }, db = pool) {
+  const result = await db.query(`
+    INSERT INTO withdrawal_requests (user_id, amount, paypal_email, status, idempotency_key)
+    VALUES ($1, $2, $3, 'pending', $4)
+    RETURNING *
+  `, [userId, amount, paypalEmail, idempotencyKey || null]);
+  return result.rows[0];
+}
+
+async function setHoldTransaction(withdrawalId, holdTransactionId, db = pool) {
+  const result = await db.query(`
+    UPDATE withdrawal_requests SET hold_transaction_id = $2 WHERE id = $1 RETURNING *
+  `, [withdrawalId, holdTransactionId]);
+  return result.rows[0];
+}
+
+// processed marca la fecha de cierre cuando el estado es final
+async function updateStatus(withdrawalId, { status, adminNotes, paypalTransactionId, processed }, db = pool) {
+  const result = await db.query(`
+    UPDATE withdrawal_requests SET
+      status = $2,
+      admin_notes = COALESCE($3, admin_notes),
+      paypal_transaction_id = COALESCE($4, paypal_transaction_id),
+      processed_at = CASE WHEN $5 THEN NOW() ELSE processed_at END
+    WHERE id = $1
+    RETURNING *
+  `, [withdrawalId, status, adminNotes || null, paypalTransactionId || null, processed]);
+  return result.rows[0];
+}
+
+async function setPayoutIds(withdrawalId, { batchId, itemId }, db = pool) {
+  const result = await db.query(`
+    UPDATE withdrawal_requests SET payout_batch_id = $2, payout_item_id = $3
+    WHERE id = $1
+    RETURNING *
+  `, [withdrawalId, batchId, itemId]);
+  return result.rows[0];
+}
+
+// Historial de un usuario, de la más reciente a la más antigua
+async function listForUser(userId, { limit, offset }, db = pool) {
+  const countResult = await db.query(
+    'SELECT COUNT(*) FROM withdrawal_requests WHERE user_id = $1', [userId]
+  );
+  const result = await db.query(`
+    SELECT id, amount, paypal_email, status, requested_at, processed_at, paypal_transaction_id
+    FROM withdrawal_requests
+    WHERE user_id = $1
+    ORDER BY requested_at DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, limit, offset]);
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
+
+// Listado de administración. filters: status, userId, from, to
+async function list({ status, userId, from, to }, { limit, offset }, db = pool) {
+  const filter = createFilter();
+  filter.add('w.status = ?', status);
+  filter.add('w.user_id = ?', userId);
+  filter.add('w.requested_at >= ?', from);
+  filter.add('w.requested_at < ?', to);
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM withdrawal_requests w ${filter.where()}`, filter.params
+  );
+  const result = await db.query(`
+    SELECT w.*, u.email
+    FROM withdrawal_requests w
+    JOIN users u ON w.user_id = u.id
+    ${filter.where()}
+    ORDER BY w.requested_at DESC
+    LIMIT ${filter.next(limit)} OFFSET ${filter.next(offset)}
+  `, filter.params);
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+}
+
+module.exports = {
+  findById,
+  findByIdForUpdate,
+  findByIdempotencyKey,
+  findByPayoutItem,
+  insert,
+  setHoldTransaction,
+  updateStatus,
+  setPayoutIds,
+  listForUser,
+  list
+};
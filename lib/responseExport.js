@@ -0,0 +1,250 @@
+// Exportación de respuestas de una encuesta: una fila por persona que la
+// completó y una columna por pregunta. Las preguntas de varias opciones se
+// expanden en una columna por opción (checkbox: 1/0, ranking: posición,
+// matriz: una columna por fila con la columna elegida).
+//
+// Se escribe por lotes directamente en la respuesta HTTP, sin cargar todo el
+// conjunto en memoria.
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { httpError } = require('./errors');
+const { parseDateParam, parseIntParam } = require('./pagination');
+require('dotenv').config();
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', separator: ',' },
+  // Excel abre sin avisos un CSV con BOM y separador ';' (configuración regional española)
+  xlsx: { contentType: 'text/csv; charset=utf-8', extension: 'csv', separator: ';', bom: true },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const BATCH_SIZE = 500;
+
+// Lee y valida los parámetros de la petición
+function parseExportOptions(query) {
+  const format = query.format || 'csv';
+  if (!FORMATS[format]) {
+    throw httpError(400, 'invalid_export_format', { params: { formats: Object.keys(FORMATS).join(', ') } });
+  }
+
+  return {
+    format,
+    from: parseDateParam(query.from, 'from'),
+    to: parseDateParam(query.to, 'to'),
+    version: query.version ? parseIntParam(query.version, 'version') : null,
+    pseudonymise: ['true', '1'].includes(String(query.pseudonymise))
+  };
+}
+
+// Seudónimo estable: el mismo email da siempre el mismo identificador, así
+// que se pueden cruzar exportaciones sin conocer el email
+function pseudonym(prefix, value) {
+  if (!value) return '';
+  const key = process.env.EXPORT_PSEUDONYM_KEY || process.env.JWT_SECRET || 'sasa';
+  return `${prefix}_${crypto.createHmac('sha256', key).update(String(value)).digest('hex').slice(0, 16)}`;
+}
+
+// Columnas para las preguntas de las versiones exportadas. Se identifican por
+// question_key, así que una pregunta que se repite entre versiones comparte
+// columnas; las opciones nuevas de una versión posterior se añaden al final.
+function buildColumns(questions) {
+  const columns = [];
+  const seen = new Set();
+
+  const add = (column) => {
+    if (seen.has(column.name)) return;
+    seen.add(column.name);
+    columns.push(column);
+  };
+
+  for (const question of questions) {
+    const key = question.question_key;
+    const options = question.options || [];
+
+    switch (question.question_type) {
+      case 'checkbox':
+        for (const option of options) {
+          add({ name: `${key}[${option.value}]`, key, value: (answer) => (answer.options ? (answer.options.includes(option.value) ? 1 : 0) : '') });
+        }
+        break;
+      case 'ranking':
+        for (const option of options) {
+          add({ name: `${key}[${option.value}]`, key, value: (answer) => (answer.options ? answer.options.indexOf(option.value) + 1 || '' : '') });
+        }
+        break;
+      case 'matrix':
+        for (const row of (question.settings && question.settings.rows) || []) {
+          add({ name: `${key}[${row.value}]`, key, value: (answer) => (answer.options ? answer.options[row.value] ?? '' : '') });
+        }
+        break;
+      default:
+        add({ name: key, key, value: (answer) => answer.text ?? '' });
+    }
+  }
+
+  return columns;
+}
+
+function csvCell(value, separator) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Evita que una hoja de cálculo interprete la respuesta como fórmula
+  // (los números negativos se dejan tal cual)
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /["\r\n]/.test(text) || text.includes(separator) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createWriter(res, format, header) {
+  const { separator } = FORMATS[format];
+  let first = true;
+
+  if (format === 'json') {
+    return {
+      start: () => res.write('['),
+      row: (values) => {
+        const record = Object.fromEntries(header.map((name, index) => [name, values[index] === '' ? null : values[index]]));
+        res.write(`${first ? '' : ','}\n${JSON.stringify(record)}`);
+        first = false;
+      },
+      end: () => res.end('\n]\n')
+    };
+  }
+
+  const line = (values) => `${values.map((value) => csvCell(value, separator)).join(separator)}\r\n`;
+  return {
+    start: () => res.write(`${FORMATS[format].bom ? '\uFEFF' : ''}${line(header)}`),
+    row: (values) => res.write(line(values)),
+    end: () => res.end()
+  };
+}
+
+// Espera a que se vacíe el búfer si el cliente lee más despacio. Si el
+// cliente corta la descarga no llega 'drain' sino 'close' (o 'error').
+function drain(res) {
+  if (!res.writableNeedDrain || isClosed(res)) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+}
+
+// El cliente cortó la descarga o la respuesta ya terminó
+function isClosed(res) {
+  return res.destroyed || res.writableEnded;
+}
+
+async function streamSurveyExport(surveyId, options, res) {
+  const surveyResult = await pool.query('SELECT id, survey_key FROM surveys WHERE id = $1', [surveyId]);
+  if (surveyResult.rows.length === 0) {
+    throw httpError(404, 'survey_not_found');
+  }
+  const survey = surveyResult.rows[0];
+
+  const versionsResult = await pool.query(`
+    SELECT id, version FROM survey_versions
+    WHERE survey_id = $1 AND status = 'published' AND ($2::int IS NULL OR version = $2)
+    ORDER BY version
+  `, [surveyId, options.version]);
+  if (options.version && versionsResult.rows.length === 0) {
+    throw httpError(404, 'version_not_published');
+  }
+
+  const versionIds = versionsResult.rows.map((row) => row.id);
+  const questionsResult = await pool.query(`
+    SELECT sq.* FROM survey_questions sq
+    JOIN survey_versions v ON v.id = sq.survey_version_id
+    WHERE sq.survey_version_id = ANY($1::int[])
+    ORDER BY v.version DESC, sq.order_index, sq.id
+  `, [versionIds]);
+
+  // Orden y opciones de la versión más reciente primero
+  const columns = buildColumns(questionsResult.rows);
+  const header = [
+    options.pseudonymise ? 'respondent' : 'email',
+    'ip_address',
+    'completed_at',
+    'survey_version',
+    'review_status',
+    ...columns.map((column) => column.name)
+  ];
+
+  const { extension, contentType } = FORMATS[options.format];
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${survey.survey_key}-${date}.${extension}"`);
+
+  const writer = createWriter(res, options.format, header);
+  writer.start();
+
+  // Lotes por (completed_at, id) para no repetir ni saltar filas
+  let cursor = null;
+  for (;;) {
+    const batch = await pool.query(`
+      SELECT ucs.id, ucs.user_id, ucs.completed_at, ucs.completed_at::text as cursor_at,
+             u.email, u.ip_address, v.version, sr.status as review_status
+      FROM user_completed_surveys ucs
+      JOIN users u ON u.id = ucs.user_id
+      JOIN survey_versions v ON v.id = ucs.survey_version_id
+      LEFT JOIN submission_reviews sr ON sr.completed_survey_id = ucs.id
+      WHERE ucs.survey_id = $1
+        AND ucs.survey_version_id = ANY($2::int[])
+        AND u.anonymized_at IS NULL
+        AND ($3::timestamptz IS NULL OR ucs.completed_at >= $3)
+        AND ($4::timestamptz IS NULL OR ucs.completed_at < $4)
+        AND ($5::timestamptz IS NULL OR (ucs.completed_at, ucs.id) > ($5, $6::uuid))
+      ORDER BY ucs.completed_at, ucs.id
+      LIMIT ${BATCH_SIZE}
+    `, [surveyId, versionIds, options.from || null, options.to || null,
+      cursor && cursor.cursor_at, cursor && cursor.id]);
+
+    if (batch.rows.length === 0) break;
+
+    const answersResult = await pool.query(`
+      SELECT usr.user_id, sq.question_key, usr.answer_text, usr.answer_options
+      FROM user_survey_responses usr
+      JOIN survey_questions sq ON sq.id = usr.question_id
+      WHERE usr.survey_id = $1 AND usr.user_id = ANY($2::uuid[])
+    `, [surveyId, batch.rows.map((row) => row.user_id)]);
+
+    const answersByUser = new Map();
+    for (const answer of answersResult.rows) {
+      if (!answersByUser.has(answer.user_id)) answersByUser.set(answer.user_id, {});
+      answersByUser.get(answer.user_id)[answer.question_key] = { text: answer.answer_text, options: answer.answer_options };
+    }
+
+    for (const respondent of batch.rows) {
+      const answers = answersByUser.get(respondent.user_id) || {};
+      writer.row([
+        options.pseudonymise ? pseudonym('r', respondent.email) : respondent.email,
+        options.pseudonymise ? pseudonym('ip', respondent.ip_address) : respondent.ip_address || '',
+        respondent.completed_at.toISOString(),
+        respondent.version,
+        respondent.review_status || '',
+        ...columns.map((column) => (answers[column.key] ? column.value(answers[column.key]) : ''))
+      ]);
+      await drain(res);
+      // Sin nadie al otro lado no se sigue leyendo
+      if (isClosed(res)) return;
+    }
+
+    cursor = batch.rows[batch.rows.length - 1];
+    if (batch.rows.length < BATCH_SIZE) break;
+  }
+
+  writer.end();
+}
+
+module.exports = {
+  FORMATS,
+  parseExportOptions,
+  streamSurveyExport
+};
@@ -0,0 +1,80 @@
+// Datos del usuario autenticado (/api/me, /api/referrals)
+const express = require('express');
+const audit = require('../audit');
+const auth = require('../auth');
+const dataStore = require('../dataStore');
+const i18n = require('../i18n');
+const privacy = require('../privacy');
+const { httpError, sendError } = require('../errors');
+
+function createAccountRouter() {
+  const router = express.Router();
+
+  // Perfil con saldo y encuestas completadas
+  router.get('/me', auth.requireAuth, async (req, res) => {
+    try {
+      res.json(await dataStore.getStore().getProfile(req.user.id));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo el perfil');
+    }
+  });
+
+  // Idioma de la cuenta ({ locale }: es, ca, en, o null para seguir el del
+  // navegador). Se usa en las respuestas de la API y en los emails.
+  router.patch('/me', auth.requireAuth, async (req, res) => {
+    try {
+      const { locale } = req.body;
+      if (locale !== null && !i18n.isLocale(locale)) {
+        throw httpError(400, 'invalid_locale', { params: { locales: i18n.LOCALES.join(', ') } });
+      }
+
+      res.json({ locale: await dataStore.getStore().setLocale(req.user.id, locale) });
+    } catch (error) {
+      sendError(res, error, 'Error cambiando el idioma');
+    }
+  });
+
+  // Copia en JSON de todos los datos que guardamos del usuario (RGPD)
+  router.get('/me/export', auth.requireAuth, async (req, res) => {
+    try {
+      const data = await privacy.exportUserData(req.user.id);
+      await audit.record('data_exported', { ...audit.fromRequest(req), userId: req.user.id });
+      const date = data.exported_at.slice(0, 10).replace(/-/g, '');
+      res.setHeader('Content-Disposition', `attachment; filename="mis-datos-${date}.json"`);
+      res.json(data);
+    } catch (error) {
+      sendError(res, error, 'Error exportando los datos');
+    }
+  });
+
+  // Borrar la cuenta. Pide la contraseña para confirmar; la sesión deja de
+  // valer en cuanto termina.
+  router.delete('/me', auth.requireAuth, async (req, res) => {
+    try {
+      const user = await dataStore.getStore().findUserByEmail(req.user.email);
+      const valid = user ? await auth.verifyPassword(req.body.password || '', user.password_hash) : false;
+      // 403 y no 401: la web cierra la sesión al recibir un 401
+      if (!valid) {
+        throw httpError(403, 'wrong_password');
+      }
+
+      await privacy.eraseUser(req.user.id);
+      res.json({ success: true, message: req.t('account_erased') });
+    } catch (error) {
+      sendError(res, error, 'Error borrando la cuenta');
+    }
+  });
+
+  // Referidos del usuario, su progreso y los bonos
+  router.get('/referrals', auth.requireAuth, async (req, res) => {
+    try {
+      res.json(await dataStore.getStore().getReferralSummary(req.user.id));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo los referidos');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
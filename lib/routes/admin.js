@@ -0,0 +1,476 @@
+// Administración (/api/admin). Todas las rutas requieren sesión con rol
+// admin o staff; las que modifican datos exigen además el rol admin.
+const express = require('express');
+const auth = require('../auth');
+const audit = require('../audit');
+const surveyBuilder = require('../surveyBuilder');
+const surveyAnswers = require('../surveyAnswers');
+const withdrawals = require('../withdrawals');
+const payouts = require('../payouts');
+const fraud = require('../fraud');
+const responseExport = require('../responseExport');
+const surveyResults = require('../surveyResults');
+const repositories = require('../repositories');
+const logger = require('../logger');
+const { withTransaction } = require('../db');
+const { httpError, sendError } = require('../errors');
+const { parsePagination, paginatedResponse, parseDateParam, parseIntParam, parseUuidParam } = require('../pagination');
+
+// Filtros opcionales de los listados: undefined si no vienen y 400 si no son
+// válidos, para que no lleguen a la consulta
+const optionalInt = (value, name) => (value ? parseIntParam(value, name) : undefined);
+const optionalUuid = (value, name) => (value ? parseUuidParam(value, name) : undefined);
+
+function optionalBoolean(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (value !== 'true' && value !== 'false') {
+    throw httpError(400, 'invalid_param', { params: { name } });
+  }
+  return value === 'true';
+}
+
+function createAdminRouter() {
+  const router = express.Router();
+
+  router.use(auth.requireAuth, auth.requireRole('admin', 'staff'));
+
+  // Estadísticas generales
+  router.get('/stats', async (req, res) => {
+    try {
+      res.json(await repositories.users.getStats());
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo las estadísticas');
+    }
+  });
+
+  // Últimas 100 respuestas de todas las encuestas
+  router.get('/responses', async (req, res) => {
+    try {
+      const rows = await repositories.responses.listRecent(100);
+      res.json(rows.map((row) => ({
+        ...row,
+        answer: surveyAnswers.formatAnswer(row.question_type, row.answer_text, row.answer_options)
+      })));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo las respuestas');
+    }
+  });
+
+  // Exportación completa de una encuesta, una fila por persona
+  // Parámetros: format (csv, xlsx, json), from, to, version, pseudonymise.
+  // El rol staff solo puede exportar datos seudonimizados.
+  router.get('/surveys/:id/export', async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      const options = responseExport.parseExportOptions(req.query);
+      if (req.user.role !== 'admin') {
+        options.pseudonymise = true;
+      }
+
+      await audit.record('survey_exported', {
+        ...audit.fromRequest(req),
+        target: { type: 'survey', id: surveyId },
+        metadata: options
+      });
+      await responseExport.streamSurveyExport(surveyId, options, res);
+    } catch (error) {
+      // Si ya se había empezado a enviar el fichero solo queda cortarlo
+      if (res.headersSent) {
+        logger.error('Error exportando respuestas', { error });
+        return res.destroy(error);
+      }
+      sendError(res, error, 'Error exportando respuestas');
+    }
+  });
+
+  // Resultados agregados de una encuesta (panel de resultados)
+  // Parámetros: from, to, version y crosstab=pregunta_fila,pregunta_columna (repetible)
+  router.get('/surveys/:id/results', async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      const options = surveyResults.parseResultsOptions(req.query);
+      res.json(await surveyResults.getSurveyResults(surveyId, options));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo los resultados');
+    }
+  });
+
+  // Usuarios. Filtros: q (email), role, email_verified, from, to
+  router.get('/users', async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { rows, total } = await repositories.users.list({
+        q: req.query.q,
+        role: req.query.role,
+        emailVerified: optionalBoolean(req.query.email_verified, 'email_verified'),
+        from: parseDateParam(req.query.from, 'from'),
+        to: parseDateParam(req.query.to, 'to')
+      }, pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error listando usuarios');
+    }
+  });
+
+  // Cambiar el rol de un usuario (solo admin)
+  router.patch('/users/:id/role', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!auth.ROLES.includes(role)) {
+        throw httpError(400, 'invalid_role', { params: { roles: auth.ROLES.join(', ') } });
+      }
+      if (req.params.id === req.user.id) {
+        throw httpError(400, 'own_role');
+      }
+
+      const { previous_role: previousRole, ...user } = await withTransaction(async (client) => {
+        const updated = await repositories.users.updateRole(parseUuidParam(req.params.id, 'id'), role, client);
+        if (!updated) {
+          throw httpError(404, 'user_not_found');
+        }
+
+        await audit.record('role_changed', {
+          ...audit.fromRequest(req),
+          userId: updated.id,
+          target: { type: 'user', id: updated.id },
+          before: { role: updated.previous_role },
+          after: { role: updated.role }
+        }, client);
+        return updated;
+      });
+
+      res.json(user);
+    } catch (error) {
+      sendError(res, error, 'Error cambiando el rol');
+    }
+  });
+
+  // Registro de auditoría (solo admin: incluye IPs y navegadores). Filtros:
+  // type (uno o varios separados por comas), user_id (eventos sobre la cuenta
+  // o hechos por ella), actor_id, target_type, target_id, request_id, q
+  // (parte de la descripción), from, to
+  function parseActivityFilters(query) {
+    const types = query.type ? String(query.type).split(',').map((type) => type.trim()).filter(Boolean) : [];
+    const unknown = types.find((type) => !audit.EVENT_TYPES[type]);
+    if (unknown) {
+      throw httpError(400, 'invalid_activity_type', { params: { type: unknown } });
+    }
+
+    return {
+      types,
+      userId: optionalUuid(query.user_id, 'user_id'),
+      actorId: optionalUuid(query.actor_id, 'actor_id'),
+      targetType: query.target_type,
+      targetId: query.target_id,
+      requestId: query.request_id,
+      q: query.q,
+      from: parseDateParam(query.from, 'from'),
+      to: parseDateParam(query.to, 'to')
+    };
+  }
+
+  router.get('/activity', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { rows, total } = await audit.timeline(parseActivityFilters(req.query), pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo la actividad');
+    }
+  });
+
+  // Línea de tiempo de un usuario: lo que ha hecho y lo que se ha hecho sobre
+  // su cuenta. Admite los mismos filtros salvo user_id.
+  router.get('/users/:id/activity', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const filters = {
+        ...parseActivityFilters(req.query),
+        userId: parseUuidParam(req.params.id, 'id')
+      };
+      const { rows, total } = await audit.timeline(filters, pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo la actividad del usuario');
+    }
+  });
+
+  // Encuestas completadas. Filtros: survey_id, user_id, from, to
+  router.get('/completed-surveys', async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { rows, total } = await repositories.responses.listCompletions({
+        surveyId: optionalInt(req.query.survey_id, 'survey_id'),
+        userId: optionalUuid(req.query.user_id, 'user_id'),
+        from: parseDateParam(req.query.from, 'from'),
+        to: parseDateParam(req.query.to, 'to')
+      }, pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error listando encuestas completadas');
+    }
+  });
+
+  // Transacciones. Filtros: type, status, user_id, from, to
+  router.get('/transactions', async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { rows, total } = await repositories.transactions.list({
+        type: req.query.type,
+        status: req.query.status,
+        userId: optionalUuid(req.query.user_id, 'user_id'),
+        from: parseDateParam(req.query.from, 'from'),
+        to: parseDateParam(req.query.to, 'to')
+      }, pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error listando transacciones');
+    }
+  });
+
+  // Solicitudes de retiro. Filtros: status, user_id, from, to
+  router.get('/withdrawals', async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { rows, total } = await repositories.withdrawals.list({
+        status: req.query.status,
+        userId: optionalUuid(req.query.user_id, 'user_id'),
+        from: parseDateParam(req.query.from, 'from'),
+        to: parseDateParam(req.query.to, 'to')
+      }, pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error listando retiros');
+    }
+  });
+
+  // Ciclo de vida de un retiro (solo admin): aprobar, rechazar y marcar como
+  // pagado. Las transiciones permitidas están en withdrawals.TRANSITIONS.
+  function withdrawalTransitionRoute(status, fallbackMessage) {
+    return async (req, res) => {
+      try {
+        const withdrawal = await withdrawals.transitionWithdrawal(req.params.id, status, {
+          adminNotes: req.body.admin_notes,
+          paypalTransactionId: req.body.paypal_transaction_id,
+          adminId: req.user.id,
+          ip: req.ip
+        });
+        res.json(withdrawal);
+      } catch (error) {
+        sendError(res, error, fallbackMessage);
+      }
+    };
+  }
+
+  // Al aprobar un retiro se envía a PayPal. Si el envío falla el retiro queda
+  // aprobado y se puede reintentar con /payout.
+  router.post('/withdrawals/:id/approve', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const approved = await withdrawals.transitionWithdrawal(req.params.id, 'processing', {
+        adminNotes: req.body.admin_notes,
+        adminId: req.user.id,
+        ip: req.ip
+      });
+
+      try {
+        res.json(await payouts.sendPayout(approved.id, { adminId: req.user.id }));
+      } catch (error) {
+        if (!error.status) logger.error('Error enviando el pago', { error });
+        res.json({ ...approved, payout_error: error.status ? error.message : 'Error enviando el pago' });
+      }
+    } catch (error) {
+      sendError(res, error, 'Error aprobando el retiro');
+    }
+  });
+
+  router.post('/withdrawals/:id/payout', auth.requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await payouts.sendPayout(req.params.id, { adminId: req.user.id }));
+    } catch (error) {
+      sendError(res, error, 'Error enviando el pago');
+    }
+  });
+
+  router.post('/withdrawals/:id/reject', auth.requireRole('admin'),
+    withdrawalTransitionRoute('failed', 'Error rechazando el retiro'));
+  router.post('/withdrawals/:id/mark-paid', auth.requireRole('admin'),
+    withdrawalTransitionRoute('completed', 'Error marcando el retiro como pagado'));
+
+  // Cola de revisión de envíos con riesgo de fraude
+  // Filtros: status (por defecto pending), survey_id, user_id
+  router.get('/reviews', async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { rows, total } = await fraud.listReviews({
+        status: req.query.status || 'pending',
+        surveyId: optionalInt(req.query.survey_id, 'survey_id'),
+        userId: optionalUuid(req.query.user_id, 'user_id')
+      }, pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error listando revisiones');
+    }
+  });
+
+  // clear paga la recompensa retenida; reject la anula
+  function reviewDecisionRoute(decision, fallbackMessage) {
+    return async (req, res) => {
+      try {
+        const review = await fraud.resolveReview(parseUuidParam(req.params.id, 'id'), decision, {
+          adminId: req.user.id,
+          adminNotes: req.body.admin_notes
+        });
+        res.json(review);
+      } catch (error) {
+        sendError(res, error, fallbackMessage);
+      }
+    };
+  }
+
+  router.post('/reviews/:id/clear', auth.requireRole('admin'),
+    reviewDecisionRoute('clear', 'Error aprobando el envío'));
+  router.post('/reviews/:id/reject', auth.requireRole('admin'),
+    reviewDecisionRoute('reject', 'Error rechazando el envío'));
+
+  // Editor de encuestas (admin). Las preguntas pertenecen a una versión: solo
+  // los borradores se pueden modificar y al publicar pasan a ser inmutables.
+  router.get('/surveys', async (req, res) => {
+    try {
+      res.json(await surveyBuilder.listSurveys());
+    } catch (error) {
+      sendError(res, error, 'Error listando encuestas');
+    }
+  });
+
+  router.post('/surveys', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const survey = await surveyBuilder.createSurvey(req.body, audit.fromRequest(req));
+      res.status(201).json(survey);
+    } catch (error) {
+      sendError(res, error, 'Error creando la encuesta');
+    }
+  });
+
+  router.get('/surveys/:id', async (req, res) => {
+    try {
+      res.json(await surveyBuilder.getSurvey(parseIntParam(req.params.id, 'id')));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo la encuesta');
+    }
+  });
+
+  router.patch('/surveys/:id', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const survey = await surveyBuilder.updateSurvey(parseIntParam(req.params.id, 'id'), req.body, audit.fromRequest(req));
+      res.json(survey);
+    } catch (error) {
+      sendError(res, error, 'Error actualizando la encuesta');
+    }
+  });
+
+  router.delete('/surveys/:id', auth.requireRole('admin'), async (req, res) => {
+    try {
+      await surveyBuilder.deleteSurvey(parseIntParam(req.params.id, 'id'), audit.fromRequest(req));
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Error borrando la encuesta');
+    }
+  });
+
+  // Crea un nuevo borrador a partir de la última versión
+  router.post('/surveys/:id/versions', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const draft = await surveyBuilder.createDraftVersion(parseIntParam(req.params.id, 'id'), audit.fromRequest(req));
+      res.status(201).json(draft);
+    } catch (error) {
+      sendError(res, error, 'Error creando la versión');
+    }
+  });
+
+  router.get('/surveys/:id/versions/:version', async (req, res) => {
+    try {
+      res.json(await surveyBuilder.getVersionWithQuestions(
+        parseIntParam(req.params.id, 'id'),
+        parseIntParam(req.params.version, 'version')
+      ));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo la versión');
+    }
+  });
+
+  router.post('/surveys/:id/versions/:version/publish', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const published = await surveyBuilder.publishVersion(
+        parseIntParam(req.params.id, 'id'),
+        parseIntParam(req.params.version, 'version'),
+        audit.fromRequest(req)
+      );
+      res.json(published);
+    } catch (error) {
+      sendError(res, error, 'Error publicando la versión');
+    }
+  });
+
+  router.post('/surveys/:id/versions/:version/questions', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const question = await surveyBuilder.addQuestion(
+        parseIntParam(req.params.id, 'id'),
+        parseIntParam(req.params.version, 'version'),
+        req.body,
+        audit.fromRequest(req)
+      );
+      res.status(201).json(question);
+    } catch (error) {
+      sendError(res, error, 'Error creando la pregunta');
+    }
+  });
+
+  router.patch('/surveys/:id/versions/:version/questions/:questionId', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const question = await surveyBuilder.updateQuestion(
+        parseIntParam(req.params.id, 'id'),
+        parseIntParam(req.params.version, 'version'),
+        parseIntParam(req.params.questionId, 'questionId'),
+        req.body,
+        audit.fromRequest(req)
+      );
+      res.json(question);
+    } catch (error) {
+      sendError(res, error, 'Error actualizando la pregunta');
+    }
+  });
+
+  // Sustituye las traducciones de una pregunta, también en versiones publicadas
+  router.put('/surveys/:id/versions/:version/questions/:questionId/translations', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const question = await surveyBuilder.updateQuestionTranslations(
+        parseIntParam(req.params.id, 'id'),
+        parseIntParam(req.params.version, 'version'),
+        parseIntParam(req.params.questionId, 'questionId'),
+        req.body,
+        audit.fromRequest(req)
+      );
+      res.json(question);
+    } catch (error) {
+      sendError(res, error, 'Error actualizando las traducciones');
+    }
+  });
+
+  router.delete('/surveys/:id/versions/:version/questions/:questionId', auth.requireRole('admin'), async (req, res) => {
+    try {
+      await surveyBuilder.deleteQuestion(
+        parseIntParam(req.params.id, 'id'),
+        parseIntParam(req.params.version, 'version'),
+        parseIntParam(req.params.questionId, 'questionId'),
+        audit.fromRequest(req)
+      );
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Error borrando la pregunta');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,210 @@
+// Registro, sesiones, verificación de email y restablecimiento de contraseña
+// (/api/auth)
+const express = require('express');
+const auth = require('../auth');
+const accountTokens = require('../accountTokens');
+const audit = require('../audit');
+const dataStore = require('../dataStore');
+const i18n = require('../i18n');
+const privacy = require('../privacy');
+const repositories = require('../repositories');
+const logger = require('../logger');
+const { httpError, sendError } = require('../errors');
+
+function createAuthRouter({ limits }) {
+  const router = express.Router();
+
+  router.post('/register', limits.registerIp, async (req, res) => {
+    try {
+      const email = auth.normalizeEmail(req.body.email);
+      const { password } = req.body;
+      const userIp = req.ip;
+      const userAgent = req.headers['user-agent'] || '';
+
+      if (!auth.isValidEmail(email)) {
+        throw httpError(400, 'invalid_email');
+      }
+
+      const passwordError = auth.validatePassword(password);
+      if (passwordError) {
+        throw passwordError;
+      }
+
+      // Idioma elegido en la web al registrarse (opcional)
+      const locale = req.body.locale || null;
+      if (locale !== null && !i18n.isLocale(locale)) {
+        throw httpError(400, 'invalid_locale', { params: { locales: i18n.LOCALES.join(', ') } });
+      }
+
+      const consent = privacy.requireConsent(req.body.consent, 'terms');
+      const passwordHash = await auth.hashPassword(password);
+
+      const user = await dataStore.getStore().createUser({
+        email,
+        passwordHash,
+        ip: userIp,
+        userAgent,
+        referralCode: req.body.referralCode,
+        consent,
+        locale
+      });
+
+      if (!user) {
+        throw httpError(409, 'email_taken');
+      }
+
+      // Un fallo del correo no impide el registro: se puede pedir otro enlace.
+      // En modo demostración no se envían emails.
+      if (!dataStore.isDemoMode()) {
+        try {
+          await accountTokens.sendVerificationEmail(user, req.locale);
+        } catch (mailError) {
+          logger.error('verification_email_error', { userId: user.id, error: mailError });
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        token: auth.signToken(user),
+        user
+      });
+    } catch (error) {
+      sendError(res, error, 'Error creando la cuenta');
+    }
+  });
+
+  router.post('/login', limits.loginIp, limits.loginAccount, async (req, res) => {
+    try {
+      const { email: rawEmail, password } = req.body;
+      if (typeof rawEmail !== 'string' || typeof password !== 'string') {
+        throw httpError(400, 'credentials_required');
+      }
+
+      const email = auth.normalizeEmail(rawEmail);
+      if (!email || !password) {
+        throw httpError(400, 'credentials_required');
+      }
+
+      const store = dataStore.getStore();
+      const user = await store.findUserByEmail(email);
+      const valid = user ? await auth.verifyPassword(password, user.password_hash) : false;
+      const { ip, userAgent } = audit.fromRequest(req);
+
+      // Los intentos con un email que no existe no se asocian a ninguna cuenta
+      if (!valid) {
+        await store.recordEvent('login_failed', {
+          userId: user ? user.id : null,
+          ip,
+          userAgent,
+          metadata: { reason: user ? 'wrong_password' : 'unknown_email' }
+        });
+        throw httpError(401, 'invalid_credentials');
+      }
+
+      await store.recordLogin(user.id);
+      await store.recordEvent('login', { userId: user.id, actorId: user.id, ip, userAgent });
+
+      delete user.password_hash;
+      res.json({
+        success: true,
+        token: auth.signToken(user),
+        user
+      });
+    } catch (error) {
+      sendError(res, error, 'Error iniciando sesión');
+    }
+  });
+
+  // Cierre de sesión: revoca el token actual
+  router.post('/logout', auth.requireAuth, async (req, res) => {
+    try {
+      await auth.revokeToken(req.auth);
+      await dataStore.getStore().recordEvent('logout', { userId: req.user.id, ...audit.fromRequest(req) });
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Error cerrando sesión');
+    }
+  });
+
+  // Reenviar el email de verificación
+  router.post('/verify-email/request', auth.requireAuth, limits.verifyEmailUser, async (req, res) => {
+    try {
+      if (req.user.email_verified) {
+        throw httpError(400, 'email_already_verified');
+      }
+
+      await accountTokens.sendVerificationEmail(req.user, req.locale);
+      res.json({ success: true, message: req.t('verification_sent') });
+    } catch (error) {
+      sendError(res, error, 'Error enviando el email de verificación');
+    }
+  });
+
+  // Confirmar el email con el token recibido
+  router.post('/verify-email/confirm', limits.accountEmailIp, async (req, res) => {
+    try {
+      const { token } = req.body;
+      if (!token) {
+        throw httpError(400, 'token_required');
+      }
+
+      const userId = await accountTokens.confirmEmailVerification(token);
+      if (!userId) {
+        throw httpError(400, 'invalid_link');
+      }
+
+      await audit.record('email_verified', { ...audit.fromRequest(req), userId, actorId: userId });
+      res.json({ success: true, message: req.t('email_verified') });
+    } catch (error) {
+      sendError(res, error, 'Error verificando el email');
+    }
+  });
+
+  // Solicitar el restablecimiento de contraseña. Responde siempre igual para
+  // no revelar qué emails están registrados.
+  router.post('/password-reset/request', limits.accountEmailIp, limits.accountEmail, async (req, res) => {
+    try {
+      const user = await repositories.users.findByEmail(auth.normalizeEmail(req.body.email));
+      if (user) {
+        await accountTokens.sendPasswordResetEmail(user, i18n.isLocale(user.locale) ? user.locale : req.locale);
+      }
+
+      res.json({
+        success: true,
+        message: req.t('password_reset_requested')
+      });
+    } catch (error) {
+      sendError(res, error, 'Error solicitando el restablecimiento');
+    }
+  });
+
+  // Fijar una nueva contraseña con el token recibido
+  router.post('/password-reset/confirm', limits.accountEmailIp, async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      if (!token) {
+        throw httpError(400, 'token_required');
+      }
+
+      const passwordError = auth.validatePassword(password);
+      if (passwordError) {
+        throw passwordError;
+      }
+
+      const passwordHash = await auth.hashPassword(password);
+      const userId = await accountTokens.confirmPasswordReset(token, passwordHash);
+      if (!userId) {
+        throw httpError(400, 'invalid_link');
+      }
+
+      await audit.record('password_reset', { ...audit.fromRequest(req), userId, actorId: userId });
+      res.json({ success: true, message: req.t('password_updated') });
+    } catch (error) {
+      sendError(res, error, 'Error restableciendo la contraseña');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
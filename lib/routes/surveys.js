@@ -0,0 +1,162 @@
+// Encuestas para los usuarios: listado, preguntas, inicio y envío (/api/surveys)
+const express = require('express');
+const auth = require('../auth');
+const dataStore = require('../dataStore');
+const privacy = require('../privacy');
+const surveyAnswers = require('../surveyAnswers');
+const surveyTranslations = require('../surveyTranslations');
+const logger = require('../logger');
+const { httpError, sendError } = require('../errors');
+const { parseIntParam } = require('../pagination');
+
+// Versión publicada vigente con sus preguntas, o 404
+async function findPublishedSurvey(store, surveyId) {
+  const survey = await store.getPublishedSurvey(surveyId);
+  if (!survey) {
+    throw httpError(404, 'survey_not_available');
+  }
+  return survey;
+}
+
+function createSurveysRouter({ limits }) {
+  const router = express.Router();
+
+  // Solo las encuestas que el usuario puede responder ahora: abiertas, con
+  // cupo y para su público (sin sesión, las que son para todo el mundo).
+  // Títulos, preguntas y opciones van en el idioma de la petición; los
+  // valores de las opciones son los mismos en todos los idiomas.
+  router.get('/', auth.optionalAuth, async (req, res) => {
+    try {
+      const surveys = await dataStore.getStore().listAvailableSurveys(req.user ? req.user.id : null);
+      res.json(surveys.map((survey) => surveyTranslations.localizeSurvey(survey, req.locale)));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo las encuestas');
+    }
+  });
+
+  // Preguntas de la versión publicada vigente
+  router.get('/:id/questions', async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      const survey = await findPublishedSurvey(dataStore.getStore(), surveyId);
+      res.json(survey.questions.map((question) => surveyTranslations.localizeQuestion(question, req.locale)));
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo las preguntas');
+    }
+  });
+
+  // Marca el inicio de una encuesta; el tiempo hasta el envío cuenta para la
+  // puntuación de riesgo. Si hay respuestas guardadas, la encuesta se retoma
+  // y se devuelven: { resumed, draft }.
+  router.post('/:id/start', auth.requireAuth, async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      const store = dataStore.getStore();
+      const survey = await findPublishedSurvey(store, surveyId);
+      res.json(await store.recordSurveyStart({
+        userId: req.user.id,
+        surveyId,
+        surveyVersion: survey.version,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || ''
+      }));
+    } catch (error) {
+      sendError(res, error, 'Error registrando el inicio de la encuesta');
+    }
+  });
+
+  // Respuestas guardadas de una encuesta a medias
+  router.get('/:id/draft', auth.requireAuth, async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      const draft = await dataStore.getStore().getDraft(req.user.id, surveyId);
+      if (!draft) {
+        throw httpError(404, 'draft_not_found');
+      }
+      res.json(draft);
+    } catch (error) {
+      sendError(res, error, 'Error obteniendo las respuestas guardadas');
+    }
+  });
+
+  // Guarda las respuestas a medias ({ responses }, como en el envío). Las
+  // que no serían válidas se descartan; se validan todas al enviar.
+  router.put('/:id/draft', auth.requireAuth, async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      const store = dataStore.getStore();
+      const survey = await findPublishedSurvey(store, surveyId);
+      const { responses, lastQuestionKey } = surveyAnswers.sanitizeDraft(survey.questions, req.body.responses);
+
+      res.json(await store.saveDraft({
+        userId: req.user.id,
+        surveyId,
+        surveyVersion: survey.version,
+        responses,
+        lastQuestionKey
+      }));
+    } catch (error) {
+      sendError(res, error, 'Error guardando las respuestas');
+    }
+  });
+
+  // Descarta las respuestas guardadas para empezar de cero
+  router.delete('/:id/draft', auth.requireAuth, async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      await dataStore.getStore().discardDraft(req.user.id, surveyId);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'Error descartando las respuestas guardadas');
+    }
+  });
+
+  router.post('/:id/submit', limits.submitIp, auth.requireAuth, limits.submitUser, async (req, res) => {
+    try {
+      const surveyId = parseIntParam(req.params.id, 'id');
+      const userId = req.user.id;
+      const { responses } = req.body;
+
+      const userIp = req.ip;
+      const userAgent = req.headers['user-agent'] || '';
+
+      logger.debug('survey_submission', {
+        surveyId,
+        userId,
+        userIp,
+        userAgent: userAgent.substring(0, 100),
+        responsesCount: Object.keys(responses || {}).length
+      });
+
+      // Versión publicada vigente: las respuestas se validan contra sus preguntas
+      // y apuntan a ellas. Nada se guarda ni se paga si el envío no es válido.
+      const store = dataStore.getStore();
+      const survey = await findPublishedSurvey(store, surveyId);
+
+      const consent = privacy.requireConsent(req.body.consent, 'survey');
+      const answers = surveyAnswers.validateSubmission(survey.questions, responses);
+      const result = await store.submitSurvey({
+        userId,
+        surveyId,
+        surveyVersion: survey.version,
+        answers,
+        consent,
+        ip: userIp,
+        userAgent
+      });
+
+      res.json({
+        success: true,
+        message: req.t(result.pendingReview ? 'survey_submitted_pending_review' : 'survey_submitted'),
+        userId,
+        ...result
+      });
+    } catch (error) {
+      sendError(res, error, 'Error enviando la encuesta');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSurveysRouter };
@@ -0,0 +1,75 @@
+// Retiros del usuario y notificaciones de PayPal sobre los pagos
+// (/api/withdrawals, /api/payouts/webhook)
+const express = require('express');
+const auth = require('../auth');
+const withdrawals = require('../withdrawals');
+const payouts = require('../payouts');
+const logger = require('../logger');
+const { httpError, sendError } = require('../errors');
+const { parsePagination, paginatedResponse } = require('../pagination');
+
+function createWithdrawalsRouter({ limits }) {
+  const router = express.Router();
+
+  // Solicitar un retiro. Admite la cabecera Idempotency-Key para que
+  // reintentar la petición no cree una segunda solicitud.
+  router.post('/withdrawals', limits.withdrawalIp, auth.requireAuth, limits.withdrawalUser, auth.requireVerifiedEmail, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { amount, paypalEmail } = req.body;
+
+      const { withdrawal, replayed } = await withdrawals.requestWithdrawal({
+        userId,
+        amount,
+        paypalEmail,
+        idempotencyKey: req.get('Idempotency-Key'),
+        ip: req.ip
+      });
+
+      res.status(replayed ? 200 : 201).json({
+        success: true,
+        message: req.t('withdrawal_requested'),
+        withdrawal
+      });
+    } catch (error) {
+      sendError(res, error, 'Error procesando el retiro');
+    }
+  });
+
+  // Historial de solicitudes de retiro del usuario
+  router.get('/withdrawals', auth.requireAuth, async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const { rows, total } = await withdrawals.listUserWithdrawals(req.user.id, pagination);
+      res.json(paginatedResponse(rows, total, pagination));
+    } catch (error) {
+      sendError(res, error, 'Error listando retiros');
+    }
+  });
+
+  // Notificaciones de PayPal sobre el estado de los pagos. Siempre responde
+  // 200 a los eventos verificados para que PayPal no los reintente.
+  router.post('/payouts/webhook', async (req, res) => {
+    try {
+      const verified = await payouts.getProvider().verifyWebhook({ headers: req.headers, event: req.body });
+      if (!verified) {
+        throw httpError(400, 'invalid_webhook_signature');
+      }
+
+      const result = await payouts.handleWebhookEvent(req.body);
+      logger.info('payout_webhook', {
+        eventType: req.body.event_type,
+        handled: result.handled,
+        reason: result.reason,
+        withdrawalId: result.withdrawal && result.withdrawal.id
+      });
+      res.json({ received: true });
+    } catch (error) {
+      sendError(res, error, 'Error procesando el webhook');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWithdrawalsRouter };
@@ -0,0 +1,213 @@
+const { httpError } = require('./errors');
+const { message } = require('./i18n');
+const surveyLogic = require('./surveyLogic');
+
+// Longitud máxima de las respuestas abiertas
+const MAX_TEXT_LENGTH = {
+  text: 500,
+  textarea: 5000
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fecha YYYY-MM-DD que existe en el calendario (no vale 2024-02-31)
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const time = Date.parse(value);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(answer) {
+  return answer === undefined || answer === null ||
+    (typeof answer === 'string' && answer.trim() === '') ||
+    (Array.isArray(answer) && answer.length === 0) ||
+    (isPlainObject(answer) && Object.keys(answer).length === 0);
+}
+
+// Números de scale y number: rango y múltiplos de step contados desde min
+function checkNumber(answer, { min, max, step } = {}) {
+  const value = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return { code: 'invalid_type' };
+  if (Number.isFinite(min) && value < min) return { code: 'below_min' };
+  if (Number.isFinite(max) && value > max) return { code: 'above_max' };
+  if (Number.isFinite(step)) {
+    const steps = (value - (Number.isFinite(min) ? min : 0)) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) return { code: 'invalid_step' };
+  }
+  return { answer_text: String(value), answer_options: null };
+}
+
+// Devuelve { code } si la respuesta no es válida, o { answer_text, answer_options }
+// con el valor normalizado tal como se guarda en user_survey_responses
+function checkAnswer(question, answer) {
+  const allowed = (question.options || []).map((option) => option.value);
+  const settings = question.settings || {};
+
+  switch (question.question_type) {
+    case 'radio':
+    case 'dropdown':
+      if (typeof answer !== 'string') return { code: 'invalid_type' };
+      if (!allowed.includes(answer)) return { code: 'invalid_option' };
+      return { answer_text: answer, answer_options: null };
+
+    case 'checkbox': {
+      const values = Array.isArray(answer) ? answer : [answer];
+      if (!values.every((value) => typeof value === 'string')) return { code: 'invalid_type' };
+      if (!values.every((value) => allowed.includes(value))) return { code: 'invalid_option' };
+      if (new Set(values).size !== values.length) return { code: 'duplicate_option' };
+      return { answer_text: null, answer_options: values };
+    }
+
+    // Orden completo de todas las opciones, de más a menos prioritaria
+    case 'ranking':
+      if (!Array.isArray(answer) || !answer.every((value) => typeof value === 'string')) return { code: 'invalid_type' };
+      if (!answer.every((value) => allowed.includes(value))) return { code: 'invalid_option' };
+      if (new Set(answer).size !== answer.length) return { code: 'duplicate_option' };
+      if (answer.length !== allowed.length) return { code: 'incomplete' };
+      return { answer_text: null, answer_options: answer };
+
+    // { fila: columna }. Si la pregunta es obligatoria hay que responder todas las filas
+    case 'matrix': {
+      const rows = (settings.rows || []).map((row) => row.value);
+      if (!isPlainObject(answer)) return { code: 'invalid_type' };
+      const entries = Object.entries(answer);
+      if (!entries.every(([row, column]) => rows.includes(row) && allowed.includes(column))) {
+        return { code: 'invalid_option' };
+      }
+      if (question.is_required && entries.length !== rows.length) return { code: 'incomplete' };
+      return { answer_text: null, answer_options: answer };
+    }
+
+    case 'scale':
+      return checkNumber(answer, { min: 1, max: 5, step: 1, ...settings });
+
+    case 'number':
+      return checkNumber(answer, settings);
+
+    case 'date':
+      if (!isValidDate(answer)) {
+        return { code: 'invalid_type' };
+      }
+      if (settings.min && answer < settings.min) return { code: 'below_min' };
+      if (settings.max && answer > settings.max) return { code: 'above_max' };
+      return { answer_text: answer, answer_options: null };
+
+    default: {
+      if (typeof answer !== 'string' && typeof answer !== 'number') return { code: 'invalid_type' };
+      const text = String(answer).trim();
+      if (text.length > MAX_TEXT_LENGTH[question.question_type]) return { code: 'too_long' };
+      return { answer_text: text, answer_options: null };
+    }
+  }
+}
+
+// Comprueba un envío completo contra las preguntas de la versión publicada.
+// Solo cuentan las preguntas que alcanza quien responde según la lógica
+// condicional: is_required se exige solo en ellas y responder a otra es un
+// error. Devuelve las respuestas listas para guardar o lanza un 400 con los
+// errores por question_key: { q1: { code: 'required', message: '...' } }.
+function validateSubmission(questions, responses) {
+  if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+    throw httpError(400, 'invalid_responses_format');
+  }
+
+  const errors = {};
+  const answers = [];
+  const byKey = new Map(questions.map((question) => [question.question_key, question]));
+  const reached = surveyLogic.reachedQuestions(questions, responses);
+  const reachedKeys = new Set(reached.map((question) => question.question_key));
+
+  // Los códigos por pregunta los usa el frontend para marcar cada campo; el
+  // mensaje (answer_<código> en lib/messages) es solo orientativo
+  const addError = (questionKey, code) => {
+    errors[questionKey] = { code, message: message(`answer_${code}`) };
+  };
+
+  for (const questionKey of Object.keys(responses)) {
+    if (!byKey.has(questionKey)) {
+      addError(questionKey, 'unknown_question');
+    } else if (!reachedKeys.has(questionKey) && !isEmpty(responses[questionKey])) {
+      addError(questionKey, 'not_reached');
+    }
+  }
+
+  for (const question of reached) {
+    const answer = responses[question.question_key];
+
+    if (isEmpty(answer)) {
+      if (question.is_required) {
+        addError(question.question_key, 'required');
+      }
+      continue;
+    }
+
+    const result = checkAnswer(question, answer);
+    if (result.code) {
+      addError(question.question_key, result.code);
+      continue;
+    }
+
+    answers.push({ question, ...result });
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'invalid_responses', { details: errors });
+  }
+  if (answers.length === 0) {
+    throw httpError(400, 'empty_submission');
+  }
+
+  return answers;
+}
+
+// Respuestas parciales de un borrador: se quedan las de preguntas de la
+// encuesta que serían válidas, aunque estén a medias (un orden o una matriz
+// sin terminar); el resto se descarta sin error. lastQuestionKey es la
+// última pregunta respondida, en el orden de la encuesta.
+function sanitizeDraft(questions, responses) {
+  if (!isPlainObject(responses)) {
+    throw httpError(400, 'invalid_responses_format');
+  }
+
+  const kept = {};
+  let lastQuestionKey = null;
+  for (const question of questions) {
+    const answer = responses[question.question_key];
+    if (isEmpty(answer)) continue;
+
+    const { code } = checkAnswer(question, answer);
+    if (!code || code === 'incomplete') {
+      kept[question.question_key] = answer;
+      lastQuestionKey = question.question_key;
+    }
+  }
+  return { responses: kept, lastQuestionKey };
+}
+
+// Respuesta legible para los listados y exportaciones de administración
+function formatAnswer(questionType, answerText, answerOptions) {
+  if (answerOptions === null || answerOptions === undefined) {
+    return answerText;
+  }
+
+  switch (questionType) {
+    case 'ranking':
+      return answerOptions.map((value, index) => `${index + 1}. ${value}`).join(', ');
+    case 'matrix':
+      return Object.entries(answerOptions).map(([row, column]) => `${row}: ${column}`).join('; ');
+    default:
+      return [].concat(answerOptions).join(', ');
+  }
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  isValidDate,
+  validateSubmission,
+  sanitizeDraft,
+  formatAnswer
+};
@@ -0,0 +1,127 @@
+// Quién puede ver y enviar cada encuesta. Además de is_active, una encuesta
+// puede tener:
+//
+//   opens_at, closes_at   fechas de apertura y cierre
+//   max_completions       envíos como máximo
+//   budget                importe máximo en recompensas (las pendientes de
+//                         revisión cuentan hasta que se rechazan)
+//   audience              a quién se muestra; tienen que cumplirse todas:
+//                         { completed_surveys: ['main_survey'], referred: true,
+//                           email_verified: true }
+//
+// Todo es opcional (NULL: sin límite, o para todo el mundo). El listado de
+// /api/surveys y el envío usan las mismas reglas; el envío las comprueba con
+// la fila de la encuesta bloqueada, así que los cupos no se superan aunque
+// lleguen envíos a la vez. Lo comparten el almacén de PostgreSQL y el de
+// memoria.
+const { httpError } = require('./errors');
+
+const AUDIENCE_FIELDS = ['completed_surveys', 'referred', 'email_verified'];
+const KEY_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+// Código de error -> estado HTTP
+const STATUS = {
+  survey_not_available: 404,
+  survey_not_open: 409,
+  survey_closed: 409,
+  survey_full: 409,
+  survey_not_eligible: 403
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const cents = (amount) => Math.round(Number(amount || 0) * 100);
+
+// Público de una encuesta ya validado, o null si es para todo el mundo
+// (null o {}). Deja el error en errors.audience.
+function normalizeAudience(audience, errors) {
+  if (audience === null) return null;
+  if (!isPlainObject(audience)) {
+    errors.audience = 'Debe ser un objeto o null';
+    return null;
+  }
+
+  const unknown = Object.keys(audience).filter((field) => !AUDIENCE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.audience = `Condiciones desconocidas: ${unknown.join(', ')}. Valores permitidos: ${AUDIENCE_FIELDS.join(', ')}`;
+    return null;
+  }
+
+  const normalized = {};
+  if (audience.completed_surveys !== undefined) {
+    const keys = audience.completed_surveys;
+    if (!Array.isArray(keys) || keys.length === 0 || !keys.every((key) => typeof key === 'string' && KEY_PATTERN.test(key))) {
+      errors.audience = 'completed_surveys debe ser una lista de claves de encuesta';
+      return null;
+    }
+    normalized.completed_surveys = [...new Set(keys)];
+  }
+  for (const field of ['referred', 'email_verified']) {
+    if (audience[field] === undefined) continue;
+    if (typeof audience[field] !== 'boolean') {
+      errors.audience = `${field} debe ser true o false`;
+      return null;
+    }
+    normalized[field] = audience[field];
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// ¿Cumple el usuario las condiciones del público? member es
+// { email_verified, referred, completed_surveys: [claves] }, o null si no
+// hay sesión: sin sesión solo se ven las encuestas para todo el mundo.
+function matchesAudience(audience, member) {
+  if (!audience) return true;
+  if (!member) return false;
+
+  if (audience.completed_surveys && !audience.completed_surveys.every((key) => member.completed_surveys.includes(key))) {
+    return false;
+  }
+  if (audience.referred !== undefined && Boolean(member.referred) !== audience.referred) {
+    return false;
+  }
+  if (audience.email_verified !== undefined && Boolean(member.email_verified) !== audience.email_verified) {
+    return false;
+  }
+  return true;
+}
+
+// Motivo por el que el usuario no puede responder la encuesta (un código de
+// STATUS), o null si puede
+function unavailableReason(survey, member, now = new Date()) {
+  if (!survey || !survey.is_active) return 'survey_not_available';
+  if (survey.opens_at && new Date(survey.opens_at) > now) return 'survey_not_open';
+  if (survey.closes_at && new Date(survey.closes_at) <= now) return 'survey_closed';
+
+  if (survey.max_completions && survey.completions_count >= survey.max_completions) return 'survey_full';
+  const reward = cents(survey.reward_amount);
+  if (survey.budget && reward > 0 && cents(survey.budget_spent) + reward > cents(survey.budget)) return 'survey_full';
+
+  if (!matchesAudience(survey.audience, member)) return 'survey_not_eligible';
+  return null;
+}
+
+// Lanza el httpError correspondiente si el usuario no puede responder
+function assertAvailable(survey, member, now = new Date()) {
+  const reason = unavailableReason(survey, member, now);
+  if (reason) {
+    throw httpError(STATUS[reason], reason);
+  }
+}
+
+// Lo que se muestra de la campaña en el listado: solo la fecha de cierre
+function publicSurvey({
+  is_active, opens_at, max_completions, budget, audience, completions_count, budget_spent, ...survey
+}) {
+  return { ...survey, closes_at: survey.closes_at || null };
+}
+
+module.exports = {
+  AUDIENCE_FIELDS,
+  normalizeAudience,
+  matchesAudience,
+  unavailableReason,
+  assertAvailable,
+  publicSurvey
+};
@@ -0,0 +1,764 @@
+const audit = require('./audit');
+const { pool, withTransaction } = require('./db');
+const { httpError } = require('./errors');
+const surveyAnswers = require('./surveyAnswers');
+const surveyAvailability = require('./surveyAvailability');
+const surveyLogic = require('./surveyLogic');
+const surveyTranslations = require('./surveyTranslations');
+
+const QUESTION_TYPES = [
+  'radio', 'checkbox', 'text', 'textarea',
+  'scale', 'number', 'date', 'dropdown', 'ranking', 'matrix'
+];
+// Tipos con opciones [{ value, label }]. En matrix las opciones son las columnas.
+const CHOICE_TYPES = ['radio', 'checkbox', 'dropdown', 'ranking', 'matrix'];
+// Escala por defecto: de 1 a 5
+const DEFAULT_SCALE = { min: 1, max: 5, step: 1 };
+const MAX_SCALE_POINTS = 11;
+const KEY_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+// ---------------------------------------------------------------------------
+// Validación
+// ---------------------------------------------------------------------------
+
+function validateSurveyFields(fields, { partial = false } = {}) {
+  const errors = {};
+  const values = {};
+
+  if (!partial || fields.survey_key !== undefined) {
+    if (typeof fields.survey_key !== 'string' || !KEY_PATTERN.test(fields.survey_key)) {
+      errors.survey_key = 'Debe contener solo minúsculas, números y guiones bajos (máx. 50)';
+    } else {
+      values.survey_key = fields.survey_key;
+    }
+  }
+
+  if (!partial || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || !fields.title.trim() || fields.title.length > 200) {
+      errors.title = 'Título requerido (máx. 200 caracteres)';
+    } else {
+      values.title = fields.title.trim();
+    }
+  }
+
+  if (fields.description !== undefined) {
+    values.description = fields.description === null ? null : String(fields.description);
+  }
+
+  if (!partial || fields.reward_amount !== undefined) {
+    const amount = Number(fields.reward_amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      errors.reward_amount = 'Debe ser un importe mayor o igual que 0';
+    } else {
+      values.reward_amount = amount.toFixed(2);
+    }
+  }
+
+  if (fields.is_active !== undefined) {
+    if (typeof fields.is_active !== 'boolean') {
+      errors.is_active = 'Debe ser true o false';
+    } else {
+      values.is_active = fields.is_active;
+    }
+  }
+
+  // Título y descripción en otros idiomas (lib/surveyTranslations.js)
+  if (fields.translations !== undefined) {
+    const translations = surveyTranslations.normalizeSurveyTranslations(fields.translations, errors);
+    if (translations) values.translations = JSON.stringify(translations);
+  }
+
+  // Campaña: fechas, cupos y público (lib/surveyAvailability.js). null
+  // quita el límite.
+  for (const field of ['opens_at', 'closes_at']) {
+    if (fields[field] === undefined) continue;
+    const date = typeof fields[field] === 'string' ? new Date(fields[field]) : null;
+    if (fields[field] !== null && (!date || Number.isNaN(date.getTime()))) {
+      errors[field] = 'Debe ser una fecha ISO 8601 o null';
+    } else {
+      values[field] = date ? date.toISOString() : null;
+    }
+  }
+  if (values.opens_at && values.closes_at && values.closes_at <= values.opens_at) {
+    errors.closes_at = 'Debe ser posterior a opens_at';
+  }
+
+  if (fields.max_completions !== undefined) {
+    if (fields.max_completions !== null && (!Number.isInteger(fields.max_completions) || fields.max_completions < 1)) {
+      errors.max_completions = 'Debe ser un número entero mayor que 0 o null';
+    } else {
+      values.max_completions = fields.max_completions;
+    }
+  }
+
+  if (fields.budget !== undefined) {
+    const budget = Number(fields.budget);
+    if (fields.budget !== null && (!Number.isFinite(budget) || budget <= 0)) {
+      errors.budget = 'Debe ser un importe mayor que 0 o null';
+    } else {
+      values.budget = fields.budget === null ? null : budget.toFixed(2);
+    }
+  }
+
+  if (fields.audience !== undefined) {
+    const audience = surveyAvailability.normalizeAudience(fields.audience, errors);
+    if (!errors.audience) values.audience = audience ? JSON.stringify(audience) : null;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'invalid_survey', { details: errors });
+  }
+  return values;
+}
+
+// Lista de [{ value, label }] con valores únicos (opciones o filas de matrix)
+function normalizeChoices(items, field, errors) {
+  if (!Array.isArray(items) || items.length === 0) {
+    errors[field] = 'Se requiere al menos una opción';
+    return null;
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const item of items) {
+    if (!item || typeof item.value !== 'string' || !item.value || typeof item.label !== 'string' || !item.label) {
+      errors[field] = 'Cada opción necesita value y label';
+      return null;
+    }
+    if (seen.has(item.value)) {
+      errors[field] = `Opción duplicada: ${item.value}`;
+      return null;
+    }
+    seen.add(item.value);
+    normalized.push({ value: item.value, label: item.label });
+  }
+  return normalized;
+}
+
+function validateOptions(type, options, errors) {
+  if (!CHOICE_TYPES.includes(type)) {
+    if (options !== undefined && options !== null) {
+      errors.options = `Las preguntas de tipo ${type} no admiten opciones`;
+    }
+    return null;
+  }
+  return normalizeChoices(options, 'options', errors);
+}
+
+function isNumberOrEmpty(value) {
+  return value === undefined || value === null || Number.isFinite(value);
+}
+
+// Ajustes propios de cada tipo (settings):
+//   scale:  { min, max, step, min_label, max_label } (por defecto 1-5)
+//   number: { min, max, step } (todos opcionales)
+//   date:   { min, max } en formato YYYY-MM-DD (opcionales)
+//   matrix: { rows: [{ value, label }] } (las columnas son las opciones)
+function validateSettings(type, settings, errors) {
+  const values = settings || {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    errors.settings = 'Los ajustes deben ser un objeto';
+    return null;
+  }
+
+  switch (type) {
+    case 'scale': {
+      const scale = { ...DEFAULT_SCALE, ...values };
+      if (![scale.min, scale.max, scale.step].every(Number.isInteger) || scale.step <= 0 || scale.min >= scale.max) {
+        errors.settings = 'La escala necesita min < max y step enteros (step > 0)';
+        return null;
+      }
+      if ((scale.max - scale.min) / scale.step + 1 > MAX_SCALE_POINTS) {
+        errors.settings = `La escala no puede tener más de ${MAX_SCALE_POINTS} puntos`;
+        return null;
+      }
+      return {
+        min: scale.min,
+        max: scale.max,
+        step: scale.step,
+        ...(scale.min_label ? { min_label: String(scale.min_label) } : {}),
+        ...(scale.max_label ? { max_label: String(scale.max_label) } : {})
+      };
+    }
+
+    case 'number':
+      if (![values.min, values.max, values.step].every(isNumberOrEmpty) ||
+          (values.step !== undefined && values.step !== null && values.step <= 0)) {
+        errors.settings = 'min, max y step deben ser números (step > 0)';
+        return null;
+      }
+      if (Number.isFinite(values.min) && Number.isFinite(values.max) && values.min > values.max) {
+        errors.settings = 'min no puede ser mayor que max';
+        return null;
+      }
+      return Object.keys(values).length > 0 ? { min: values.min, max: values.max, step: values.step } : null;
+
+    case 'date':
+      if (![values.min, values.max].every((value) => value === undefined || value === null ||
+          surveyAnswers.isValidDate(value))) {
+        errors.settings = 'min y max deben ser fechas YYYY-MM-DD';
+        return null;
+      }
+      if (values.min && values.max && values.min > values.max) {
+        errors.settings = 'min no puede ser posterior a max';
+        return null;
+      }
+      return Object.keys(values).length > 0 ? { min: values.min, max: values.max } : null;
+
+    case 'matrix': {
+      if (!Array.isArray(values.rows) || values.rows.length === 0) {
+        errors.settings = 'La matriz necesita al menos una fila (rows)';
+        return null;
+      }
+      const rows = normalizeChoices(values.rows, 'settings', errors);
+      return rows ? { rows } : null;
+    }
+
+    default:
+      if (settings !== undefined && settings !== null) {
+        errors.settings = `Las preguntas de tipo ${type} no admiten ajustes`;
+      }
+      return null;
+  }
+}
+
+// Valida una pregunta completa (alta) o parcial (edición, sobre la existente)
+function validateQuestion(fields, existing = null) {
+  const merged = { ...(existing || {}), ...fields };
+  const errors = {};
+
+  if (typeof merged.question_key !== 'string' || !KEY_PATTERN.test(merged.question_key)) {
+    errors.question_key = 'Debe contener solo minúsculas, números y guiones bajos (máx. 50)';
+  }
+  if (typeof merged.question_text !== 'string' || !merged.question_text.trim()) {
+    errors.question_text = 'Texto de la pregunta requerido';
+  }
+  if (!QUESTION_TYPES.includes(merged.question_type)) {
+    errors.question_type = `Tipo no válido. Valores permitidos: ${QUESTION_TYPES.join(', ')}`;
+  }
+
+  const options = errors.question_type ? null : validateOptions(merged.question_type, merged.options, errors);
+  const settings = errors.question_type ? null : validateSettings(merged.question_type, merged.settings, errors);
+
+  if (merged.is_required !== undefined && typeof merged.is_required !== 'boolean') {
+    errors.is_required = 'Debe ser true o false';
+  }
+  if (merged.order_index !== undefined && merged.order_index !== null && !Number.isInteger(merged.order_index)) {
+    errors.order_index = 'Debe ser un número entero';
+  }
+
+  // Las referencias a otras preguntas se comprueban al publicar, cuando la
+  // versión está completa; aquí solo la forma
+  const displayCondition = merged.display_condition || null;
+  if (displayCondition) {
+    const conditionError = surveyLogic.validateCondition(displayCondition);
+    if (conditionError) errors.display_condition = conditionError;
+  }
+
+  const jumpRules = merged.jump_rules && merged.jump_rules.length > 0 ? merged.jump_rules : null;
+  if (merged.jump_rules) {
+    const rulesError = surveyLogic.validateJumpRules(merged.jump_rules);
+    if (rulesError) errors.jump_rules = rulesError;
+  }
+
+  // Textos en otros idiomas: las opciones que traducen tienen que existir
+  const translations = Object.keys(errors).length > 0 || !merged.translations ? {}
+    : surveyTranslations.normalizeQuestionTranslations(merged.translations, { ...merged, options, settings }, errors);
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'invalid_question', { details: errors });
+  }
+
+  return {
+    question_key: merged.question_key,
+    question_text: merged.question_text.trim(),
+    question_type: merged.question_type,
+    options,
+    settings,
+    is_required: merged.is_required !== undefined ? merged.is_required : true,
+    order_index: merged.order_index,
+    display_condition: displayCondition,
+    jump_rules: jumpRules,
+    translations
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Consultas
+// ---------------------------------------------------------------------------
+
+async function listSurveys() {
+  const result = await pool.query(`
+    SELECT s.*,
+           cv.version as current_version,
+           (SELECT MAX(version) FROM survey_versions WHERE survey_id = s.id) as latest_version,
+           EXISTS (SELECT 1 FROM survey_versions WHERE survey_id = s.id AND status = 'draft') as has_draft
+    FROM surveys s
+    LEFT JOIN survey_versions cv ON cv.id = s.current_version_id
+    ORDER BY s.id
+  `);
+  return result.rows;
+}
+
+async function getSurvey(surveyId) {
+  const result = await pool.query('SELECT * FROM surveys WHERE id = $1', [surveyId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'survey_not_found');
+  }
+
+  const versions = await pool.query(`
+    SELECT v.*, (SELECT COUNT(*) FROM survey_questions WHERE survey_version_id = v.id) as question_count
+    FROM survey_versions v
+    WHERE v.survey_id = $1
+    ORDER BY v.version
+  `, [surveyId]);
+
+  return { ...result.rows[0], versions: versions.rows };
+}
+
+async function getVersion(surveyId, version, db = pool) {
+  const result = await db.query(`
+    SELECT * FROM survey_versions WHERE survey_id = $1 AND version = $2
+  `, [surveyId, version]);
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'version_not_found');
+  }
+  return result.rows[0];
+}
+
+async function getVersionWithQuestions(surveyId, version) {
+  const surveyVersion = await getVersion(surveyId, version);
+  const questions = await getQuestionsForVersion(surveyVersion.id);
+  return { ...surveyVersion, questions };
+}
+
+async function getQuestionsForVersion(versionId, db = pool) {
+  const result = await db.query(`
+    SELECT * FROM survey_questions
+    WHERE survey_version_id = $1
+    ORDER BY order_index, id
+  `, [versionId]);
+  return result.rows;
+}
+
+// Versión publicada vigente de una encuesta activa, o null
+async function getPublishedVersion(surveyId, db = pool) {
+  const result = await db.query(`
+    SELECT v.*
+    FROM surveys s
+    JOIN survey_versions v ON v.id = s.current_version_id
+    WHERE s.id = $1 AND s.is_active = true
+  `, [surveyId]);
+  return result.rows[0] || null;
+}
+
+// Borrador de la encuesta, bloqueado hasta el final de la transacción para
+// que no se publique mientras se cambian sus preguntas
+async function getDraftVersion(surveyId, version, db = pool) {
+  const surveyVersion = await getVersion(surveyId, version, db);
+  const locked = await db.query('SELECT status FROM survey_versions WHERE id = $1 FOR UPDATE', [surveyVersion.id]);
+  if (locked.rows[0].status !== 'draft') {
+    throw httpError(409, 'version_immutable');
+  }
+  return surveyVersion;
+}
+
+// ---------------------------------------------------------------------------
+// Modificaciones
+// ---------------------------------------------------------------------------
+//
+// Los cambios de la encuesta quedan en el registro de auditoría con el
+// actor recibido ({ actorId, ip, userAgent }, de audit.fromRequest); sin
+// actor constan como hechos por el sistema (p. ej. npm run db:seed).
+
+const pick = (row, columns) => Object.fromEntries(columns.map((column) => [column, row[column]]));
+
+// Columnas de una pregunta que se guardan en el registro de auditoría
+const QUESTION_COLUMNS = [
+  'question_key', 'question_text', 'question_type', 'options', 'settings',
+  'is_required', 'order_index', 'display_condition', 'jump_rules', 'translations'
+];
+
+// Columnas de la pregunta que han cambiado
+const changedColumns = (before, after) => QUESTION_COLUMNS.filter((column) =>
+  JSON.stringify(before[column]) !== JSON.stringify(after[column]));
+
+// Evento de una pregunta: se registra sobre la encuesta, con la versión y la
+// pregunta en metadata para poder filtrar por encuesta
+function recordQuestionEvent(type, { actor, surveyId, version, question, before, after }, db) {
+  return audit.record(type, {
+    ...actor,
+    target: { type: 'survey', id: surveyId },
+    before,
+    after,
+    metadata: { version, questionId: question.id, questionKey: question.question_key }
+  }, db);
+}
+
+// Crea la encuesta junto con su primera versión en borrador
+async function createSurvey(fields, actor = {}) {
+  const values = validateSurveyFields(fields);
+
+  try {
+    return await withTransaction(async (client) => {
+      const surveyResult = await client.query(`
+        INSERT INTO surveys (
+          survey_key, title, description, reward_amount, is_active, translations,
+          opens_at, closes_at, max_completions, budget, audience
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        values.survey_key,
+        values.title,
+        values.description || null,
+        values.reward_amount,
+        values.is_active !== undefined ? values.is_active : true,
+        values.translations || '{}',
+        values.opens_at || null,
+        values.closes_at || null,
+        values.max_completions || null,
+        values.budget || null,
+        values.audience || null
+      ]);
+      const survey = surveyResult.rows[0];
+
+      const versionResult = await client.query(`
+        INSERT INTO survey_versions (survey_id, version) VALUES ($1, 1) RETURNING *
+      `, [survey.id]);
+
+      await audit.record('survey_created', {
+        ...actor,
+        target: { type: 'survey', id: survey.id },
+        after: pick(survey, ['survey_key', 'title', 'reward_amount', 'is_active'])
+      }, client);
+
+      return { ...survey, versions: versionResult.rows };
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'survey_key_taken');
+    }
+    throw error;
+  }
+}
+
+async function updateSurvey(surveyId, fields, actor = {}) {
+  const values = validateSurveyFields(fields, { partial: true });
+  const columns = Object.keys(values);
+  if (columns.length === 0) {
+    throw httpError(400, 'no_changes');
+  }
+
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM surveys WHERE id = $1 FOR UPDATE', [surveyId]);
+      if (current.rows.length === 0) {
+        throw httpError(404, 'survey_not_found');
+      }
+
+      const result = await client.query(`
+        UPDATE surveys SET ${assignments.join(', ')} WHERE id = $1 RETURNING *
+      `, [surveyId, ...columns.map((column) => values[column])]);
+      const updated = result.rows[0];
+
+      await audit.record('survey_updated', {
+        ...actor,
+        target: { type: 'survey', id: surveyId },
+        before: pick(current.rows[0], columns),
+        after: pick(updated, columns)
+      }, client);
+
+      return updated;
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'survey_key_taken');
+    }
+    // Solo se cambia una de las fechas y queda antes que la otra
+    if (error.code === '23514' && error.constraint === 'surveys_schedule_check') {
+      throw httpError(400, 'invalid_survey', { details: { closes_at: 'Debe ser posterior a opens_at' } });
+    }
+    throw error;
+  }
+}
+
+// Solo se pueden borrar encuestas que nunca se han publicado; el resto se
+// desactivan con is_active = false para conservar las respuestas.
+async function deleteSurvey(surveyId, actor = {}) {
+  return withTransaction(async (client) => {
+    const published = await client.query(`
+      SELECT 1 FROM survey_versions WHERE survey_id = $1 AND status = 'published' LIMIT 1
+    `, [surveyId]);
+    if (published.rows.length > 0) {
+      throw httpError(409, 'survey_has_published_versions');
+    }
+
+    const result = await client.query('DELETE FROM surveys WHERE id = $1 RETURNING id, survey_key, title', [surveyId]);
+    if (result.rows.length === 0) {
+      throw httpError(404, 'survey_not_found');
+    }
+
+    await audit.record('survey_deleted', {
+      ...actor,
+      target: { type: 'survey', id: surveyId },
+      before: pick(result.rows[0], ['survey_key', 'title'])
+    }, client);
+  });
+}
+
+// Nuevo borrador copiando las preguntas de la última versión
+async function createDraftVersion(surveyId, actor = {}) {
+  return withTransaction(async (client) => {
+    // Bloquear la encuesta evita dos borradores creados a la vez
+    const survey = await client.query('SELECT id FROM surveys WHERE id = $1 FOR UPDATE', [surveyId]);
+    if (survey.rows.length === 0) {
+      throw httpError(404, 'survey_not_found');
+    }
+
+    const latest = await client.query(`
+      SELECT * FROM survey_versions WHERE survey_id = $1 ORDER BY version DESC LIMIT 1
+    `, [surveyId]);
+    const previous = latest.rows[0];
+
+    if (previous && previous.status === 'draft') {
+      throw httpError(409, 'draft_version_exists', { params: { version: previous.version } });
+    }
+
+    const versionResult = await client.query(`
+      INSERT INTO survey_versions (survey_id, version) VALUES ($1, $2) RETURNING *
+    `, [surveyId, previous ? previous.version + 1 : 1]);
+    const draft = versionResult.rows[0];
+
+    if (previous) {
+      await client.query(`
+        INSERT INTO survey_questions
+          (survey_id, survey_version_id, question_key, question_text, question_type, options, settings,
+           is_required, order_index, display_condition, jump_rules, translations)
+        SELECT survey_id, $2, question_key, question_text, question_type, options, settings,
+               is_required, order_index, display_condition, jump_rules, translations
+        FROM survey_questions
+        WHERE survey_version_id = $1
+      `, [previous.id, draft.id]);
+    }
+
+    await audit.record('survey_version_created', {
+      ...actor,
+      target: { type: 'survey', id: surveyId },
+      after: { version: draft.version, status: draft.status },
+      metadata: { surveyVersionId: draft.id, copiedFrom: previous ? previous.version : null }
+    }, client);
+
+    return draft;
+  });
+}
+
+async function addQuestion(surveyId, version, fields, actor = {}) {
+  const question = validateQuestion(fields);
+
+  try {
+    return await withTransaction(async (client) => {
+      const draft = await getDraftVersion(surveyId, version, client);
+      const result = await client.query(`
+        INSERT INTO survey_questions
+          (survey_id, survey_version_id, question_key, question_text, question_type, options, settings,
+           is_required, order_index, display_condition, jump_rules, translations)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                COALESCE($9, (SELECT COALESCE(MAX(order_index), 0) + 1 FROM survey_questions WHERE survey_version_id = $2)),
+                $10, $11, $12)
+        RETURNING *
+      `, [
+        surveyId,
+        draft.id,
+        question.question_key,
+        question.question_text,
+        question.question_type,
+        question.options ? JSON.stringify(question.options) : null,
+        question.settings ? JSON.stringify(question.settings) : null,
+        question.is_required,
+        question.order_index,
+        question.display_condition ? JSON.stringify(question.display_condition) : null,
+        question.jump_rules ? JSON.stringify(question.jump_rules) : null,
+        JSON.stringify(question.translations)
+      ]);
+      const added = result.rows[0];
+
+      await recordQuestionEvent('survey_question_added', {
+        actor, surveyId, version, question: added, after: pick(added, QUESTION_COLUMNS)
+      }, client);
+
+      return added;
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'question_key_taken', { params: { key: question.question_key } });
+    }
+    throw error;
+  }
+}
+
+// Pregunta de un borrador, bloqueada hasta el final de la transacción
+async function findDraftQuestion(surveyId, version, questionId, db = pool) {
+  const draft = await getDraftVersion(surveyId, version, db);
+  const result = await db.query(`
+    SELECT * FROM survey_questions WHERE id = $1 AND survey_version_id = $2 FOR UPDATE
+  `, [questionId, draft.id]);
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'question_not_found');
+  }
+  return result.rows[0];
+}
+
+async function updateQuestion(surveyId, version, questionId, fields, actor = {}) {
+  let question;
+
+  try {
+    return await withTransaction(async (client) => {
+      const existing = await findDraftQuestion(surveyId, version, questionId, client);
+      question = validateQuestion(fields, existing);
+
+      const result = await client.query(`
+        UPDATE survey_questions
+        SET question_key = $2, question_text = $3, question_type = $4,
+            options = $5, settings = $6, is_required = $7, order_index = $8,
+            display_condition = $9, jump_rules = $10, translations = $11
+        WHERE id = $1
+        RETURNING *
+      `, [
+        questionId,
+        question.question_key,
+        question.question_text,
+        question.question_type,
+        question.options ? JSON.stringify(question.options) : null,
+        question.settings ? JSON.stringify(question.settings) : null,
+        question.is_required,
+        question.order_index,
+        question.display_condition ? JSON.stringify(question.display_condition) : null,
+        question.jump_rules ? JSON.stringify(question.jump_rules) : null,
+        JSON.stringify(question.translations)
+      ]);
+      const updated = result.rows[0];
+
+      const columns = changedColumns(existing, updated);
+      await recordQuestionEvent('survey_question_updated', {
+        actor, surveyId, version, question: updated, before: pick(existing, columns), after: pick(updated, columns)
+      }, client);
+
+      return updated;
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'question_key_taken', { params: { key: question.question_key } });
+    }
+    throw error;
+  }
+}
+
+// Las traducciones se pueden cambiar también en versiones publicadas: no
+// cambian las preguntas ni los valores de las respuestas
+async function updateQuestionTranslations(surveyId, version, questionId, translations, actor = {}) {
+  return withTransaction(async (client) => {
+    const surveyVersion = await getVersion(surveyId, version, client);
+    const result = await client.query(`
+      SELECT * FROM survey_questions WHERE id = $1 AND survey_version_id = $2 FOR UPDATE
+    `, [questionId, surveyVersion.id]);
+    if (result.rows.length === 0) {
+      throw httpError(404, 'question_not_found');
+    }
+    const existing = result.rows[0];
+
+    const errors = {};
+    const normalized = surveyTranslations.normalizeQuestionTranslations(translations, existing, errors);
+    if (!normalized) {
+      throw httpError(400, 'invalid_translations', { details: errors });
+    }
+
+    const updated = await client.query(`
+      UPDATE survey_questions SET translations = $2 WHERE id = $1 RETURNING *
+    `, [questionId, JSON.stringify(normalized)]);
+
+    await recordQuestionEvent('survey_question_translated', {
+      actor,
+      surveyId,
+      version,
+      question: existing,
+      before: pick(existing, ['translations']),
+      after: pick(updated.rows[0], ['translations'])
+    }, client);
+
+    return updated.rows[0];
+  });
+}
+
+async function deleteQuestion(surveyId, version, questionId, actor = {}) {
+  await withTransaction(async (client) => {
+    const existing = await findDraftQuestion(surveyId, version, questionId, client);
+    await client.query('DELETE FROM survey_questions WHERE id = $1', [questionId]);
+
+    await recordQuestionEvent('survey_question_deleted', {
+      actor, surveyId, version, question: existing, before: pick(existing, QUESTION_COLUMNS)
+    }, client);
+  });
+}
+
+// Publica un borrador: pasa a ser inmutable y a ser la versión vigente
+async function publishVersion(surveyId, version, actor = {}) {
+  return withTransaction(async (client) => {
+    const surveyVersion = await getVersion(surveyId, version, client);
+    await client.query('SELECT id FROM survey_versions WHERE id = $1 FOR UPDATE', [surveyVersion.id]);
+
+    if (surveyVersion.status !== 'draft') {
+      throw httpError(409, 'version_already_published');
+    }
+
+    const questions = await getQuestionsForVersion(surveyVersion.id, client);
+    if (questions.length === 0) {
+      throw httpError(400, 'version_without_questions');
+    }
+
+    const logicErrors = surveyLogic.checkReferences(questions);
+    if (logicErrors) {
+      throw httpError(400, 'invalid_survey_logic', { details: logicErrors });
+    }
+
+    const published = await client.query(`
+      UPDATE survey_versions SET status = 'published', published_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [surveyVersion.id]);
+
+    await client.query('UPDATE surveys SET current_version_id = $2 WHERE id = $1', [surveyId, surveyVersion.id]);
+
+    await audit.record('survey_version_published', {
+      ...actor,
+      target: { type: 'survey', id: surveyId },
+      before: { version, status: surveyVersion.status },
+      after: { version, status: 'published' },
+      metadata: { surveyVersionId: surveyVersion.id, questions: questions.length }
+    }, client);
+
+    return { ...published.rows[0], questions };
+  });
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuestion,
+  listSurveys,
+  getSurvey,
+  getVersionWithQuestions,
+  getQuestionsForVersion,
+  getPublishedVersion,
+  createSurvey,
+  updateSurvey,
+  deleteSurvey,
+  createDraftVersion,
+  addQuestion,
+  updateQuestion,
+  updateQuestionTranslations,
+  deleteQuestion,
+  publishVersion
+};
@@ -0,0 +1,155 @@
+// Guardar y continuar: las respuestas a medias de una encuesta se guardan en
+// un borrador que caduca a los SURVEY_DRAFT_TTL_DAYS días (7 por defecto)
+// sin actividad. Abrir la encuesta con un borrador vigente la retoma
+// (survey_resumed); si no, empieza de cero (survey_started). Un borrador que
+// caduca sin enviarse se anota como survey_abandoned con la última pregunta
+// respondida, para ver en qué pregunta se deja la encuesta.
+const audit = require('./audit');
+const { withTransaction } = require('./db');
+const { httpError } = require('./errors');
+const logger = require('./logger');
+const repositories = require('./repositories');
+
+const DRAFT_TTL_DAYS = parseInt(process.env.SURVEY_DRAFT_TTL_DAYS, 10) || 7;
+const DRAFT_TTL_SECONDS = DRAFT_TTL_DAYS * 24 * 60 * 60;
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+const EXPIRY_BATCH_SIZE = 500;
+
+// Lo que ve el cliente de un borrador
+function publicDraft(draft) {
+  return {
+    survey_id: draft.survey_id,
+    survey_version_id: draft.survey_version_id,
+    responses: draft.responses,
+    last_question_key: draft.last_question_key,
+    started_at: draft.started_at,
+    updated_at: draft.updated_at,
+    expires_at: draft.expires_at
+  };
+}
+
+function logAbandoned(client, draft) {
+  return audit.record('survey_abandoned', {
+    userId: draft.user_id,
+    target: { type: 'survey', id: draft.survey_id },
+    description: `Abandonó la encuesta ${draft.survey_id}`,
+    metadata: {
+      surveyId: draft.survey_id,
+      surveyVersionId: draft.survey_version_id,
+      lastQuestionKey: draft.last_question_key,
+      answered: Object.keys(draft.responses || {}).length,
+      lastActivityAt: draft.updated_at
+    }
+  }, client);
+}
+
+// Bloquea al usuario como el envío de la encuesta, para que un borrador
+// guardado a la vez que se envía no sobreviva al envío
+async function lockIncomplete(client, userId, surveyId) {
+  await repositories.users.lockForUpdate(userId, client);
+  if (await repositories.responses.findCompletion(userId, surveyId, client)) {
+    throw httpError(409, 'survey_completed');
+  }
+}
+
+// Abre la encuesta: retoma el borrador vigente o crea uno vacío. Un
+// borrador caducado que aún no ha recogido expireDrafts cuenta como abandono.
+async function startDraft({ userId, surveyId, surveyVersionId, ip, userAgent }) {
+  return withTransaction(async (client) => {
+    await lockIncomplete(client, userId, surveyId);
+    const existing = await repositories.drafts.findForUpdate(userId, surveyId, client);
+    const resumed = Boolean(existing && !existing.expired);
+
+    let draft;
+    if (resumed) {
+      draft = await repositories.drafts.touch(userId, surveyId, DRAFT_TTL_SECONDS, client);
+    } else {
+      if (existing) {
+        await logAbandoned(client, existing);
+        await repositories.drafts.remove(userId, surveyId, client);
+      }
+      draft = await repositories.drafts.upsert({ userId, surveyId, surveyVersionId, ttlSeconds: DRAFT_TTL_SECONDS }, client);
+    }
+
+    await audit.record(resumed ? 'survey_resumed' : 'survey_started', {
+      userId,
+      actorId: userId,
+      target: { type: 'survey', id: surveyId },
+      description: `${resumed ? 'Retomó' : 'Abrió'} la encuesta ${surveyId}`,
+      ip,
+      userAgent,
+      metadata: { surveyId }
+    }, client);
+
+    return { resumed, draft: publicDraft(draft) };
+  });
+}
+
+async function getDraft(userId, surveyId) {
+  const draft = await repositories.drafts.find(userId, surveyId);
+  return draft ? publicDraft(draft) : null;
+}
+
+// Guarda las respuestas ya saneadas (surveyAnswers.sanitizeDraft) y alarga
+// la caducidad
+async function saveDraft({ userId, surveyId, surveyVersionId, responses, lastQuestionKey }) {
+  return withTransaction(async (client) => {
+    await lockIncomplete(client, userId, surveyId);
+    const draft = await repositories.drafts.upsert({
+      userId,
+      surveyId,
+      surveyVersionId,
+      responses,
+      lastQuestionKey,
+      ttlSeconds: DRAFT_TTL_SECONDS
+    }, client);
+    return publicDraft(draft);
+  });
+}
+
+function discardDraft(userId, surveyId) {
+  return repositories.drafts.remove(userId, surveyId);
+}
+
+// Recoge los borradores caducados y anota cada uno como abandono. Devuelve
+// cuántos ha recogido.
+async function expireDrafts() {
+  let total = 0;
+  for (;;) {
+    const count = await withTransaction(async (client) => {
+      const expired = await repositories.drafts.deleteExpired(EXPIRY_BATCH_SIZE, client);
+      for (const draft of expired) {
+        await logAbandoned(client, draft);
+      }
+      return expired.length;
+    });
+    total += count;
+    if (count < EXPIRY_BATCH_SIZE) return total;
+  }
+}
+
+// Recoge los caducados al arrancar y cada hora. El temporizador no impide
+// que el proceso termine.
+function scheduleExpiry() {
+  const run = () => expireDrafts()
+    .then((count) => {
+      if (count > 0) logger.info('survey_drafts_expired', { count });
+    })
+    .catch((error) => logger.error('survey_draft_expiry_error', { error }));
+
+  run();
+  const timer = setInterval(run, EXPIRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  DRAFT_TTL_DAYS,
+  publicDraft,
+  startDraft,
+  getDraft,
+  saveDraft,
+  discardDraft,
+  expireDrafts,
+  scheduleExpiry
+};
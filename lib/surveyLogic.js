@@ -0,0 +1,192 @@
+// Lógica condicional de las encuestas: condiciones de visualización y saltos.
+// Este archivo lo usan tanto el servidor (validación de envíos) como el
+// navegador (se sirve en /js/survey-logic.js), así que no depende de nada.
+//
+// Una condición compara la respuesta a una pregunta anterior:
+//   { "question": "q3", "operator": "includes", "value": "voluntario" }
+// o combina varias con { "all": [...] } / { "any": [...] }.
+//
+// display_condition: la pregunta solo se muestra si se cumple.
+// jump_rules: [{ "when": <condición>, "to": "q7" | "end" }]. Tras responder la
+// pregunta, la primera regla que se cumpla salta hacia delante hasta esa
+// pregunta (o al final); las intermedias no se muestran.
+(function (exports) {
+  const OPERATORS = ['equals', 'not_equals', 'includes', 'not_includes', 'in', 'answered', 'not_answered'];
+  const VALUELESS_OPERATORS = ['answered', 'not_answered'];
+  const END = 'end';
+
+  // Valores de una respuesta como texto: las listas (checkbox, ranking) dan
+  // sus elementos y las matrices las columnas elegidas
+  function answerValues(answer) {
+    if (answer === undefined || answer === null) return [];
+    if (Array.isArray(answer)) return answer.map(String);
+    if (typeof answer === 'object') return Object.values(answer).map(String);
+    return String(answer).trim() === '' ? [] : [String(answer)];
+  }
+
+  function evaluateCondition(condition, responses) {
+    if (condition.all) {
+      return condition.all.every((item) => evaluateCondition(item, responses));
+    }
+    if (condition.any) {
+      return condition.any.some((item) => evaluateCondition(item, responses));
+    }
+
+    const values = answerValues(responses[condition.question]);
+
+    switch (condition.operator) {
+      case 'answered':
+        return values.length > 0;
+      case 'not_answered':
+        return values.length === 0;
+      case 'equals':
+        return values.length === 1 && values[0] === String(condition.value);
+      case 'not_equals':
+        return !(values.length === 1 && values[0] === String(condition.value));
+      case 'includes':
+        return values.includes(String(condition.value));
+      case 'not_includes':
+        return !values.includes(String(condition.value));
+      case 'in':
+        return values.length > 0 && values.every((value) => condition.value.map(String).includes(value));
+      default:
+        return false;
+    }
+  }
+
+  // Preguntas que alcanza quien responde, en orden, según sus respuestas.
+  // Las respuestas a preguntas no alcanzadas no cuentan para las condiciones.
+  function reachedQuestions(questions, responses) {
+    const reached = [];
+    const seen = {};
+    const indexByKey = new Map(questions.map((question, index) => [question.question_key, index]));
+    let index = 0;
+
+    while (index < questions.length) {
+      const question = questions[index];
+
+      if (question.display_condition && !evaluateCondition(question.display_condition, seen)) {
+        index += 1;
+        continue;
+      }
+
+      reached.push(question);
+      seen[question.question_key] = responses[question.question_key];
+
+      const jump = (question.jump_rules || []).find((rule) => evaluateCondition(rule.when, seen));
+      if (!jump) {
+        index += 1;
+      } else if (jump.to === END) {
+        break;
+      } else {
+        // Solo se salta hacia delante; checkReferences lo garantiza al publicar
+        index = Math.max(indexByKey.get(jump.to) ?? index + 1, index + 1);
+      }
+    }
+
+    return reached;
+  }
+
+  // Forma de una condición; devuelve un mensaje de error o null
+  function validateCondition(condition) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return 'La condición debe ser un objeto';
+    }
+
+    const group = condition.all || condition.any;
+    if (group !== undefined) {
+      if (!Array.isArray(group) || group.length === 0) {
+        return 'all/any necesita una lista de condiciones';
+      }
+      for (const item of group) {
+        const error = validateCondition(item);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    if (typeof condition.question !== 'string' || !condition.question) {
+      return 'La condición necesita la clave de la pregunta (question)';
+    }
+    if (!OPERATORS.includes(condition.operator)) {
+      return `Operador no válido. Valores permitidos: ${OPERATORS.join(', ')}`;
+    }
+    if (condition.operator === 'in') {
+      if (!Array.isArray(condition.value) || condition.value.length === 0) {
+        return 'El operador in necesita una lista de valores';
+      }
+    } else if (!VALUELESS_OPERATORS.includes(condition.operator) &&
+               (condition.value === undefined || condition.value === null || typeof condition.value === 'object')) {
+      return `El operador ${condition.operator} necesita un valor`;
+    }
+    return null;
+  }
+
+  function validateJumpRules(rules) {
+    if (!Array.isArray(rules)) {
+      return 'jump_rules debe ser una lista';
+    }
+    for (const rule of rules) {
+      if (!rule || typeof rule.to !== 'string' || !rule.to) {
+        return 'Cada regla de salto necesita un destino (to)';
+      }
+      const error = validateCondition(rule.when);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  function conditionQuestions(condition) {
+    const group = condition.all || condition.any;
+    return group ? group.flatMap(conditionQuestions) : [condition.question];
+  }
+
+  // Comprueba las referencias entre preguntas de una versión completa: las
+  // condiciones solo pueden mirar preguntas anteriores y los saltos solo ir
+  // hacia delante. Devuelve los errores por question_key o null.
+  function checkReferences(questions) {
+    const errors = {};
+    const indexByKey = new Map(questions.map((question, index) => [question.question_key, index]));
+
+    questions.forEach((question, index) => {
+      // La condición de visualización mira preguntas anteriores; las de los
+      // saltos pueden usar también la propia pregunta, que ya está respondida
+      const checkKeys = (keys, lastAllowed) => {
+        for (const key of keys) {
+          const position = indexByKey.get(key);
+          if (position === undefined) {
+            errors[question.question_key] = `La condición usa una pregunta que no existe: ${key}`;
+          } else if (position > lastAllowed) {
+            errors[question.question_key] = `La condición debe usar preguntas anteriores: ${key}`;
+          }
+        }
+      };
+
+      if (question.display_condition) {
+        checkKeys(conditionQuestions(question.display_condition), index - 1);
+      }
+
+      for (const rule of question.jump_rules || []) {
+        checkKeys(conditionQuestions(rule.when), index);
+
+        if (rule.to === END) continue;
+        const target = indexByKey.get(rule.to);
+        if (target === undefined) {
+          errors[question.question_key] = `El salto apunta a una pregunta que no existe: ${rule.to}`;
+        } else if (target <= index) {
+          errors[question.question_key] = `El salto debe ir a una pregunta posterior: ${rule.to}`;
+        }
+      }
+    });
+
+    return Object.keys(errors).length > 0 ? errors : null;
+  }
+
+  exports.OPERATORS = OPERATORS;
+  exports.END = END;
+  exports.evaluateCondition = evaluateCondition;
+  exports.reachedQuestions = reachedQuestions;
+  exports.validateCondition = validateCondition;
+  exports.validateJumpRules = validateJumpRules;
+  exports.checkReferences = checkReferences;
+})(typeof module !== 'undefined' ? module.exports : (window.SurveyLogic = {}));
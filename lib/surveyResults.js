@@ -0,0 +1,466 @@
+// Resultados agregados de una encuesta para el panel de administración:
+// recuentos y porcentajes por opción, resúmenes numéricos, tasa de
+// finalización, tiempo mediano, abandonos por pregunta y cruces entre dos
+// preguntas.
+//
+// Solo cuentan los envíos completados en el intervalo pedido; los rechazados
+// en la revisión de fraude y los de cuentas borradas (sin respuestas) se
+// excluyen.
+const { pool } = require('./db');
+const { httpError } = require('./errors');
+const { parseDateParam, parseIntParam } = require('./pagination');
+
+// Tipos que se pueden cruzar: una o varias opciones por persona
+const CROSSTAB_TYPES = ['radio', 'dropdown', 'checkbox', 'scale'];
+const MAX_CROSSTABS = 5;
+const DEFAULT_SCALE = { min: 1, max: 5, step: 1 };
+
+// Envíos que cuentan ($1 encuesta, $2 versiones, $3 desde, $4 hasta) y sus respuestas
+const RESPONDENTS_SQL = `
+  respondents AS (
+    SELECT ucs.user_id, ucs.completed_at
+    FROM user_completed_surveys ucs
+    WHERE ucs.survey_id = $1
+      AND ucs.survey_version_id = ANY($2::int[])
+      AND ($3::timestamptz IS NULL OR ucs.completed_at >= $3)
+      AND ($4::timestamptz IS NULL OR ucs.completed_at < $4)
+      AND NOT EXISTS (
+        SELECT 1 FROM submission_reviews sr
+        WHERE sr.completed_survey_id = ucs.id AND sr.status = 'rejected'
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM users u WHERE u.id = ucs.user_id AND u.anonymized_at IS NOT NULL
+      )
+  ),
+  answers AS (
+    SELECT usr.user_id, sq.question_key, sq.question_type, usr.answer_text, usr.answer_options
+    FROM user_survey_responses usr
+    JOIN respondents r ON r.user_id = usr.user_id
+    JOIN survey_questions sq ON sq.id = usr.question_id
+    WHERE usr.survey_id = $1
+  )
+`;
+
+// Cada respuesta de elección como filas de valores (una por opción marcada)
+const ANSWER_VALUES_SQL = `
+  jsonb_array_elements_text(
+    CASE WHEN jsonb_typeof(answers.answer_options) = 'array' THEN answers.answer_options
+         ELSE jsonb_build_array(answers.answer_text) END
+  ) WITH ORDINALITY AS v(value, position)
+`;
+
+// Lee y valida los parámetros de la petición. crosstab admite "fila,columna"
+// y se puede repetir: ?crosstab=q1,q5&crosstab=q2,q5
+function parseResultsOptions(query) {
+  const crosstabs = [].concat(query.crosstab || []).map((value) => {
+    const keys = String(value).split(',').map((key) => key.trim());
+    if (keys.length !== 2 || !keys[0] || !keys[1] || keys[0] === keys[1]) {
+      throw httpError(400, 'invalid_crosstab', { params: { value } });
+    }
+    return { rows: keys[0], columns: keys[1] };
+  });
+  if (crosstabs.length > MAX_CROSSTABS) {
+    throw httpError(400, 'too_many_crosstabs', { params: { max: MAX_CROSSTABS } });
+  }
+
+  return {
+    from: parseDateParam(query.from, 'from'),
+    to: parseDateParam(query.to, 'to'),
+    version: query.version ? parseIntParam(query.version, 'version') : null,
+    crosstabs
+  };
+}
+
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+// Opciones de una escala: de min a max según step
+function scaleOptions(settings) {
+  const { min, max, step } = { ...DEFAULT_SCALE, ...settings };
+  const options = [];
+  for (let value = min; value <= max; value += step) {
+    let label = String(value);
+    if (value === min && settings && settings.min_label) label = `${value} · ${settings.min_label}`;
+    if (value === max && settings && settings.max_label) label = `${value} · ${settings.max_label}`;
+    options.push({ value: String(value), label });
+  }
+  return options;
+}
+
+// Preguntas de las versiones pedidas, una por question_key. Manda el texto de
+// la versión más reciente; las opciones de versiones anteriores que ya no
+// existen se añaden al final para no perder sus respuestas.
+function mergeQuestions(rows) {
+  const byKey = new Map();
+
+  for (const row of rows) {
+    const options = row.question_type === 'scale' ? scaleOptions(row.settings) : row.options || [];
+    const existing = byKey.get(row.question_key);
+    if (!existing) {
+      byKey.set(row.question_key, {
+        question_key: row.question_key,
+        question_text: row.question_text,
+        question_type: row.question_type,
+        options: [...options],
+        matrixRows: [...((row.settings && row.settings.rows) || [])]
+      });
+      continue;
+    }
+
+    for (const option of options) {
+      if (!existing.options.some((item) => item.value === option.value)) existing.options.push(option);
+    }
+    for (const matrixRow of (row.settings && row.settings.rows) || []) {
+      if (!existing.matrixRows.some((item) => item.value === matrixRow.value)) existing.matrixRows.push(matrixRow);
+    }
+  }
+
+  return [...byKey.values()];
+}
+
+function labelFor(options, value) {
+  const option = options.find((item) => item.value === value);
+  return option ? option.label : value;
+}
+
+// Recuento por opción; los valores que ya no están entre las opciones
+// (por ejemplo de un cambio de tipo) se muestran igualmente al final
+function countOptions(options, counts, answered) {
+  const values = [...options.map((option) => option.value), ...[...counts.keys()].filter((value) =>
+    !options.some((option) => option.value === value))];
+
+  return values.map((value) => ({
+    value,
+    label: labelFor(options, value),
+    count: counts.get(value) || 0,
+    percentage: percentage(counts.get(value) || 0, answered)
+  }));
+}
+
+async function loadQuestions(surveyId, version) {
+  const surveyResult = await pool.query('SELECT id, survey_key, title FROM surveys WHERE id = $1', [surveyId]);
+  if (surveyResult.rows.length === 0) {
+    throw httpError(404, 'survey_not_found');
+  }
+
+  const versionsResult = await pool.query(`
+    SELECT id, version FROM survey_versions
+    WHERE survey_id = $1 AND status = 'published' AND ($2::int IS NULL OR version = $2)
+    ORDER BY version
+  `, [surveyId, version]);
+  if (version && versionsResult.rows.length === 0) {
+    throw httpError(404, 'version_not_published');
+  }
+
+  const versionIds = versionsResult.rows.map((row) => row.id);
+  const questionsResult = await pool.query(`
+    SELECT sq.* FROM survey_questions sq
+    JOIN survey_versions v ON v.id = sq.survey_version_id
+    WHERE sq.survey_version_id = ANY($1::int[])
+    ORDER BY v.version DESC, sq.order_index, sq.id
+  `, [versionIds]);
+
+  return {
+    survey: surveyResult.rows[0],
+    versions: versionsResult.rows.map((row) => row.version),
+    versionIds,
+    questions: mergeQuestions(questionsResult.rows)
+  };
+}
+
+// Empezadas (POST /api/surveys/:id/start) frente a completadas en el
+// intervalo, y tiempo mediano desde el último inicio hasta el envío
+async function getCompletion(params) {
+  const result = await pool.query(`
+    WITH ${RESPONDENTS_SQL},
+    starts AS (
+      SELECT DISTINCT user_id FROM activity_logs
+      WHERE activity_type = 'survey_started' AND metadata->>'surveyId' = $1::text
+        AND ($3::timestamptz IS NULL OR created_at >= $3)
+        AND ($4::timestamptz IS NULL OR created_at < $4)
+    ),
+    durations AS (
+      SELECT EXTRACT(EPOCH FROM (r.completed_at - s.started_at)) as seconds
+      FROM respondents r
+      CROSS JOIN LATERAL (
+        SELECT MAX(created_at) as started_at FROM activity_logs
+        WHERE user_id = r.user_id AND activity_type = 'survey_started'
+          AND metadata->>'surveyId' = $1::text AND created_at <= r.completed_at
+      ) s
+      WHERE s.started_at IS NOT NULL
+    )
+    SELECT
+      (SELECT COUNT(*) FROM respondents) as completed,
+      (SELECT COUNT(*) FROM starts) as started,
+      (SELECT COUNT(*) FROM starts JOIN respondents USING (user_id)) as started_and_completed,
+      (SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) FROM durations) as median_seconds
+  `, params);
+
+  const row = result.rows[0];
+  const started = parseInt(row.started, 10);
+  return {
+    started,
+    completed: parseInt(row.completed, 10),
+    completion_rate: percentage(parseInt(row.started_and_completed, 10), started),
+    median_seconds: row.median_seconds === null ? null : Math.round(row.median_seconds)
+  };
+}
+
+// Abandonos (borradores caducados sin enviar, lib/surveyDrafts.js) en el
+// intervalo, por la última pregunta respondida antes de dejar la encuesta,
+// y encuestas a medias que aún se pueden retomar
+async function getDropoff(questions, params) {
+  const [abandonedResult, inProgressResult] = await Promise.all([
+    pool.query(`
+      SELECT metadata->>'lastQuestionKey' as question_key, COUNT(*) as count
+      FROM activity_logs
+      WHERE activity_type = 'survey_abandoned' AND metadata->>'surveyId' = $1::text
+        AND (metadata->>'surveyVersionId')::int = ANY($2::int[])
+        AND ($3::timestamptz IS NULL OR created_at >= $3)
+        AND ($4::timestamptz IS NULL OR created_at < $4)
+      GROUP BY 1
+    `, params),
+    pool.query(`
+      SELECT COUNT(*) as count FROM survey_drafts
+      WHERE survey_id = $1 AND survey_version_id = ANY($2::int[]) AND expires_at > NOW()
+    `, params.slice(0, 2))
+  ]);
+
+  const counts = new Map(abandonedResult.rows.map((row) => [row.question_key, parseInt(row.count, 10)]));
+  const abandoned = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  const beforeFirst = counts.get(null) || 0;
+
+  return {
+    abandoned,
+    in_progress: parseInt(inProgressResult.rows[0].count, 10),
+    before_first_answer: { count: beforeFirst, percentage: percentage(beforeFirst, abandoned) },
+    questions: questions.map((question) => ({
+      question_key: question.question_key,
+      question_text: question.question_text,
+      count: counts.get(question.question_key) || 0,
+      percentage: percentage(counts.get(question.question_key) || 0, abandoned)
+    }))
+  };
+}
+
+async function getQuestionResults(questions, params) {
+  const [answeredResult, valuesResult, matrixResult, numericResult] = await Promise.all([
+    pool.query(`
+      WITH ${RESPONDENTS_SQL}
+      SELECT question_key, COUNT(DISTINCT user_id) as answered FROM answers GROUP BY question_key
+    `, params),
+    pool.query(`
+      WITH ${RESPONDENTS_SQL}
+      SELECT answers.question_key, v.value,
+             CASE WHEN answers.question_type = 'ranking' THEN v.position END as position,
+             COUNT(*) as count
+      FROM answers
+      CROSS JOIN LATERAL ${ANSWER_VALUES_SQL}
+      WHERE answers.question_type IN ('radio', 'dropdown', 'checkbox', 'scale', 'ranking')
+      GROUP BY 1, 2, 3
+    `, params),
+    pool.query(`
+      WITH ${RESPONDENTS_SQL}
+      SELECT answers.question_key, m.key as row_value, m.value as column_value, COUNT(*) as count
+      FROM answers
+      CROSS JOIN LATERAL jsonb_each_text(answers.answer_options) AS m
+      WHERE answers.question_type = 'matrix' AND jsonb_typeof(answers.answer_options) = 'object'
+      GROUP BY 1, 2, 3
+    `, params),
+    pool.query(`
+      WITH ${RESPONDENTS_SQL},
+      numbers AS (
+        SELECT question_key, answer_text::numeric as value FROM answers
+        WHERE question_type IN ('scale', 'number') AND answer_text ~ '^-?[0-9]+(\\.[0-9]+)?$'
+      )
+      SELECT question_key, COUNT(*) as count, AVG(value) as mean,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY value) as median,
+             MIN(value) as min, MAX(value) as max, stddev_samp(value) as stddev
+      FROM numbers
+      GROUP BY question_key
+    `, params)
+  ]);
+
+  const answered = new Map(answeredResult.rows.map((row) => [row.question_key, parseInt(row.answered, 10)]));
+  const numeric = new Map(numericResult.rows.map((row) => [row.question_key, row]));
+
+  return questions.map((question) => {
+    const key = question.question_key;
+    const total = answered.get(key) || 0;
+    const result = {
+      question_key: key,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      answered: total
+    };
+    const values = valuesResult.rows.filter((row) => row.question_key === key);
+
+    switch (question.question_type) {
+      case 'radio':
+      case 'dropdown':
+      case 'checkbox':
+      case 'scale': {
+        const counts = new Map(values.map((row) => [row.value, parseInt(row.count, 10)]));
+        // En checkbox cada persona puede marcar varias: los porcentajes no suman 100
+        result.options = countOptions(question.options, counts, total);
+        break;
+      }
+
+      // Posición media de cada opción (1 = la más prioritaria) y veces en primer lugar
+      case 'ranking':
+        result.options = question.options.map((option) => {
+          const rows = values.filter((row) => row.value === option.value);
+          const count = rows.reduce((sum, row) => sum + parseInt(row.count, 10), 0);
+          const positions = rows.reduce((sum, row) => sum + parseInt(row.position, 10) * parseInt(row.count, 10), 0);
+          const first = rows.find((row) => parseInt(row.position, 10) === 1);
+          return {
+            value: option.value,
+            label: option.label,
+            average_position: count > 0 ? round(positions / count) : null,
+            first_place: first ? parseInt(first.count, 10) : 0,
+            first_place_percentage: percentage(first ? parseInt(first.count, 10) : 0, total)
+          };
+        }).sort((a, b) => (a.average_position ?? Infinity) - (b.average_position ?? Infinity));
+        break;
+
+      case 'matrix': {
+        const cells = matrixResult.rows.filter((row) => row.question_key === key);
+        result.rows = question.matrixRows.map((matrixRow) => {
+          const rowCells = cells.filter((cell) => cell.row_value === matrixRow.value);
+          const rowTotal = rowCells.reduce((sum, cell) => sum + parseInt(cell.count, 10), 0);
+          const counts = new Map(rowCells.map((cell) => [cell.column_value, parseInt(cell.count, 10)]));
+          return {
+            value: matrixRow.value,
+            label: matrixRow.label,
+            answered: rowTotal,
+            columns: countOptions(question.options, counts, rowTotal)
+          };
+        });
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    if (['scale', 'number'].includes(question.question_type)) {
+      const summary = numeric.get(key);
+      result.summary = summary
+        ? {
+          count: parseInt(summary.count, 10),
+          mean: round(summary.mean),
+          median: round(summary.median),
+          min: Number(summary.min),
+          max: Number(summary.max),
+          stddev: round(summary.stddev)
+        }
+        : { count: 0, mean: null, median: null, min: null, max: null, stddev: null };
+    }
+
+    return result;
+  });
+}
+
+// Tabla de contingencia entre dos preguntas de elección. Cada celda cuenta
+// personas que eligieron esa fila y esa columna; el porcentaje es sobre el
+// total de la fila (p. ej. frecuencia de donación dentro de cada tramo de edad)
+async function getCrosstab(questions, { rows, columns }, params) {
+  const rowQuestion = questions.find((question) => question.question_key === rows);
+  const columnQuestion = questions.find((question) => question.question_key === columns);
+  for (const [key, question] of [[rows, rowQuestion], [columns, columnQuestion]]) {
+    if (!question) {
+      throw httpError(400, 'crosstab_unknown_question', { params: { key } });
+    }
+    if (!CROSSTAB_TYPES.includes(question.question_type)) {
+      throw httpError(400, 'crosstab_invalid_type', { params: { type: question.question_type, key } });
+    }
+  }
+
+  const result = await pool.query(`
+    WITH ${RESPONDENTS_SQL},
+    answer_values AS (
+      SELECT answers.user_id, answers.question_key, v.value
+      FROM answers
+      CROSS JOIN LATERAL ${ANSWER_VALUES_SQL}
+      WHERE answers.question_key IN ($5, $6)
+    )
+    SELECT a.value as row_value, b.value as column_value,
+           GROUPING(a.value, b.value) as level, COUNT(DISTINCT a.user_id) as count
+    FROM answer_values a
+    JOIN answer_values b ON b.user_id = a.user_id AND b.question_key = $6
+    WHERE a.question_key = $5
+    GROUP BY GROUPING SETS ((a.value, b.value), (a.value), (b.value), ())
+  `, [...params, rows, columns]);
+
+  const cells = new Map();
+  const rowTotals = new Map();
+  const columnTotals = new Map();
+  let total = 0;
+  for (const row of result.rows) {
+    const count = parseInt(row.count, 10);
+    // GROUPING: 0 celda, 1 total de fila, 2 total de columna, 3 total general
+    switch (row.level) {
+      case 0: cells.set(`${row.row_value}\u0000${row.column_value}`, count); break;
+      case 1: rowTotals.set(row.row_value, count); break;
+      case 2: columnTotals.set(row.column_value, count); break;
+      default: total = count;
+    }
+  }
+
+  const columnList = countOptions(columnQuestion.options, columnTotals, total);
+  return {
+    rows_question: { question_key: rows, question_text: rowQuestion.question_text },
+    columns_question: { question_key: columns, question_text: columnQuestion.question_text },
+    total,
+    columns: columnList,
+    rows: countOptions(rowQuestion.options, rowTotals, total).map((row) => ({
+      ...row,
+      cells: columnList.map((column) => {
+        const count = cells.get(`${row.value}\u0000${column.value}`) || 0;
+        return { value: column.value, count, percentage: percentage(count, row.count) };
+      })
+    }))
+  };
+}
+
+async function getSurveyResults(surveyId, options) {
+  const { survey, versions, versionIds, questions } = await loadQuestions(surveyId, options.version);
+  const params = [surveyId, versionIds, options.from || null, options.to || null];
+
+  const [completion, dropoff, questionResults] = await Promise.all([
+    getCompletion(params),
+    getDropoff(questions, params),
+    getQuestionResults(questions, params)
+  ]);
+
+  const crosstabs = [];
+  for (const crosstab of options.crosstabs) {
+    crosstabs.push(await getCrosstab(questions, crosstab, params));
+  }
+
+  return {
+    survey,
+    filters: {
+      from: options.from || null,
+      to: options.to || null,
+      versions
+    },
+    completion,
+    dropoff,
+    questions: questionResults,
+    crosstabs
+  };
+}
+
+module.exports = {
+  CROSSTAB_TYPES,
+  parseResultsOptions,
+  getSurveyResults
+};
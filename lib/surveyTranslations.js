@@ -0,0 +1,177 @@
+// Traducciones del contenido de las encuestas (columna translations de
+// surveys y survey_questions). Las columnas normales tienen los textos en el
+// idioma de referencia y aquí van los demás idiomas, solo los textos: los
+// valores de las opciones son los mismos en todos, así que lo que se guarda
+// y se exporta no depende del idioma en que se respondió.
+//
+//   encuesta: { ca: { title, description } }
+//   pregunta: { ca: { question_text, options: { valor: etiqueta },
+//                     rows: { valor: etiqueta }, min_label, max_label } }
+//
+// Lo que falte en un idioma se muestra en el de referencia.
+const { LOCALES, DEFAULT_LOCALE } = require('./i18n');
+
+const TRANSLATED_LOCALES = LOCALES.filter((locale) => locale !== DEFAULT_LOCALE);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Comprueba la forma { idioma: { campo: ... } } y que solo haya los campos
+// permitidos. Devuelve el mensaje de error o null.
+function checkShape(translations, fields) {
+  if (!isPlainObject(translations)) {
+    return 'Deben ser un objeto por idioma';
+  }
+  for (const [locale, text] of Object.entries(translations)) {
+    if (!TRANSLATED_LOCALES.includes(locale)) {
+      return `Idioma no válido: ${locale}. Valores permitidos: ${TRANSLATED_LOCALES.join(', ')}`;
+    }
+    if (!isPlainObject(text)) {
+      return `${locale}: debe ser un objeto`;
+    }
+    const unknown = Object.keys(text).find((field) => !fields.includes(field));
+    if (unknown) {
+      return `${locale}.${unknown}: no se puede traducir`;
+    }
+  }
+  return null;
+}
+
+// Etiquetas { valor: etiqueta } de opciones o filas que existen en choices
+function normalizeLabels(labels, choices, path) {
+  if (!isPlainObject(labels)) {
+    return { error: `${path}: debe ser un objeto { valor: etiqueta }` };
+  }
+  const values = new Set((choices || []).map((choice) => choice.value));
+  const normalized = {};
+  for (const [value, label] of Object.entries(labels)) {
+    if (!values.has(value)) {
+      return { error: `${path}: la opción ${value} no existe` };
+    }
+    if (!isText(label)) {
+      return { error: `${path}.${value}: etiqueta requerida` };
+    }
+    normalized[value] = label.trim();
+  }
+  return { labels: normalized };
+}
+
+// Traducciones de una encuesta. Deja el error en errors.translations.
+function normalizeSurveyTranslations(translations, errors) {
+  const shapeError = checkShape(translations, ['title', 'description']);
+  if (shapeError) {
+    errors.translations = shapeError;
+    return null;
+  }
+
+  const normalized = {};
+  for (const [locale, text] of Object.entries(translations)) {
+    if (text.title !== undefined && (!isText(text.title) || text.title.length > 200)) {
+      errors.translations = `${locale}.title: título requerido (máx. 200 caracteres)`;
+      return null;
+    }
+    if (text.description !== undefined && typeof text.description !== 'string') {
+      errors.translations = `${locale}.description: debe ser un texto`;
+      return null;
+    }
+    normalized[locale] = {
+      ...(text.title !== undefined ? { title: text.title.trim() } : {}),
+      ...(text.description !== undefined ? { description: text.description } : {})
+    };
+  }
+  return normalized;
+}
+
+// Traducciones de una pregunta ya validada (options y settings normalizados).
+// Deja el error en errors.translations.
+function normalizeQuestionTranslations(translations, question, errors) {
+  const shapeError = checkShape(translations, ['question_text', 'options', 'rows', 'min_label', 'max_label']);
+  if (shapeError) {
+    errors.translations = shapeError;
+    return null;
+  }
+
+  const settings = question.settings || {};
+  const normalized = {};
+  for (const [locale, text] of Object.entries(translations)) {
+    const result = {};
+
+    if (text.question_text !== undefined) {
+      if (!isText(text.question_text)) {
+        errors.translations = `${locale}.question_text: texto requerido`;
+        return null;
+      }
+      result.question_text = text.question_text.trim();
+    }
+
+    for (const [field, choices] of [['options', question.options], ['rows', settings.rows]]) {
+      if (text[field] === undefined) continue;
+      const { labels, error } = normalizeLabels(text[field], choices, `${locale}.${field}`);
+      if (error) {
+        errors.translations = error;
+        return null;
+      }
+      result[field] = labels;
+    }
+
+    for (const field of ['min_label', 'max_label']) {
+      if (text[field] === undefined) continue;
+      if (question.question_type !== 'scale' || !isText(text[field])) {
+        errors.translations = `${locale}.${field}: solo en escalas, con texto`;
+        return null;
+      }
+      result[field] = text[field].trim();
+    }
+
+    normalized[locale] = result;
+  }
+  return normalized;
+}
+
+const relabel = (items, labels) => items.map((item) => ({ ...item, label: (labels || {})[item.value] || item.label }));
+
+// Encuesta con el título y la descripción en el idioma pedido, sin la
+// columna translations
+function localizeSurvey(survey, locale) {
+  const { translations, ...fields } = survey;
+  const text = (translations || {})[locale] || {};
+  return {
+    ...fields,
+    title: text.title || fields.title,
+    description: text.description !== undefined ? text.description : fields.description
+  };
+}
+
+// Pregunta con los textos en el idioma pedido; los valores no cambian
+function localizeQuestion(question, locale) {
+  const { translations, ...fields } = question;
+  const text = (translations || {})[locale];
+  if (!text) {
+    return fields;
+  }
+
+  const settings = fields.settings ? { ...fields.settings } : fields.settings;
+  if (settings && settings.rows) settings.rows = relabel(settings.rows, text.rows);
+  if (settings && text.min_label) settings.min_label = text.min_label;
+  if (settings && text.max_label) settings.max_label = text.max_label;
+
+  return {
+    ...fields,
+    question_text: text.question_text || fields.question_text,
+    options: fields.options ? relabel(fields.options, text.options) : fields.options,
+    settings
+  };
+}
+
+module.exports = {
+  TRANSLATED_LOCALES,
+  normalizeSurveyTranslations,
+  normalizeQuestionTranslations,
+  localizeSurvey,
+  localizeQuestion
+};
@@ -0,0 +1,249 @@
+const audit = require('./audit');
+const { withTransaction } = require('./db');
+const { httpError } = require('./errors');
+const { message } = require('./i18n');
+const auth = require('./auth');
+const ledger = require('./ledger');
+const repositories = require('./repositories');
+
+const MIN_WITHDRAWAL = 5;
+// Lo que cabe en withdrawal_requests.amount (DECIMAL(10,2)). Por encima del
+// saldo disponible la retención ya falla con "Saldo insuficiente".
+const MAX_WITHDRAWAL = 99999999.99;
+// Cabecera Idempotency-Key: cabe en withdrawal_requests.idempotency_key
+const IDEMPOTENCY_KEY_PATTERN = /^[\w-]{1,100}$/;
+
+// Estados a los que puede pasar cada solicitud. completed y failed son finales.
+//   pending -> processing (aprobada) -> completed (pagada)
+//   pending | processing -> failed (rechazada o pago fallido)
+const TRANSITIONS = {
+  pending: ['processing', 'failed'],
+  processing: ['completed', 'failed']
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function validateWithdrawal({ amount, paypalEmail, idempotencyKey }) {
+  const errors = {};
+  const value = Number(amount);
+
+  // Como mucho dos decimales. value * 100 arrastra el error de coma flotante
+  // (5.1 * 100 = 509.99999999999994), así que se compara con un margen.
+  if (!Number.isFinite(value) || value > MAX_WITHDRAWAL || Math.abs(value * 100 - Math.round(value * 100)) > 1e-6) {
+    errors.amount = message('invalid_amount');
+  } else if (value < MIN_WITHDRAWAL) {
+    errors.amount = message('withdrawal_below_minimum', { min: MIN_WITHDRAWAL });
+  }
+  if (!auth.isValidEmail(auth.normalizeEmail(paypalEmail))) {
+    errors.paypalEmail = message('invalid_paypal_email');
+  }
+  if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    errors.idempotencyKey = message('invalid_idempotency_key');
+  }
+
+  // El mensaje principal es el del primer campo con error
+  const first = errors.amount || errors.paypalEmail || errors.idempotencyKey;
+  if (first) {
+    throw httpError(400, first.code, { params: first.params, details: errors });
+  }
+  return { amount: value.toFixed(2), paypalEmail: auth.normalizeEmail(paypalEmail) };
+}
+
+// Crea la solicitud de retiro y retiene el importe en el libro contable.
+// Con idempotencyKey (cabecera Idempotency-Key), repetir la petición devuelve
+// la solicitud original en lugar de crear otra.
+async function requestWithdrawal({ userId, amount, paypalEmail, idempotencyKey, ip }) {
+  const values = validateWithdrawal({ amount, paypalEmail, idempotencyKey });
+
+  return withTransaction(async (client) => {
+    // Serializa las solicitudes del mismo usuario
+    await repositories.users.lockForUpdate(userId, client);
+
+    if (idempotencyKey) {
+      const existing = await repositories.withdrawals.findByIdempotencyKey(userId, idempotencyKey, client);
+      if (existing) {
+        return { withdrawal: existing, replayed: true };
+      }
+    }
+
+    const withdrawal = await repositories.withdrawals.insert({
+      userId,
+      amount: values.amount,
+      paypalEmail: values.paypalEmail,
+      idempotencyKey
+    }, client);
+
+    // Falla con "Saldo insuficiente" y deshace la solicitud
+    const held = await ledger.hold(client, {
+      userId,
+      amount: values.amount,
+      description: 'Retención por solicitud de retiro',
+      reference: `withdrawal:${withdrawal.id}`,
+      idempotencyKey: `withdrawal_hold:${withdrawal.id}`
+    });
+
+    const updated = await repositories.withdrawals.setHoldTransaction(withdrawal.id, held.id, client);
+
+    await repositories.transactions.insert({
+      userId,
+      type: 'withdrawal_request',
+      amount: values.amount,
+      description: 'Solicitud de retiro vía PayPal',
+      referenceId: withdrawal.id,
+      paypalEmail: values.paypalEmail,
+      status: 'pending'
+    }, client);
+
+    await audit.record('withdrawal_requested', {
+      userId,
+      actorId: userId,
+      target: { type: 'withdrawal', id: withdrawal.id },
+      after: { status: updated.status, amount: values.amount },
+      description: `Solicitó retiro de ${values.amount} EUR`,
+      ip,
+      metadata: { paypalEmail: values.paypalEmail }
+    }, client);
+
+    return { withdrawal: updated, replayed: false };
+  });
+}
+
+// Estado del movimiento en transactions para cada estado de la solicitud
+function transactionStatus(from, to) {
+  if (to === 'completed') return 'completed';
+  if (to === 'failed') return from === 'pending' ? 'cancelled' : 'failed';
+  return 'pending';
+}
+
+// Mueve una solicitud a otro estado. Al pagarla se liquida la retención; al
+// rechazarla o marcarla como fallida se devuelven los fondos al usuario.
+// Una vez enviada a PayPal (payout_batch_id) solo la cierra el resultado del
+// pago (byProvider: sendPayout o el webhook); un admin no puede rechazarla ni
+// marcarla como pagada mientras tanto, o el dinero saldría dos veces o se
+// perdería.
+async function transitionWithdrawal(withdrawalId, status, {
+  adminNotes, paypalTransactionId, adminId, ip, byProvider = false
+} = {}) {
+  if (!UUID_PATTERN.test(withdrawalId)) {
+    throw httpError(404, 'withdrawal_not_found');
+  }
+  if (status === 'completed' && !paypalTransactionId) {
+    throw httpError(400, 'paypal_transaction_required');
+  }
+
+  return withTransaction(async (client) => {
+    const withdrawal = await repositories.withdrawals.findByIdForUpdate(withdrawalId, client);
+    if (!withdrawal) {
+      throw httpError(404, 'withdrawal_not_found');
+    }
+    if (!(TRANSITIONS[withdrawal.status] || []).includes(status)) {
+      throw httpError(409, 'invalid_withdrawal_transition', { params: { from: withdrawal.status, to: status } });
+    }
+    if (withdrawal.payout_batch_id && !byProvider) {
+      throw httpError(409, 'payout_in_progress');
+    }
+
+    // Las solicitudes anteriores al libro contable no tienen retención
+    if (withdrawal.hold_transaction_id && status === 'completed') {
+      await ledger.settle(client, withdrawal.hold_transaction_id, {
+        description: 'Retiro pagado vía PayPal',
+        idempotencyKey: `withdrawal_settle:${withdrawal.id}`
+      });
+    } else if (withdrawal.hold_transaction_id && status === 'failed') {
+      await ledger.release(client, withdrawal.hold_transaction_id, {
+        description: 'Devolución de retiro no pagado',
+        idempotencyKey: `withdrawal_release:${withdrawal.id}`
+      });
+    }
+
+    const isFinal = !TRANSITIONS[status];
+    const updated = await repositories.withdrawals.updateStatus(withdrawal.id, {
+      status,
+      adminNotes,
+      paypalTransactionId,
+      processed: isFinal
+    }, client);
+
+    await repositories.transactions.updateWithdrawalStatus(withdrawal.id, {
+      status: transactionStatus(withdrawal.status, status),
+      paypalTransactionId,
+      processed: isFinal
+    }, client);
+
+    await audit.record(`withdrawal_${status}`, {
+      userId: withdrawal.user_id,
+      actorId: adminId,
+      target: { type: 'withdrawal', id: withdrawal.id },
+      before: { status: withdrawal.status },
+      after: { status, ...(paypalTransactionId ? { paypal_transaction_id: paypalTransactionId } : {}) },
+      description: `Retiro de ${withdrawal.amount} EUR: ${withdrawal.status} -> ${status}`,
+      ip,
+      metadata: adminNotes ? { adminNotes } : undefined
+    }, client);
+
+    return updated;
+  });
+}
+
+// Historial de solicitudes de un usuario, de la más reciente a la más antigua
+function listUserWithdrawals(userId, pagination) {
+  return repositories.withdrawals.listForUser(userId, pagination);
+}
+
+// PayPal devolvió un pago que ya había hecho (RETURNED, REFUNDED o REVERSED
+// después de SUCCEEDED): el retiro pasa de completed a failed y se revierte
+// la liquidación, así que el importe vuelve al saldo disponible del usuario.
+// Las solicitudes anteriores al libro contable solo cambian de estado.
+async function reversePaidWithdrawal(withdrawalId, { adminNotes } = {}) {
+  return withTransaction(async (client) => {
+    const withdrawal = await repositories.withdrawals.findByIdForUpdate(withdrawalId, client);
+    if (!withdrawal) {
+      throw httpError(404, 'withdrawal_not_found');
+    }
+    if (withdrawal.status !== 'completed') {
+      throw httpError(409, 'invalid_withdrawal_transition', { params: { from: withdrawal.status, to: 'failed' } });
+    }
+
+    const settlement = withdrawal.hold_transaction_id
+      ? await ledger.findClosingEntry(withdrawal.hold_transaction_id, client)
+      : null;
+    if (settlement && settlement.kind === 'settle') {
+      await ledger.reverse(client, settlement.id, {
+        description: 'Retiro devuelto por PayPal',
+        idempotencyKey: `withdrawal_reversal:${withdrawal.id}`
+      });
+    }
+
+    const updated = await repositories.withdrawals.updateStatus(withdrawal.id, {
+      status: 'failed',
+      adminNotes,
+      processed: true
+    }, client);
+
+    await repositories.transactions.updateWithdrawalStatus(withdrawal.id, {
+      status: 'failed',
+      processed: true
+    }, client);
+
+    await audit.record('withdrawal_failed', {
+      userId: withdrawal.user_id,
+      target: { type: 'withdrawal', id: withdrawal.id },
+      before: { status: withdrawal.status },
+      after: { status: 'failed' },
+      description: `Retiro de ${withdrawal.amount} EUR devuelto tras el pago: completed -> failed`,
+      metadata: adminNotes ? { adminNotes } : undefined
+    }, client);
+
+    return updated;
+  });
+}
+
+module.exports = {
+  MIN_WITHDRAWAL,
+  TRANSITIONS,
+  UUID_PATTERN,
+  requestWithdrawal,
+  transitionWithdrawal,
+  reversePaidWithdrawal,
+  listUserWithdrawals
+};
@@ -0,0 +1,26 @@
+-- Borra todo el esquema inicial (y sus datos). Las extensiones se dejan.
+DROP VIEW IF EXISTS admin_stats;
+DROP VIEW IF EXISTS user_dashboard;
+
+DROP TABLE IF EXISTS
+    system_config,
+    revoked_tokens,
+    activity_logs,
+    rate_limits,
+    submission_reviews,
+    ledger_entries,
+    ledger_transactions,
+    withdrawal_requests,
+    referrals,
+    transactions,
+    user_completed_surveys,
+    user_survey_responses,
+    survey_questions,
+    survey_versions,
+    surveys,
+    users
+CASCADE;
+
+DROP FUNCTION IF EXISTS prevent_published_question_changes();
+DROP FUNCTION IF EXISTS prevent_ledger_changes();
+DROP FUNCTION IF EXISTS get_user_balance(UUID);
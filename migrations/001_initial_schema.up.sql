@@ -0,0 +1,350 @@
+-- Extensiones necesarias
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- Tabla de usuarios
+CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255),
+    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'staff', 'admin')),
+    balance DECIMAL(10,2) DEFAULT 0.00,
+    referral_code VARCHAR(20) UNIQUE NOT NULL,
+    referred_by VARCHAR(20),
+    total_referrals INTEGER DEFAULT 0,
+    ip_address INET,
+    user_agent TEXT,
+    email_verified BOOLEAN DEFAULT FALSE,
+    verification_token VARCHAR(100),
+    verification_expires_at TIMESTAMP WITH TIME ZONE,
+    password_reset_token VARCHAR(100),
+    password_reset_expires_at TIMESTAMP WITH TIME ZONE,
+    password_changed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_login TIMESTAMP WITH TIME ZONE
+);
+
+-- Tabla de encuestas disponibles
+CREATE TABLE surveys (
+    id SERIAL PRIMARY KEY,
+    survey_key VARCHAR(50) UNIQUE NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    reward_amount DECIMAL(10,2) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    current_version_id INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Versiones de cada encuesta. Una versión publicada es inmutable: para
+-- cambiar preguntas se crea un nuevo borrador.
+CREATE TABLE survey_versions (
+    id SERIAL PRIMARY KEY,
+    survey_id INTEGER NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    published_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(survey_id, version)
+);
+
+ALTER TABLE surveys ADD CONSTRAINT surveys_current_version_fk
+    FOREIGN KEY (current_version_id) REFERENCES survey_versions(id);
+
+-- Tabla de preguntas de encuestas (pertenecen a una versión)
+CREATE TABLE survey_questions (
+    id SERIAL PRIMARY KEY,
+    survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
+    survey_version_id INTEGER NOT NULL REFERENCES survey_versions(id) ON DELETE CASCADE,
+    question_key VARCHAR(50) NOT NULL,
+    question_text TEXT NOT NULL,
+    question_type VARCHAR(20) NOT NULL CHECK (question_type IN (
+        'radio', 'checkbox', 'text', 'textarea',
+        'scale', 'number', 'date', 'dropdown', 'ranking', 'matrix'
+    )),
+    options JSONB,
+    -- Ajustes por tipo: min/max/step, etiquetas de la escala, filas de la matriz
+    settings JSONB,
+    is_required BOOLEAN DEFAULT TRUE,
+    order_index INTEGER DEFAULT 0,
+    -- Lógica condicional (ver lib/surveyLogic.js)
+    display_condition JSONB,
+    jump_rules JSONB,
+    UNIQUE(survey_version_id, question_key)
+);
+
+-- Tabla de respuestas de usuarios
+CREATE TABLE user_survey_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
+    survey_version_id INTEGER REFERENCES survey_versions(id),
+    question_id INTEGER REFERENCES survey_questions(id) ON DELETE CASCADE,
+    answer_text TEXT,
+    answer_options JSONB,
+    completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, survey_id, question_id)
+);
+
+-- Tabla de encuestas completadas
+CREATE TABLE user_completed_surveys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
+    survey_version_id INTEGER REFERENCES survey_versions(id),
+    completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    reward_paid BOOLEAN DEFAULT FALSE,
+    UNIQUE(user_id, survey_id)
+);
+
+-- Tabla de transacciones
+CREATE TABLE transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('survey_reward', 'referral_bonus', 'withdrawal_request', 'withdrawal_completed')),
+    amount DECIMAL(10,2) NOT NULL,
+    description TEXT,
+    reference_id VARCHAR(100),
+    status VARCHAR(20) DEFAULT 'completed' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
+    paypal_email VARCHAR(255),
+    paypal_transaction_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Tabla de referidos
+CREATE TABLE referrals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    referrer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    referred_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    referral_code VARCHAR(20) NOT NULL,
+    bonus_paid BOOLEAN DEFAULT FALSE,
+    -- Cuándo completó el referido su primera encuesta con recompensa
+    qualified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(referrer_id, referred_user_id),
+    -- Cada usuario solo puede haber sido referido por una persona
+    UNIQUE(referred_user_id)
+);
+
+-- Tabla de retiros
+CREATE TABLE withdrawal_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL,
+    paypal_email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    admin_notes TEXT,
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    paypal_transaction_id VARCHAR(100),
+    -- Lote y elemento de PayPal Payouts con los que se envió el pago
+    payout_batch_id VARCHAR(100),
+    payout_item_id VARCHAR(100),
+    -- Retención del importe en el libro contable
+    hold_transaction_id UUID,
+    -- Clave Idempotency-Key enviada por el cliente al solicitar el retiro
+    idempotency_key VARCHAR(100),
+    UNIQUE(user_id, idempotency_key)
+);
+
+-- Libro contable de doble entrada (lib/ledger.js). Es la fuente de verdad de
+-- los saldos; users.balance es solo una copia del saldo disponible.
+-- Cada asiento (ledger_transactions) tiene apuntes (ledger_entries) que suman 0.
+CREATE TABLE ledger_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN (
+        'survey_reward', 'referral_bonus', 'adjustment', 'hold', 'release', 'settle', 'reversal'
+    )),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    description TEXT,
+    reference VARCHAR(100),
+    -- Asiento al que libera, liquida o revierte (como mucho uno por asiento)
+    related_id UUID REFERENCES ledger_transactions(id),
+    idempotency_key VARCHAR(150) UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    transaction_id UUID NOT NULL REFERENCES ledger_transactions(id),
+    account VARCHAR(30) NOT NULL CHECK (account IN (
+        'user_available', 'user_held', 'rewards', 'referrals', 'adjustments', 'payouts'
+    )),
+    -- Solo en las cuentas de usuario
+    user_id UUID REFERENCES users(id),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount <> 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE withdrawal_requests ADD CONSTRAINT withdrawal_requests_hold_fk
+    FOREIGN KEY (hold_transaction_id) REFERENCES ledger_transactions(id);
+
+-- Envíos con riesgo de fraude pendientes de revisión. La recompensa no se
+-- abona hasta que un admin los aprueba (cleared)
+CREATE TABLE submission_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
+    completed_survey_id UUID REFERENCES user_completed_surveys(id) ON DELETE CASCADE,
+    risk_score INTEGER NOT NULL,
+    signals JSONB NOT NULL DEFAULT '[]',
+    reward_amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cleared', 'rejected')),
+    admin_notes TEXT,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, survey_id)
+);
+
+-- Contadores del límite de peticiones (RATE_LIMIT_STORE=postgres). Son
+-- datos efímeros: no hace falta que sobrevivan a una caída
+CREATE UNLOGGED TABLE rate_limits (
+    key VARCHAR(255) PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Tabla de logs de actividad
+CREATE TABLE activity_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    activity_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    ip_address INET,
+    user_agent TEXT,
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tokens de sesión revocados (logout)
+CREATE TABLE revoked_tokens (
+    jti UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Configuración del sistema
+CREATE TABLE system_config (
+    key VARCHAR(100) PRIMARY KEY,
+    value TEXT NOT NULL,
+    description TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Índices
+CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_users_referral_code ON users(referral_code);
+CREATE INDEX idx_users_referred_by ON users(referred_by);
+CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_users_verification_token ON users(verification_token);
+CREATE INDEX idx_users_password_reset_token ON users(password_reset_token);
+CREATE INDEX idx_survey_questions_version ON survey_questions(survey_version_id, order_index);
+CREATE INDEX idx_user_survey_responses_user_survey ON user_survey_responses(user_id, survey_id);
+CREATE INDEX idx_transactions_user_id ON transactions(user_id);
+CREATE INDEX idx_transactions_type_status ON transactions(transaction_type, status);
+CREATE INDEX idx_referrals_referrer_id ON referrals(referrer_id);
+CREATE INDEX idx_withdrawal_requests_status ON withdrawal_requests(status);
+CREATE INDEX idx_activity_logs_user_activity ON activity_logs(user_id, activity_type);
+CREATE INDEX idx_activity_logs_ip_address ON activity_logs(ip_address);
+CREATE INDEX idx_users_ip_address ON users(ip_address);
+CREATE INDEX idx_submission_reviews_status ON submission_reviews(status, created_at);
+CREATE INDEX idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+CREATE INDEX idx_ledger_transactions_user ON ledger_transactions(user_id, created_at);
+CREATE UNIQUE INDEX idx_ledger_transactions_related ON ledger_transactions(related_id);
+CREATE INDEX idx_ledger_entries_user_account ON ledger_entries(user_id, account);
+CREATE INDEX idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+
+-- Saldo disponible según el libro contable (sin los fondos retenidos)
+CREATE OR REPLACE FUNCTION get_user_balance(user_uuid UUID)
+RETURNS DECIMAL(10,2) AS $$
+    SELECT COALESCE(SUM(amount), 0)::DECIMAL(10,2)
+    FROM ledger_entries
+    WHERE user_id = user_uuid AND account = 'user_available';
+$$ LANGUAGE sql STABLE;
+
+-- El libro contable solo admite inserciones: las correcciones son asientos nuevos
+CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'El libro contable no admite modificaciones (%)', TG_TABLE_NAME
+        USING ERRCODE = 'check_violation';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_transactions_append_only
+BEFORE UPDATE OR DELETE ON ledger_transactions
+FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+CREATE TRIGGER ledger_entries_append_only
+BEFORE UPDATE OR DELETE ON ledger_entries
+FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+-- Las preguntas de una versión publicada no se pueden modificar ni borrar
+CREATE OR REPLACE FUNCTION prevent_published_question_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM survey_versions
+        WHERE id = OLD.survey_version_id AND status = 'published'
+    ) THEN
+        RAISE EXCEPTION 'La versión % de la encuesta está publicada y no se puede modificar', OLD.survey_version_id
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER survey_questions_immutable
+BEFORE UPDATE OR DELETE ON survey_questions
+FOR EACH ROW EXECUTE FUNCTION prevent_published_question_changes();
+
+-- Vista para dashboard de usuario
+CREATE OR REPLACE VIEW user_dashboard AS
+SELECT 
+    u.id,
+    u.email,
+    u.referral_code,
+    get_user_balance(u.id) as current_balance,
+    (SELECT COUNT(*) FROM referrals WHERE referrer_id = u.id) as total_referrals,
+    (SELECT COUNT(*) FROM user_completed_surveys ucs 
+     JOIN surveys s ON ucs.survey_id = s.id 
+     WHERE ucs.user_id = u.id) as completed_surveys_count,
+    u.created_at,
+    u.last_login
+FROM users u;
+
+-- Vista para el panel de administración
+CREATE OR REPLACE VIEW admin_stats AS
+SELECT
+    (SELECT COUNT(*) FROM users) as total_users,
+    (SELECT COUNT(*) FROM users WHERE created_at >= NOW() - INTERVAL '7 days') as new_users_week,
+    (SELECT COUNT(*) FROM user_completed_surveys) as total_surveys_completed,
+    (SELECT COUNT(*) FROM user_completed_surveys
+     WHERE completed_at >= NOW() - INTERVAL '7 days') as surveys_completed_week,
+    (SELECT COALESCE(SUM(amount), 0) FROM transactions
+     WHERE transaction_type IN ('survey_reward', 'referral_bonus') AND status = 'completed') as total_rewards_paid,
+    (SELECT COALESCE(SUM(amount), 0) FROM withdrawal_requests WHERE status = 'completed') as total_withdrawals,
+    (SELECT COUNT(*) FROM withdrawal_requests WHERE status IN ('pending', 'processing')) as pending_withdrawals;
+
+-- RLS sin políticas: la aplicación se conecta como propietaria de las tablas
+-- y no le afecta; cualquier otro rol (p. ej. la API pública de Supabase) no
+-- ve ninguna fila. El control de acceso está en la API.
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_survey_responses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_completed_surveys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referrals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE withdrawal_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
+
+-- No hay usuario administrador por defecto: créalo con
+--   npm run admin:create -- <email>
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_activity_logs_created_at;
+ALTER TABLE users DROP COLUMN IF EXISTS anonymized_at;
+DROP TABLE IF EXISTS consent_records;
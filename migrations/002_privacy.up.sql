@@ -0,0 +1,25 @@
+-- Consentimientos (RGPD): uno por aceptación, con la versión del texto que
+-- se aceptó. 'terms' al crear la cuenta; 'survey' en cada encuesta enviada,
+-- con la versión de la encuesta respondida.
+CREATE TABLE consent_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('terms', 'survey')),
+    version VARCHAR(20) NOT NULL,
+    survey_id INTEGER REFERENCES surveys(id),
+    survey_version_id INTEGER REFERENCES survey_versions(id),
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_consent_records_user ON consent_records(user_id, created_at);
+
+ALTER TABLE consent_records ENABLE ROW LEVEL SECURITY;
+
+-- Cuenta borrada a petición del usuario: sin email, contraseña, IP ni
+-- navegador, pero con sus asientos del libro contable
+ALTER TABLE users ADD COLUMN anonymized_at TIMESTAMP WITH TIME ZONE;
+
+-- Para la tarea de retención, que borra IPs y navegadores antiguos
+CREATE INDEX idx_activity_logs_created_at ON activity_logs(created_at);
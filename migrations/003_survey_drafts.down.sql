@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_activity_logs_survey_events;
+DROP TABLE IF EXISTS survey_drafts;
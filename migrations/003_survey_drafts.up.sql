@@ -0,0 +1,22 @@
+-- Respuestas a medias de una encuesta, para continuar donde se dejó. Una por
+-- persona y encuesta; se borra al enviarla. Si caduca sin enviarse se anota
+-- survey_abandoned en activity_logs (lib/surveyDrafts.js).
+CREATE TABLE survey_drafts (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    survey_id INTEGER NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+    survey_version_id INTEGER NOT NULL REFERENCES survey_versions(id) ON DELETE CASCADE,
+    responses JSONB NOT NULL DEFAULT '{}',
+    -- Última pregunta respondida, en el orden de la encuesta
+    last_question_key VARCHAR(50),
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY (user_id, survey_id)
+);
+
+CREATE INDEX idx_survey_drafts_expires_at ON survey_drafts(expires_at);
+
+ALTER TABLE survey_drafts ENABLE ROW LEVEL SECURITY;
+
+-- Abandonos por encuesta para los resultados
+CREATE INDEX idx_activity_logs_survey_events ON activity_logs(activity_type, ((metadata->>'surveyId')));
@@ -0,0 +1,21 @@
+CREATE OR REPLACE FUNCTION prevent_published_question_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM survey_versions
+        WHERE id = OLD.survey_version_id AND status = 'published'
+    ) THEN
+        RAISE EXCEPTION 'La versión % de la encuesta está publicada y no se puede modificar', OLD.survey_version_id
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE survey_questions DROP COLUMN IF EXISTS translations;
+ALTER TABLE surveys DROP COLUMN IF EXISTS translations;
+ALTER TABLE users DROP COLUMN IF EXISTS locale;
@@ -0,0 +1,37 @@
+-- Idioma elegido por el usuario (es, ca, en). Sin elegir, cada petición usa
+-- el de Accept-Language (lib/i18n.js).
+ALTER TABLE users ADD COLUMN locale VARCHAR(5);
+
+-- Traducciones del contenido de las encuestas, por idioma. Los textos de las
+-- columnas normales son los del idioma de referencia (es); los valores de
+-- las opciones no se traducen, así que las respuestas y las exportaciones no
+-- dependen del idioma (lib/surveyTranslations.js).
+--   surveys:          { "ca": { "title": "...", "description": "..." } }
+--   survey_questions: { "ca": { "question_text": "...", "options": { "<value>": "<label>" },
+--                               "rows": { "<value>": "<label>" }, "min_label": "...", "max_label": "..." } }
+ALTER TABLE surveys ADD COLUMN translations JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE survey_questions ADD COLUMN translations JSONB NOT NULL DEFAULT '{}';
+
+-- Las traducciones de una versión publicada sí se pueden corregir: no cambian
+-- las preguntas ni los valores de las respuestas
+CREATE OR REPLACE FUNCTION prevent_published_question_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND (to_jsonb(NEW) - 'translations') = (to_jsonb(OLD) - 'translations') THEN
+        RETURN NEW;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM survey_versions
+        WHERE id = OLD.survey_version_id AND status = 'published'
+    ) THEN
+        RAISE EXCEPTION 'La versión % de la encuesta está publicada y no se puede modificar', OLD.survey_version_id
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
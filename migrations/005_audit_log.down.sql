@@ -0,0 +1,12 @@
+DROP INDEX IF EXISTS idx_activity_logs_request_id;
+DROP INDEX IF EXISTS idx_activity_logs_target;
+DROP INDEX IF EXISTS idx_activity_logs_actor_created;
+DROP INDEX IF EXISTS idx_activity_logs_user_created;
+
+ALTER TABLE activity_logs
+    DROP COLUMN IF EXISTS request_id,
+    DROP COLUMN IF EXISTS after_values,
+    DROP COLUMN IF EXISTS before_values,
+    DROP COLUMN IF EXISTS target_id,
+    DROP COLUMN IF EXISTS target_type,
+    DROP COLUMN IF EXISTS actor_id;
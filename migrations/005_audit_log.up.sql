@@ -0,0 +1,23 @@
+-- Registro de auditoría sobre activity_logs (lib/audit.js). user_id sigue
+-- siendo la cuenta a la que se refiere el evento; actor_id es quien lo hizo
+-- (la propia cuenta, un admin, o NULL si fue el sistema o alguien sin
+-- sesión), target_type/target_id el objeto afectado, before_values y
+-- after_values los campos que cambiaron y request_id la petición que lo
+-- originó (cabecera X-Request-Id de la respuesta).
+ALTER TABLE activity_logs
+    ADD COLUMN actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN target_type VARCHAR(30),
+    ADD COLUMN target_id VARCHAR(100),
+    ADD COLUMN before_values JSONB,
+    ADD COLUMN after_values JSONB,
+    ADD COLUMN request_id VARCHAR(100);
+
+-- Las acciones de administración anteriores guardaban al admin en metadata.by
+UPDATE activity_logs a SET actor_id = u.id
+FROM users u
+WHERE a.metadata ? 'by' AND u.id::text = a.metadata->>'by';
+
+CREATE INDEX idx_activity_logs_user_created ON activity_logs(user_id, created_at);
+CREATE INDEX idx_activity_logs_actor_created ON activity_logs(actor_id, created_at);
+CREATE INDEX idx_activity_logs_target ON activity_logs(target_type, target_id);
+CREATE INDEX idx_activity_logs_request_id ON activity_logs(request_id);
@@ -0,0 +1,9 @@
+ALTER TABLE surveys
+    DROP CONSTRAINT IF EXISTS surveys_schedule_check,
+    DROP COLUMN IF EXISTS budget_spent,
+    DROP COLUMN IF EXISTS completions_count,
+    DROP COLUMN IF EXISTS audience,
+    DROP COLUMN IF EXISTS budget,
+    DROP COLUMN IF EXISTS max_completions,
+    DROP COLUMN IF EXISTS closes_at,
+    DROP COLUMN IF EXISTS opens_at;
@@ -0,0 +1,24 @@
+-- Programación, cupos y público de las encuestas (lib/surveyAvailability.js).
+-- Todo es opcional: NULL es sin límite y audience NULL es todo el mundo.
+-- completions_count y budget_spent se actualizan en la misma transacción que
+-- cada envío, con la fila de la encuesta bloqueada, para que los cupos no se
+-- superen con envíos simultáneos.
+ALTER TABLE surveys
+    ADD COLUMN opens_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN closes_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN max_completions INTEGER CHECK (max_completions > 0),
+    ADD COLUMN budget DECIMAL(10,2) CHECK (budget > 0),
+    ADD COLUMN audience JSONB,
+    ADD COLUMN completions_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN budget_spent DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD CONSTRAINT surveys_schedule_check CHECK (closes_at IS NULL OR opens_at IS NULL OR closes_at > opens_at);
+
+-- Envíos y recompensas anteriores. Las recompensas pendientes de revisión
+-- cuentan hasta que se rechazan.
+UPDATE surveys s SET
+    completions_count = (SELECT COUNT(*) FROM user_completed_surveys c WHERE c.survey_id = s.id),
+    budget_spent = COALESCE((
+        SELECT SUM(t.amount) FROM transactions t
+        WHERE t.transaction_type = 'survey_reward' AND t.reference_id = s.survey_key
+          AND t.status IN ('pending', 'completed')
+    ), 0);
@@ -0,0 +1,219 @@
+-- Lleva una base de datos creada con el antiguo schema.sql al estado de
+-- 001_initial_schema, conservando los datos. Lo ejecuta
+-- `npm run db:migrate -- upgrade-legacy` (ver lib/migrations.js), en una
+-- transacción, antes de anotar la 001 como aplicada. No es una migración
+-- numerada: solo sirve para esas bases de datos.
+
+-- Usuarios
+ALTER TABLE users
+    ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'staff', 'admin')),
+    ADD COLUMN verification_expires_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN password_reset_token VARCHAR(100),
+    ADD COLUMN password_reset_expires_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN password_changed_at TIMESTAMP WITH TIME ZONE;
+
+-- schema.sql creaba un administrador con una contraseña pública. Se queda
+-- como usuario normal y sin contraseña (no puede iniciar sesión)
+UPDATE users SET password_hash = NULL
+WHERE email = 'admin@angelessinalas.com' AND referral_code = 'ADMIN001';
+
+-- Versiones de encuesta: las preguntas que ya existían pasan a ser la
+-- versión 1, publicada
+CREATE TABLE survey_versions (
+    id SERIAL PRIMARY KEY,
+    survey_id INTEGER NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    published_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(survey_id, version)
+);
+
+INSERT INTO survey_versions (survey_id, version, status, created_at, published_at)
+SELECT id, 1, 'published', created_at, created_at FROM surveys;
+
+ALTER TABLE surveys ADD COLUMN current_version_id INTEGER;
+ALTER TABLE surveys ADD CONSTRAINT surveys_current_version_fk
+    FOREIGN KEY (current_version_id) REFERENCES survey_versions(id);
+UPDATE surveys s SET current_version_id = v.id
+FROM survey_versions v WHERE v.survey_id = s.id;
+
+ALTER TABLE survey_questions
+    ADD COLUMN survey_version_id INTEGER REFERENCES survey_versions(id) ON DELETE CASCADE,
+    ADD COLUMN settings JSONB,
+    ADD COLUMN display_condition JSONB,
+    ADD COLUMN jump_rules JSONB;
+UPDATE survey_questions q SET survey_version_id = s.current_version_id
+FROM surveys s WHERE s.id = q.survey_id;
+-- Preguntas sin encuesta: no se podían responder
+DELETE FROM survey_questions WHERE survey_version_id IS NULL;
+ALTER TABLE survey_questions
+    ALTER COLUMN survey_version_id SET NOT NULL,
+    ADD UNIQUE(survey_version_id, question_key),
+    DROP CONSTRAINT survey_questions_question_type_check,
+    ADD CONSTRAINT survey_questions_question_type_check CHECK (question_type IN (
+        'radio', 'checkbox', 'text', 'textarea',
+        'scale', 'number', 'date', 'dropdown', 'ranking', 'matrix'
+    ));
+
+ALTER TABLE user_survey_responses ADD COLUMN survey_version_id INTEGER REFERENCES survey_versions(id);
+UPDATE user_survey_responses r SET survey_version_id = s.current_version_id
+FROM surveys s WHERE s.id = r.survey_id;
+
+ALTER TABLE user_completed_surveys ADD COLUMN survey_version_id INTEGER REFERENCES survey_versions(id);
+UPDATE user_completed_surveys c SET survey_version_id = s.current_version_id
+FROM surveys s WHERE s.id = c.survey_id;
+
+-- Referidos
+ALTER TABLE referrals
+    ADD COLUMN qualified_at TIMESTAMP WITH TIME ZONE,
+    ADD UNIQUE(referred_user_id);
+
+-- Retiros
+ALTER TABLE withdrawal_requests
+    ADD COLUMN payout_batch_id VARCHAR(100),
+    ADD COLUMN payout_item_id VARCHAR(100),
+    ADD COLUMN hold_transaction_id UUID,
+    ADD COLUMN idempotency_key VARCHAR(100),
+    ADD UNIQUE(user_id, idempotency_key);
+
+-- Libro contable. Empieza vacío: los saldos anteriores aparecen como
+-- diferencias en `npm run ledger:reconcile` hasta que se registran con un
+-- asiento adjustment
+CREATE TABLE ledger_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN (
+        'survey_reward', 'referral_bonus', 'adjustment', 'hold', 'release', 'settle', 'reversal'
+    )),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    description TEXT,
+    reference VARCHAR(100),
+    related_id UUID REFERENCES ledger_transactions(id),
+    idempotency_key VARCHAR(150) UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    transaction_id UUID NOT NULL REFERENCES ledger_transactions(id),
+    account VARCHAR(30) NOT NULL CHECK (account IN (
+        'user_available', 'user_held', 'rewards', 'referrals', 'adjustments', 'payouts'
+    )),
+    user_id UUID REFERENCES users(id),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount <> 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE withdrawal_requests ADD CONSTRAINT withdrawal_requests_hold_fk
+    FOREIGN KEY (hold_transaction_id) REFERENCES ledger_transactions(id);
+
+-- Tablas nuevas
+CREATE TABLE submission_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
+    completed_survey_id UUID REFERENCES user_completed_surveys(id) ON DELETE CASCADE,
+    risk_score INTEGER NOT NULL,
+    signals JSONB NOT NULL DEFAULT '[]',
+    reward_amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cleared', 'rejected')),
+    admin_notes TEXT,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, survey_id)
+);
+
+CREATE UNLOGGED TABLE rate_limits (
+    key VARCHAR(255) PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE revoked_tokens (
+    jti UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Índices
+CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_users_verification_token ON users(verification_token);
+CREATE INDEX idx_users_password_reset_token ON users(password_reset_token);
+CREATE INDEX idx_survey_questions_version ON survey_questions(survey_version_id, order_index);
+CREATE INDEX idx_activity_logs_ip_address ON activity_logs(ip_address);
+CREATE INDEX idx_users_ip_address ON users(ip_address);
+CREATE INDEX idx_submission_reviews_status ON submission_reviews(status, created_at);
+CREATE INDEX idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+CREATE INDEX idx_ledger_transactions_user ON ledger_transactions(user_id, created_at);
+CREATE UNIQUE INDEX idx_ledger_transactions_related ON ledger_transactions(related_id);
+CREATE INDEX idx_ledger_entries_user_account ON ledger_entries(user_id, account);
+CREATE INDEX idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+
+-- Funciones, disparadores y vistas, como en 001_initial_schema
+CREATE OR REPLACE FUNCTION get_user_balance(user_uuid UUID)
+RETURNS DECIMAL(10,2) AS $$
+    SELECT COALESCE(SUM(amount), 0)::DECIMAL(10,2)
+    FROM ledger_entries
+    WHERE user_id = user_uuid AND account = 'user_available';
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'El libro contable no admite modificaciones (%)', TG_TABLE_NAME
+        USING ERRCODE = 'check_violation';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_transactions_append_only
+BEFORE UPDATE OR DELETE ON ledger_transactions
+FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+CREATE TRIGGER ledger_entries_append_only
+BEFORE UPDATE OR DELETE ON ledger_entries
+FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+CREATE OR REPLACE FUNCTION prevent_published_question_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM survey_versions
+        WHERE id = OLD.survey_version_id AND status = 'published'
+    ) THEN
+        RAISE EXCEPTION 'La versión % de la encuesta está publicada y no se puede modificar', OLD.survey_version_id
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER survey_questions_immutable
+BEFORE UPDATE OR DELETE ON survey_questions
+FOR EACH ROW EXECUTE FUNCTION prevent_published_question_changes();
+
+CREATE OR REPLACE VIEW admin_stats AS
+SELECT
+    (SELECT COUNT(*) FROM users) as total_users,
+    (SELECT COUNT(*) FROM users WHERE created_at >= NOW() - INTERVAL '7 days') as new_users_week,
+    (SELECT COUNT(*) FROM user_completed_surveys) as total_surveys_completed,
+    (SELECT COUNT(*) FROM user_completed_surveys
+     WHERE completed_at >= NOW() - INTERVAL '7 days') as surveys_completed_week,
+    (SELECT COALESCE(SUM(amount), 0) FROM transactions
+     WHERE transaction_type IN ('survey_reward', 'referral_bonus') AND status = 'completed') as total_rewards_paid,
+    (SELECT COALESCE(SUM(amount), 0) FROM withdrawal_requests WHERE status = 'completed') as total_withdrawals,
+    (SELECT COUNT(*) FROM withdrawal_requests WHERE status IN ('pending', 'processing')) as pending_withdrawals;
+
+-- Las políticas de schema.sql usaban auth.uid() de Supabase. El esquema
+-- actual deja RLS activado sin políticas (ver 001_initial_schema)
+DROP POLICY IF EXISTS user_is_self ON users;
+DROP POLICY IF EXISTS user_own_transactions ON transactions;
+DROP POLICY IF EXISTS user_own_completed_surveys ON user_completed_surveys;
+DROP POLICY IF EXISTS user_own_responses ON user_survey_responses;
+DROP POLICY IF EXISTS user_own_referrals ON referrals;
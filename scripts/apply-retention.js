@@ -0,0 +1,28 @@
+// Borra las IPs y los navegadores con más de DATA_RETENTION_DAYS días (90
+// por defecto) de usuarios, actividad y consentimientos.
+//
+//   npm run data:retention
+//   npm run data:retention -- 30     # otro plazo, en días
+//
+// El servidor ya lo hace una vez al día; este script es para ejecutarlo
+// como tarea programada con DATA_RETENTION_SCHEDULE=false.
+const { pool } = require('../lib/db');
+const privacy = require('../lib/privacy');
+
+async function main() {
+  const days = process.argv[2] ? parseInt(process.argv[2], 10) : privacy.RETENTION_DAYS;
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`Plazo no válido: ${process.argv[2]}`);
+  }
+
+  const result = await privacy.applyRetention({ days });
+  console.log(`✓ Datos de conexión anteriores a ${result.before.toISOString()} borrados: ` +
+    `${result.users} usuarios, ${result.activityLogs} registros de actividad, ${result.consents} consentimientos`);
+}
+
+main()
+  .catch((error) => {
+    console.error('⚠', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,86 @@
+// Crea (o promociona) una cuenta de administrador y obliga a fijar su contraseña.
+//
+//   npm run admin:create -- <email> [admin|staff]
+//
+// La contraseña se pide por consola; en entornos sin terminal se puede
+// pasar en la variable ADMIN_PASSWORD.
+const readline = require('readline');
+const { pool } = require('../lib/db');
+const auth = require('../lib/auth');
+const referrals = require('../lib/referrals');
+
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.stdoutMuted = false;
+    rl._writeToOutput = function (text) {
+      rl.output.write(rl.stdoutMuted ? '' : text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl.stdoutMuted = true;
+  });
+}
+
+async function readPassword() {
+  if (process.env.ADMIN_PASSWORD) {
+    return process.env.ADMIN_PASSWORD;
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error('Define ADMIN_PASSWORD o ejecuta el comando en una terminal');
+  }
+
+  const password = await askHidden('Contraseña: ');
+  const confirmation = await askHidden('Repite la contraseña: ');
+  if (password !== confirmation) {
+    throw new Error('Las contraseñas no coinciden');
+  }
+  return password;
+}
+
+async function main() {
+  const email = auth.normalizeEmail(process.argv[2]);
+  const role = process.argv[3] || 'admin';
+
+  if (!auth.isValidEmail(email)) {
+    throw new Error('Uso: npm run admin:create -- <email> [admin|staff]');
+  }
+  if (!['admin', 'staff'].includes(role)) {
+    throw new Error('El rol debe ser admin o staff');
+  }
+
+  const password = await readPassword();
+  const passwordError = auth.validatePassword(password);
+  if (passwordError) {
+    throw passwordError;
+  }
+
+  const passwordHash = await auth.hashPassword(password);
+
+  // Si la cuenta ya existe se le cambia la contraseña y se invalidan sus sesiones
+  const result = await referrals.withUniqueReferralCode((referralCode) => pool.query(`
+    INSERT INTO users (email, password_hash, role, referral_code, email_verified)
+    VALUES ($1, $2, $3, $4, TRUE)
+    ON CONFLICT (email) DO UPDATE SET
+      password_hash = EXCLUDED.password_hash,
+      role = EXCLUDED.role,
+      email_verified = TRUE,
+      password_changed_at = NOW(),
+      updated_at = NOW()
+    RETURNING id, (xmax = 0) as created
+  `, [email, passwordHash, role, referralCode]));
+
+  const { id, created } = result.rows[0];
+  console.log(`✓ ${created ? 'Creado' : 'Actualizado'} ${role} ${email} (${id})`);
+}
+
+main()
+  .catch((error) => {
+    console.error('⚠', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
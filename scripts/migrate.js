@@ -0,0 +1,74 @@
+// Migraciones del esquema (ver lib/migrations.js)
+//
+//   npm run db:migrate                    aplica las pendientes
+//   npm run db:migrate -- up --seed       y carga las encuestas por defecto
+//   npm run db:migrate -- down [n]        deshace las últimas n (por defecto 1)
+//   npm run db:migrate -- status          aplicadas y pendientes
+//   npm run db:migrate -- upgrade-legacy  lleva al esquema inicial una base de
+//                                         datos creada con el antiguo schema.sql
+const { pool } = require('../lib/db');
+const migrations = require('../lib/migrations');
+const { seedDefaultSurveys } = require('./seed-surveys');
+
+async function main(args) {
+  const [command = 'up', ...rest] = args;
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrations.migrate();
+      console.log(applied.length > 0
+        ? `✓ Migraciones aplicadas: ${applied.join(', ')}`
+        : '✓ No hay migraciones pendientes');
+
+      if (rest.includes('--seed')) {
+        const created = await seedDefaultSurveys();
+        console.log(created.length > 0
+          ? `✓ Encuestas creadas: ${created.join(', ')}`
+          : '✓ Las encuestas por defecto ya existen');
+      }
+      break;
+    }
+
+    case 'down': {
+      const steps = rest[0] === undefined ? 1 : parseInt(rest[0], 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Número de migraciones no válido: ${rest[0]}`);
+      }
+      const reverted = await migrations.rollback({ steps });
+      console.log(reverted.length > 0
+        ? `✓ Migraciones deshechas: ${reverted.join(', ')}`
+        : '✓ No hay migraciones que deshacer');
+      break;
+    }
+
+    case 'status': {
+      const { applied, pending } = await migrations.status();
+      for (const row of applied) {
+        console.log(`  aplicada   ${row.name} (${row.applied_at.toISOString()})`);
+      }
+      for (const migration of pending) {
+        console.log(`  pendiente  ${migration.name}`);
+      }
+      if (applied.length === 0 && pending.length === 0) {
+        console.log('  (no hay migraciones)');
+      }
+      break;
+    }
+
+    case 'upgrade-legacy': {
+      const upgraded = await migrations.upgradeLegacy();
+      console.log(`✓ Base de datos actualizada hasta ${upgraded.join(', ')}. Aplica el resto con npm run db:migrate`);
+      break;
+    }
+
+    default:
+      throw new Error(`Comando desconocido: ${command} (up, down, status, upgrade-legacy)`);
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((error) => {
+    console.error('⚠ Error en las migraciones:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,34 @@
+// Compara users.balance con el saldo disponible del libro contable.
+//
+//   npm run ledger:reconcile
+//
+// Solo informa: termina con código 1 si encuentra diferencias o asientos
+// descuadrados, para poder usarlo en tareas programadas.
+const { pool } = require('../lib/db');
+const ledger = require('../lib/ledger');
+
+async function main() {
+  const drift = await ledger.findDrift();
+
+  for (const user of drift.users) {
+    const difference = (parseFloat(user.balance || 0) - parseFloat(user.ledger_available)).toFixed(2);
+    console.log(`⚠ ${user.email} (${user.id}): users.balance=${user.balance} libro=${user.ledger_available} retenido=${user.ledger_held} diferencia=${difference}`);
+  }
+  for (const transaction of drift.unbalancedTransactions) {
+    console.log(`⚠ Asiento descuadrado ${transaction.id} (${transaction.kind}): suma=${transaction.total || 0}`);
+  }
+
+  if (drift.users.length === 0 && drift.unbalancedTransactions.length === 0) {
+    console.log('✓ users.balance coincide con el libro contable');
+  } else {
+    console.log(`${drift.users.length} usuarios con diferencias, ${drift.unbalancedTransactions.length} asientos descuadrados`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('⚠', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
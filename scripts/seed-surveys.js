@@ -0,0 +1,72 @@
+// Carga las encuestas por defecto (seeds/default-surveys.js) y publica su
+// primera versión. Las encuestas que ya existen (mismo survey_key) no se
+// tocan, salvo para añadir las traducciones que aún no tengan.
+//
+//   npm run db:seed
+const { pool } = require('../lib/db');
+const surveyBuilder = require('../lib/surveyBuilder');
+const defaultSurveys = require('../seeds/default-surveys');
+
+// Copia las traducciones del seed en una encuesta creada antes de que
+// existieran. Solo rellena las vacías; si una pregunta ya no tiene las
+// opciones del seed se deja sin traducir.
+async function fillTranslations(surveyId, fields, questions) {
+  await pool.query(`
+    UPDATE surveys SET translations = $2 WHERE id = $1 AND translations = '{}'
+  `, [surveyId, JSON.stringify(fields.translations || {})]);
+
+  const byKey = new Map(questions.map((question) => [question.question_key, question.translations]));
+  const pending = await pool.query(`
+    SELECT q.id, q.question_key, v.version
+    FROM survey_questions q
+    JOIN survey_versions v ON v.id = q.survey_version_id
+    WHERE v.survey_id = $1 AND q.translations = '{}'
+  `, [surveyId]);
+
+  for (const question of pending.rows) {
+    const translations = byKey.get(question.question_key);
+    if (!translations) continue;
+    try {
+      await surveyBuilder.updateQuestionTranslations(surveyId, question.version, question.id, translations);
+    } catch (error) {
+      if (error.status !== 400) throw error;
+    }
+  }
+}
+
+async function seedDefaultSurveys() {
+  const created = [];
+
+  for (const { questions, ...fields } of defaultSurveys) {
+    const existing = await pool.query('SELECT id FROM surveys WHERE survey_key = $1', [fields.survey_key]);
+    if (existing.rows.length > 0) {
+      await fillTranslations(existing.rows[0].id, fields, questions);
+      continue;
+    }
+
+    const survey = await surveyBuilder.createSurvey(fields);
+    for (const [index, question] of questions.entries()) {
+      await surveyBuilder.addQuestion(survey.id, 1, { ...question, order_index: index + 1 });
+    }
+    await surveyBuilder.publishVersion(survey.id, 1);
+    created.push(fields.survey_key);
+  }
+
+  return created;
+}
+
+module.exports = { seedDefaultSurveys };
+
+if (require.main === module) {
+  seedDefaultSurveys()
+    .then((created) => {
+      console.log(created.length > 0
+        ? `✓ Encuestas creadas: ${created.join(', ')}`
+        : '✓ Las encuestas por defecto ya existen');
+    })
+    .catch((error) => {
+      console.error('⚠ Error cargando encuestas:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
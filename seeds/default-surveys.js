@@ -0,0 +1,546 @@
+// Encuestas por defecto de la plataforma. Se cargan con `npm run db:seed`
+// en este orden, de modo que en una base de datos nueva reciben los ids 1-6.
+
+const opt = (value, label) => ({ value, label });
+
+module.exports = [
+  {
+    survey_key: 'main_survey',
+    title: 'Encuesta Principal',
+    description: 'Conoce más sobre nuestra asociación y cuidados paliativos',
+    reward_amount: 5,
+    translations: {
+      ca: { title: 'Enquesta principal', description: 'Coneix més la nostra associació i les cures pal·liatives' },
+      en: { title: 'Main survey', description: 'Learn more about our association and palliative care' }
+    },
+    questions: [
+      {
+        question_key: 'q1',
+        question_text: '¿Conocías antes la existencia de asociaciones como Ángeles Sin Alas?',
+        question_type: 'radio',
+        options: [
+          opt('si', 'Sí'),
+          opt('no', 'No'),
+          opt('oido', 'He oído hablar, pero no conozco en detalle')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Coneixies abans l\'existència d\'associacions com Ángeles Sin Alas?',
+            options: {
+              si: 'Sí',
+              no: 'No',
+              oido: 'N\'he sentit a parlar, però no la conec en detall'
+            }
+          },
+          en: {
+            question_text: 'Did you know about associations like Ángeles Sin Alas before?',
+            options: {
+              si: 'Yes',
+              no: 'No',
+              oido: 'I have heard of them, but I don\'t know much'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q2',
+        question_text: '¿Qué tan importante consideras que es apoyar a niños en cuidados paliativos y a sus familias?',
+        question_type: 'radio',
+        options: [
+          opt('muy_importante', 'Muy importante'),
+          opt('importante', 'Importante'),
+          opt('poco_importante', 'Poco importante'),
+          opt('no_necesario', 'No lo considero necesario')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Fins a quin punt consideres important donar suport als infants en cures pal·liatives i a les seves famílies?',
+            options: {
+              muy_importante: 'Molt important',
+              importante: 'Important',
+              poco_importante: 'Poc important',
+              no_necesario: 'No ho considero necessari'
+            }
+          },
+          en: {
+            question_text: 'How important do you think it is to support children in palliative care and their families?',
+            options: {
+              muy_importante: 'Very important',
+              importante: 'Important',
+              poco_importante: 'Not very important',
+              no_necesario: 'I don\'t think it is necessary'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q3',
+        question_text: '¿Has colaborado alguna vez con una ONG o asociación solidaria?',
+        question_type: 'radio',
+        options: [
+          opt('economica', 'Sí, de forma económica'),
+          opt('voluntario', 'Sí, como voluntario/a'),
+          opt('material', 'Sí, donando material o servicios'),
+          opt('nunca', 'No, nunca')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Has col·laborat alguna vegada amb una ONG o associació solidària?',
+            options: {
+              economica: 'Sí, econòmicament',
+              voluntario: 'Sí, com a voluntari/ària',
+              material: 'Sí, donant material o serveis',
+              nunca: 'No, mai'
+            }
+          },
+          en: {
+            question_text: 'Have you ever collaborated with an NGO or charity?',
+            options: {
+              economica: 'Yes, financially',
+              voluntario: 'Yes, as a volunteer',
+              material: 'Yes, donating goods or services',
+              nunca: 'No, never'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q4',
+        question_text: 'Si tuvieras la oportunidad, ¿cómo preferirías colaborar con una asociación como Ángeles Sin Alas? (Respuesta múltiple)',
+        question_type: 'checkbox',
+        is_required: false,
+        options: [
+          opt('dinero', 'Donando dinero'),
+          opt('voluntario', 'Siendo voluntario/a'),
+          opt('redes', 'Difundiendo en redes sociales'),
+          opt('material', 'Donando material o recursos'),
+          opt('no_interesa', 'No me interesa participar')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Si en tinguessis l\'oportunitat, com preferiries col·laborar amb una associació com Ángeles Sin Alas? (Resposta múltiple)',
+            options: {
+              dinero: 'Donant diners',
+              voluntario: 'Fent de voluntari/ària',
+              redes: 'Difonent a les xarxes socials',
+              material: 'Donant material o recursos',
+              no_interesa: 'No m\'interessa participar'
+            }
+          },
+          en: {
+            question_text: 'If you had the chance, how would you prefer to collaborate with an association like Ángeles Sin Alas? (Multiple answers)',
+            options: {
+              dinero: 'Donating money',
+              voluntario: 'Volunteering',
+              redes: 'Sharing on social media',
+              material: 'Donating goods or resources',
+              no_interesa: 'I am not interested in taking part'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q5',
+        question_text: '¿Qué tipo de apoyo crees que necesitan más las familias con niños en cuidados paliativos?',
+        question_type: 'radio',
+        options: [
+          opt('economico', 'Apoyo económico'),
+          opt('emocional', 'Apoyo emocional / psicológico'),
+          opt('material_orto', 'Material ortoprotésico (sillas, camas, etc.)'),
+          opt('actividades', 'Actividades y experiencias para los niños'),
+          opt('todos', 'Todos los anteriores')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Quin tipus de suport creus que necessiten més les famílies amb infants en cures pal·liatives?',
+            options: {
+              economico: 'Suport econòmic',
+              emocional: 'Suport emocional / psicològic',
+              material_orto: 'Material ortopèdic (cadires, llits, etc.)',
+              actividades: 'Activitats i experiències per als infants',
+              todos: 'Tots els anteriors'
+            }
+          },
+          en: {
+            question_text: 'What kind of support do you think families with children in palliative care need most?',
+            options: {
+              economico: 'Financial support',
+              emocional: 'Emotional / psychological support',
+              material_orto: 'Orthopaedic equipment (wheelchairs, beds, etc.)',
+              actividades: 'Activities and experiences for the children',
+              todos: 'All of the above'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q6',
+        question_text: '¿En qué parte del mundo vives actualmente?',
+        question_type: 'text',
+        translations: {
+          ca: { question_text: 'A quina part del món vius actualment?' },
+          en: { question_text: 'Where in the world do you currently live?' }
+        }
+      },
+      {
+        question_key: 'q7',
+        question_text: '¿Qué edad tienes?',
+        question_type: 'radio',
+        options: [
+          opt('menor_18', 'Menos de 18 años'),
+          opt('18_25', '18 - 25 años'),
+          opt('26_40', '26 - 40 años'),
+          opt('41_60', '41 - 60 años'),
+          opt('mayor_60', 'Más de 60 años')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Quina edat tens?',
+            options: {
+              menor_18: 'Menys de 18 anys',
+              '18_25': '18 - 25 anys',
+              '26_40': '26 - 40 anys',
+              '41_60': '41 - 60 anys',
+              mayor_60: 'Més de 60 anys'
+            }
+          },
+          en: {
+            question_text: 'How old are you?',
+            options: {
+              menor_18: 'Under 18',
+              '18_25': '18 - 25 years',
+              '26_40': '26 - 40 years',
+              '41_60': '41 - 60 years',
+              mayor_60: 'Over 60'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q8',
+        question_text: '¿Con qué frecuencia donas a organizaciones solidarias?',
+        question_type: 'radio',
+        options: [
+          opt('regularmente', 'Regularmente (mensual o anual)'),
+          opt('ocasionalmente', 'Ocasionalmente (eventos, campañas puntuales)'),
+          opt('rara_vez', 'Muy rara vez'),
+          opt('nunca', 'Nunca')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Amb quina freqüència fas donacions a organitzacions solidàries?',
+            options: {
+              regularmente: 'Regularment (mensual o anual)',
+              ocasionalmente: 'Ocasionalment (esdeveniments, campanyes puntuals)',
+              rara_vez: 'Molt poques vegades',
+              nunca: 'Mai'
+            }
+          },
+          en: {
+            question_text: 'How often do you donate to charities?',
+            options: {
+              regularmente: 'Regularly (monthly or yearly)',
+              ocasionalmente: 'Occasionally (events, one-off campaigns)',
+              rara_vez: 'Very rarely',
+              nunca: 'Never'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q9',
+        question_text: '¿Qué te motivaría más a colaborar con una causa como esta?',
+        question_type: 'radio',
+        options: [
+          opt('testimonios', 'Conocer testimonios reales de familias'),
+          opt('transparencia', 'Ver transparencia en el uso de fondos'),
+          opt('recomendacion', 'Que me lo recomiende alguien cercano'),
+          opt('facilidad', 'Que se me facilite un medio rápido de colaborar'),
+          opt('otro', 'Otro (especificar)')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Què et motivaria més a col·laborar amb una causa com aquesta?',
+            options: {
+              testimonios: 'Conèixer testimonis reals de famílies',
+              transparencia: 'Veure transparència en l\'ús dels fons',
+              recomendacion: 'Que m\'ho recomani algú proper',
+              facilidad: 'Tenir una manera ràpida de col·laborar',
+              otro: 'Altres (especificar)'
+            }
+          },
+          en: {
+            question_text: 'What would motivate you most to support a cause like this?',
+            options: {
+              testimonios: 'Hearing real stories from families',
+              transparencia: 'Seeing transparency in how funds are used',
+              recomendacion: 'A recommendation from someone close to me',
+              facilidad: 'Having a quick way to help',
+              otro: 'Other (please specify)'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'q10',
+        question_text: '¿Quieres recibir información sobre cómo colaborar con Ángeles Sin Alas?',
+        question_type: 'radio',
+        options: [
+          opt('email', 'Sí, por correo electrónico'),
+          opt('redes', 'Sí, por redes sociales'),
+          opt('no', 'No, gracias')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Vols rebre informació sobre com col·laborar amb Ángeles Sin Alas?',
+            options: {
+              email: 'Sí, per correu electrònic',
+              redes: 'Sí, per xarxes socials',
+              no: 'No, gràcies'
+            }
+          },
+          en: {
+            question_text: 'Would you like to receive information on how to collaborate with Ángeles Sin Alas?',
+            options: {
+              email: 'Yes, by email',
+              redes: 'Yes, on social media',
+              no: 'No, thanks'
+            }
+          }
+        }
+      }
+    ]
+  },
+  {
+    survey_key: 'communication',
+    title: 'Comunicación Digital',
+    description: 'Preferencias digitales',
+    reward_amount: 1,
+    translations: {
+      ca: { title: 'Comunicació digital', description: 'Preferències digitals' },
+      en: { title: 'Digital communication', description: 'Digital preferences' }
+    },
+    questions: [
+      {
+        question_key: 'communication_q1',
+        question_text: '¿Cómo prefieres recibir información sobre causas solidarias?',
+        question_type: 'radio',
+        options: [
+          opt('email', 'Email'),
+          opt('sms', 'SMS'),
+          opt('redes', 'Redes sociales'),
+          opt('no_recibir', 'No deseo recibir')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Com prefereixes rebre informació sobre causes solidàries?',
+            options: {
+              email: 'Correu electrònic',
+              sms: 'SMS',
+              redes: 'Xarxes socials',
+              no_recibir: 'No en vull rebre'
+            }
+          },
+          en: {
+            question_text: 'How do you prefer to receive information about charitable causes?',
+            options: {
+              email: 'Email',
+              sms: 'SMS',
+              redes: 'Social media',
+              no_recibir: 'I don\'t want to receive any'
+            }
+          }
+        }
+      }
+    ]
+  },
+  {
+    survey_key: 'donations',
+    title: 'Donaciones Digitales',
+    description: 'Experiencia digital',
+    reward_amount: 1,
+    translations: {
+      ca: { title: 'Donacions digitals', description: 'Experiència digital' },
+      en: { title: 'Digital donations', description: 'Digital experience' }
+    },
+    questions: [
+      {
+        question_key: 'donations_q1',
+        question_text: '¿Has utilizado plataformas digitales para hacer donaciones antes?',
+        question_type: 'radio',
+        options: [
+          opt('frecuentemente', 'Sí, frecuentemente'),
+          opt('ocasionalmente', 'Ocasionalmente'),
+          opt('nunca', 'Nunca'),
+          opt('no_confio', 'No confío en plataformas digitales')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Has fet servir abans plataformes digitals per fer donacions?',
+            options: {
+              frecuentemente: 'Sí, sovint',
+              ocasionalmente: 'De tant en tant',
+              nunca: 'Mai',
+              no_confio: 'No confio en les plataformes digitals'
+            }
+          },
+          en: {
+            question_text: 'Have you used online platforms to make donations before?',
+            options: {
+              frecuentemente: 'Yes, often',
+              ocasionalmente: 'Occasionally',
+              nunca: 'Never',
+              no_confio: 'I don\'t trust online platforms'
+            }
+          }
+        }
+      }
+    ]
+  },
+  {
+    survey_key: 'socioeconomic',
+    title: 'Encuesta Socioeconómica',
+    description: 'Información general',
+    reward_amount: 1,
+    translations: {
+      ca: { title: 'Enquesta socioeconòmica', description: 'Informació general' },
+      en: { title: 'Socioeconomic survey', description: 'General information' }
+    },
+    questions: [
+      {
+        question_key: 'socioeconomic_q1',
+        question_text: '¿Cuál es tu nivel de ingresos aproximado?',
+        question_type: 'radio',
+        is_required: false,
+        options: [
+          opt('alto', 'Alto'),
+          opt('medio_alto', 'Medio-alto'),
+          opt('medio', 'Medio'),
+          opt('medio_bajo', 'Medio-bajo'),
+          opt('bajo', 'Bajo'),
+          opt('prefiero_no_decir', 'Prefiero no decirlo')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Quin és el teu nivell d\'ingressos aproximat?',
+            options: {
+              alto: 'Alt',
+              medio_alto: 'Mitjà-alt',
+              medio: 'Mitjà',
+              medio_bajo: 'Mitjà-baix',
+              bajo: 'Baix',
+              prefiero_no_decir: 'Prefereixo no dir-ho'
+            }
+          },
+          en: {
+            question_text: 'What is your approximate income level?',
+            options: {
+              alto: 'High',
+              medio_alto: 'Upper-middle',
+              medio: 'Middle',
+              medio_bajo: 'Lower-middle',
+              bajo: 'Low',
+              prefiero_no_decir: 'I prefer not to say'
+            }
+          }
+        }
+      }
+    ]
+  },
+  {
+    survey_key: 'volunteering',
+    title: 'Voluntariado',
+    description: 'Participación presencial',
+    reward_amount: 1,
+    translations: {
+      ca: { title: 'Voluntariat', description: 'Participació presencial' },
+      en: { title: 'Volunteering', description: 'In-person participation' }
+    },
+    questions: [
+      {
+        question_key: 'volunteering_q1',
+        question_text: '¿Estarías interesado/a en participar como voluntario presencial en Baleares?',
+        question_type: 'radio',
+        options: [
+          opt('definitivamente', 'Sí, definitivamente'),
+          opt('tal_vez', 'Tal vez'),
+          opt('no_pero_online', 'No, pero sí online'),
+          opt('no_interesa', 'No me interesa')
+        ],
+        translations: {
+          ca: {
+            question_text: 'T\'interessaria participar com a voluntari/ària presencial a les Balears?',
+            options: {
+              definitivamente: 'Sí, segur',
+              tal_vez: 'Potser',
+              no_pero_online: 'No, però sí en línia',
+              no_interesa: 'No m\'interessa'
+            }
+          },
+          en: {
+            question_text: 'Would you be interested in volunteering in person in the Balearic Islands?',
+            options: {
+              definitivamente: 'Yes, definitely',
+              tal_vez: 'Maybe',
+              no_pero_online: 'No, but online yes',
+              no_interesa: 'I am not interested'
+            }
+          }
+        }
+      }
+    ]
+  },
+  {
+    survey_key: 'feedback',
+    title: 'Feedback de la Plataforma',
+    description: 'Mejora la plataforma',
+    reward_amount: 1,
+    translations: {
+      ca: { title: 'Opinió sobre la plataforma', description: 'Millora la plataforma' },
+      en: { title: 'Platform feedback', description: 'Help improve the platform' }
+    },
+    questions: [
+      {
+        question_key: 'feedback_q1',
+        question_text: '¿Cómo valorarías esta plataforma de encuestas?',
+        question_type: 'radio',
+        options: [
+          opt('muy_util', 'Muy útil'),
+          opt('util', 'Útil'),
+          opt('regular', 'Regular'),
+          opt('poco_util', 'Poco útil')
+        ],
+        translations: {
+          ca: {
+            question_text: 'Com valoraries aquesta plataforma d\'enquestes?',
+            options: {
+              muy_util: 'Molt útil',
+              util: 'Útil',
+              regular: 'Regular',
+              poco_util: 'Poc útil'
+            }
+          },
+          en: {
+            question_text: 'How would you rate this survey platform?',
+            options: {
+              muy_util: 'Very useful',
+              util: 'Useful',
+              regular: 'Average',
+              poco_util: 'Not very useful'
+            }
+          }
+        }
+      },
+      {
+        question_key: 'feedback_suggestions',
+        question_text: '¿Qué mejorarías de esta plataforma? (Opcional)',
+        question_type: 'textarea',
+        is_required: false,
+        translations: {
+          ca: { question_text: 'Què milloraries d\'aquesta plataforma? (Opcional)' },
+          en: { question_text: 'What would you improve about this platform? (Optional)' }
+        }
+      }
+    ]
+  }
+];
@@ -1,638 +1,97 @@
-const express = require('express');
-const { Pool } = require('pg');
-const cors = require('cors');
-const helmet = require('helmet');
-const path = require('path');
-const fs = require('fs');
 require('dotenv').config();
+const { pool } = require('./lib/db');
+const { createApp } = require('./lib/app');
+const logger = require('./lib/logger');
+const payouts = require('./lib/payouts');
+const rateLimiting = require('./lib/rateLimit');
+const migrations = require('./lib/migrations');
+const dataStore = require('./lib/dataStore');
+const privacy = require('./lib/privacy');
+const surveyDrafts = require('./lib/surveyDrafts');
 
-const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Configuración de la base de datos PostgreSQL
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
-// Middleware básico
-app.use(helmet({
-  contentSecurityPolicy: false // Permitir scripts inline para desarrollo
-}));
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Servir archivos estáticos
-app.use(express.static('.'));
-
-// Ruta principal - servir index.html
-app.get('/', (req, res) => {
-  const indexPath = path.join(__dirname, 'index.html');
-  
-  if (fs.existsSync(indexPath)) {
-    res.sendFile(indexPath);
-  } else {
-    // Fallback si no existe index.html
-    res.status(200).send(`
-      <!DOCTYPE html>
-      <html lang="es">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Ángeles Sin Alas - Plataforma de Encuestas</title>
-        <script src="https://cdn.tailwindcss.com"></script>
-      </head>
-      <body class="bg-gray-50 min-h-screen">
-        <div class="container mx-auto px-4 py-8 max-w-4xl">
-          <header class="text-center mb-8">
-            <h1 class="text-4xl font-bold text-blue-600 mb-2">Ángeles Sin Alas</h1>
-            <p class="text-xl text-gray-600">Plataforma de Encuestas - Sistema Funcionando</p>
-          </header>
-
-          <div class="grid md:grid-cols-2 gap-6">
-            <div class="bg-white rounded-lg shadow-md p-6">
-              <h2 class="text-2xl font-semibold mb-4 text-green-600">✓ Sistema Operativo</h2>
-              <p class="text-gray-700 mb-4">
-                La aplicación está funcionando correctamente. 
-                APIs disponibles para el frontend.
-              </p>
-              <div class="space-y-2">
-                <a href="/api/health" class="block bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 text-center">
-                  Verificar Estado del Sistema
-                </a>
-                <a href="/api/surveys" class="block bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600 text-center">
-                  Ver Encuestas Disponibles
-                </a>
-              </div>
-            </div>
-
-            <div class="bg-white rounded-lg shadow-md p-6">
-              <h3 class="text-lg font-semibold mb-4">Estado del Sistema</h3>
-              <div id="status" class="text-sm text-gray-600">Verificando...</div>
-            </div>
-          </div>
-
-          <div class="mt-8 bg-white rounded-lg shadow-md p-6">
-            <h3 class="text-lg font-semibold mb-4">Encuestas Disponibles</h3>
-            <div id="surveys" class="text-sm text-gray-600">Cargando...</div>
-          </div>
-          
-          <div class="mt-8 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
-            <h4 class="text-yellow-800 font-semibold">Nota de Desarrollo</h4>
-            <p class="text-yellow-700 text-sm mt-1">
-              Sube tu archivo index.html al repositorio para ver la interfaz completa.
-            </p>
-          </div>
-        </div>
-
-        <script>
-          // Verificar estado del sistema
-          fetch('/api/health')
-            .then(response => response.json())
-            .then(data => {
-              document.getElementById('status').innerHTML = 
-                '<span class="text-green-600">✓ Conectado</span><br>' +
-                '<span class="text-gray-500">BD: ' + data.database + '</span><br>' +
-                '<span class="text-gray-500">Entorno: ' + data.environment + '</span>';
-            })
-            .catch(error => {
-              document.getElementById('status').innerHTML = 
-                '<span class="text-red-600">✗ Error de conexión</span>';
-            });
-
-          // Cargar encuestas
-          fetch('/api/surveys')
-            .then(response => response.json())
-            .then(surveys => {
-              const surveysDiv = document.getElementById('surveys');
-              if (surveys.length > 0) {
-                surveysDiv.innerHTML = surveys.map(s => 
-                  '<div class="border p-3 rounded mb-2">' +
-                  '<strong>' + s.title + '</strong><br>' +
-                  '<small class="text-gray-600">' + s.description + '</small><br>' +
-                  '<span class="text-green-600">Recompensa: +' + s.reward_amount + '€</span>' +
-                  '</div>'
-                ).join('');
-              } else {
-                surveysDiv.innerHTML = '<p>No hay encuestas disponibles.</p>';
-              }
-            })
-            .catch(error => {
-              document.getElementById('surveys').innerHTML = 
-                '<p class="text-red-500">Error cargando encuestas</p>';
-            });
-        </script>
-      </body>
-      </html>
-    `);
-  }
-});
-
-// API Routes
-app.get('/api/health', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT NOW()');
-    res.json({ 
-      status: 'ok', 
-      database: 'connected', 
-      time: result.rows[0].now,
-      environment: process.env.NODE_ENV || 'development'
-    });
-  } catch (error) {
-    console.error('Health check error:', error);
-    res.json({ 
-      status: 'error', 
-      database: 'disconnected',
-      environment: process.env.NODE_ENV || 'development',
-      error: error.message 
-    });
-  }
-});
-
-// API para obtener encuestas
-app.get('/api/surveys', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT s.*, 
-             (SELECT COUNT(*) FROM survey_questions WHERE survey_id = s.id) as question_count
-      FROM surveys s 
-      WHERE is_active = true 
-      ORDER BY id
-    `);
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Error getting surveys:', error);
-    // Devolver encuestas por defecto si no hay BD
-    res.json([
-      {
-        id: 1,
-        survey_key: 'main_survey',
-        title: 'Encuesta Principal',
-        description: 'Conoce más sobre nuestra asociación y cuidados paliativos',
-        reward_amount: 5.00,
-        question_count: 10
-      },
-      {
-        id: 2,
-        survey_key: 'communication',
-        title: 'Comunicación Digital',
-        description: 'Preferencias de comunicación digital',
-        reward_amount: 1.00,
-        question_count: 1
-      }
-    ]);
-  }
-});
-
-// API para obtener preguntas de una encuesta
-app.get('/api/surveys/:id/questions', async (req, res) => {
-  try {
-    const surveyId = req.params.id;
-    const result = await pool.query(`
-      SELECT * FROM survey_questions 
-      WHERE survey_id = $1 
-      ORDER BY order_index
-    `, [surveyId]);
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Error getting survey questions:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// API para enviar respuestas de encuesta
-app.post('/api/surveys/:id/submit', async (req, res) => {
-  try {
-    const surveyId = req.params.id;
-    const { responses, userEmail } = req.body;
-    
-    // Obtener IP del usuario
-    const userIp = req.headers['x-forwarded-for'] || 
-                   req.connection.remoteAddress || 
-                   req.socket.remoteAddress ||
-                   req.ip || 
-                   'unknown';
-    const userAgent = req.headers['user-agent'] || '';
-    
-    console.log('Survey submission:', { 
-      surveyId, 
-      userIp, 
-      userAgent: userAgent.substring(0, 100), 
-      responsesCount: Object.keys(responses || {}).length 
-    });
-
-    // Si no hay conexión a BD, simular éxito
-    try {
-      const client = await pool.connect();
-      await client.query('BEGIN');
-      
-      let userId;
-      
-      // Crear o obtener usuario temporal basado en IP
-      const tempEmail = userEmail || `temp_${Date.now()}_${userIp.replace(/[^a-zA-Z0-9]/g, '')}@temp.com`;
-      const referralCode = `REF${Date.now().toString().slice(-6)}`;
-      
-      try {
-        const userResult = await client.query(`
-          INSERT INTO users (email, ip_address, user_agent, referral_code) 
-          VALUES ($1, $2, $3, $4) 
-          ON CONFLICT (email) DO UPDATE SET 
-            ip_address = $2,
-            user_agent = $3,
-            updated_at = NOW()
-          RETURNING id
-        `, [tempEmail, userIp, userAgent, referralCode]);
-        
-        userId = userResult.rows[0].id;
-      } catch (dbError) {
-        console.error('Database user creation error:', dbError);
-        throw new Error('Error creando usuario');
-      }
-      
-      // Verificar si ya completó esta encuesta
-      const existingResult = await client.query(`
-        SELECT id FROM user_completed_surveys 
-        WHERE user_id = $1 AND survey_id = $2
-      `, [userId, surveyId]);
-      
-      if (existingResult.rows.length > 0) {
-        await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({ error: 'Ya has completado esta encuesta' });
-      }
-      
-      // Guardar respuestas si hay preguntas definidas
-      const savedResponses = [];
-      if (responses && typeof responses === 'object') {
-        for (const [questionKey, answer] of Object.entries(responses)) {
-          const questionResult = await client.query(`
-            SELECT id FROM survey_questions 
-            WHERE survey_id = $1 AND question_key = $2
-          `, [surveyId, questionKey]);
-          
-          if (questionResult.rows.length > 0) {
-            await client.query(`
-              INSERT INTO user_survey_responses (user_id, survey_id, question_id, answer_text, answer_options)
-              VALUES ($1, $2, $3, $4, $5)
-            `, [
-              userId, 
-              surveyId, 
-              questionResult.rows[0].id, 
-              Array.isArray(answer) ? null : String(answer), 
-              Array.isArray(answer) ? JSON.stringify(answer) : null
-            ]);
-            
-            savedResponses.push({ questionKey, answer });
-          }
-        }
-      }
-      
-      // Obtener datos de la encuesta para la recompensa
-      const surveyResult = await client.query(`
-        SELECT survey_key, reward_amount FROM surveys WHERE id = $1
-      `, [surveyId]);
-      
-      let rewardAmount = 1.00; // Valor por defecto
-      let surveyKey = `survey_${surveyId}`;
-      
-      if (surveyResult.rows.length > 0) {
-        const { survey_key, reward_amount } = surveyResult.rows[0];
-        rewardAmount = parseFloat(reward_amount);
-        surveyKey = survey_key;
-      }
-      
-      // Marcar encuesta como completada
-      await client.query(`
-        INSERT INTO user_completed_surveys (user_id, survey_id, reward_paid)
-        VALUES ($1, $2, true)
-      `, [userId, surveyId]);
-      
-      // Agregar transacción de recompensa
-      await client.query(`
-        INSERT INTO transactions (user_id, transaction_type, amount, description, reference_id, status)
-        VALUES ($1, 'survey_reward', $2, $3, $4, 'completed')
-      `, [
-        userId, 
-        rewardAmount, 
-        `Recompensa por completar encuesta: ${surveyKey}`,
-        surveyKey
-      ]);
-      
-      // Actualizar balance del usuario
-      await client.query(`
-        UPDATE users SET balance = (
-          SELECT COALESCE(SUM(
-            CASE 
-              WHEN transaction_type IN ('survey_reward', 'referral_bonus') THEN amount
-              WHEN transaction_type IN ('withdrawal_request', 'withdrawal_completed') THEN -amount
-              ELSE 0
-            END
-          ), 0) FROM transactions WHERE user_id = $1 AND status = 'completed'
-        ) WHERE id = $1
-      `, [userId]);
-      
-      // Log de actividad
-      await client.query(`
-        INSERT INTO activity_logs (user_id, activity_type, description, ip_address, user_agent, metadata)
-        VALUES ($1, 'survey_completed', $2, $3, $4, $5)
-      `, [
-        userId,
-        `Completó encuesta: ${surveyKey}`,
-        userIp,
-        userAgent,
-        JSON.stringify({ surveyId, responses: savedResponses })
-      ]);
-      
-      await client.query('COMMIT');
-      client.release();
-      
-      console.log('Survey completed successfully:', { userId, surveyId, responsesCount: savedResponses.length });
-      
-      res.json({ 
-        success: true, 
-        message: 'Encuesta enviada correctamente',
-        userId: userId,
-        responsesCount: savedResponses.length,
-        reward: rewardAmount
-      });
-      
-    } catch (dbError) {
-      console.error('Database error during survey submission:', dbError);
-      
-      // Si hay error de BD, simular éxito para que el frontend funcione
-      res.json({ 
-        success: true, 
-        message: 'Encuesta procesada (modo desarrollo)',
-        userId: 'demo_user',
-        responsesCount: Object.keys(responses || {}).length,
-        reward: surveyId === '1' ? 5.00 : 1.00
-      });
-    }
-    
-  } catch (error) {
-    console.error('Survey submission error:', error);
-    res.status(400).json({ error: error.message });
-  }
-});
-
-// API para solicitar retiro
-app.post('/api/withdrawals', async (req, res) => {
-  try {
-    const { userId, amount, paypalEmail } = req.body;
-    const userIp = req.headers['x-forwarded-for'] || 
-                   req.connection.remoteAddress || 
-                   req.ip || 
-                   'unknown';
-    
-    console.log('Withdrawal request:', { userId, amount, paypalEmail, userIp });
-    
-    // Validaciones básicas
-    if (!paypalEmail || !amount) {
-      return res.status(400).json({ error: 'Email y cantidad son requeridos' });
-    }
-    
-    if (parseFloat(amount) < 5) {
-      return res.status(400).json({ error: 'El monto mínimo de retiro es 5 EUR' });
-    }
-    
-    try {
-      const client = await pool.connect();
-      await client.query('BEGIN');
-      
-      // Verificar balance del usuario
-      const balanceResult = await client.query(`
-        SELECT balance FROM users WHERE id = $1
-      `, [userId]);
-      
-      if (balanceResult.rows.length === 0) {
-        await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({ error: 'Usuario no encontrado' });
-      }
-      
-      const currentBalance = parseFloat(balanceResult.rows[0].balance);
-      
-      if (currentBalance < parseFloat(amount)) {
-        await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({ error: 'Saldo insuficiente' });
-      }
-      
-      // Crear solicitud de retiro
-      await client.query(`
-        INSERT INTO withdrawal_requests (user_id, amount, paypal_email, status)
-        VALUES ($1, $2, $3, 'pending')
-      `, [userId, amount, paypalEmail]);
-      
-      // Registrar transacción pendiente
-      await client.query(`
-        INSERT INTO transactions (user_id, transaction_type, amount, description, paypal_email, status)
-        VALUES ($1, 'withdrawal_request', $2, 'Solicitud de retiro vía PayPal', $3, 'pending')
-      `, [userId, amount, paypalEmail]);
-      
-      // Log de actividad
-      await client.query(`
-        INSERT INTO activity_logs (user_id, activity_type, description, ip_address, metadata)
-        VALUES ($1, 'withdrawal_requested', $2, $3, $4)
-      `, [
-        userId,
-        `Solicitó retiro de ${amount} EUR`,
-        userIp,
-        JSON.stringify({ amount, paypalEmail })
-      ]);
-      
-      await client.query('COMMIT');
-      client.release();
-      
-      res.json({ 
-        success: true, 
-        message: 'Solicitud de retiro enviada. Procesaremos tu pago en 24-48 horas.'
-      });
-      
-    } catch (dbError) {
-      console.error('Database withdrawal error:', dbError);
-      
-      // Simular éxito si hay error de BD
-      res.json({ 
-        success: true, 
-        message: 'Solicitud de retiro procesada (modo desarrollo)'
-      });
-    }
-    
-  } catch (error) {
-    console.error('Withdrawal error:', error);
-    res.status(400).json({ error: error.message });
-  }
-});
-
-// API para estadísticas de admin
-app.get('/api/admin/stats', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM admin_stats');
-    res.json(result.rows[0] || {
-      total_users: 0,
-      new_users_week: 0,
-      total_surveys_completed: 0,
-      surveys_completed_week: 0,
-      total_rewards_paid: 0,
-      total_withdrawals: 0,
-      pending_withdrawals: 0
-    });
-  } catch (error) {
-    console.error('Error getting admin stats:', error);
-    res.json({
-      total_users: 0,
-      new_users_week: 0,
-      total_surveys_completed: 0,
-      surveys_completed_week: 0,
-      total_rewards_paid: 0,
-      total_withdrawals: 0,
-      pending_withdrawals: 0
-    });
-  }
-});
-
-// API para ver todas las respuestas (admin)
-app.get('/api/admin/responses', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT 
-        u.email,
-        u.ip_address,
-        s.title as survey_title,
-        sq.question_text,
-        usr.answer_text,
-        usr.answer_options,
-        usr.completed_at
-      FROM user_survey_responses usr
-      JOIN users u ON usr.user_id = u.id
-      JOIN surveys s ON usr.survey_id = s.id
-      JOIN survey_questions sq ON usr.question_id = sq.id
-      ORDER BY usr.completed_at DESC
-      LIMIT 100
-    `);
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Error getting responses:', error);
-    res.json([]);
-  }
-});
-
 // Inicializar base de datos
+// Comprueba la conexión y aplica las migraciones pendientes. Con
+// DB_MIGRATE_ON_START=false solo comprueba que no falte ninguna (para aplicar
+// las migraciones en un paso aparte del despliegue).
 async function initializeDatabase() {
-  try {
-    console.log('Verificando estado de la base de datos...');
-    
-    // Primero verificar conexión
-    await pool.query('SELECT NOW()');
-    console.log('✓ Conexión a base de datos establecida');
-    
-    const result = await pool.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = 'users'
-      );
-    `);
-    
-    if (!result.rows[0].exists) {
-      console.log('Inicializando esquema de base de datos...');
-      
-      const schemaPath = path.join(__dirname, 'schema.sql');
-      if (fs.existsSync(schemaPath)) {
-        const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
-        await pool.query(schemaSQL);
-        console.log('✓ Base de datos inicializada correctamente');
-      } else {
-        console.log('⚠ Archivo schema.sql no encontrado - creando tablas básicas...');
-        
-        // Crear tablas básicas si no existe schema.sql
-        await pool.query(`
-          CREATE TABLE IF NOT EXISTS users (
-            id SERIAL PRIMARY KEY,
-            email VARCHAR(255) UNIQUE NOT NULL,
-            ip_address INET,
-            user_agent TEXT,
-            referral_code VARCHAR(20) UNIQUE,
-            balance DECIMAL(10,2) DEFAULT 0.00,
-            created_at TIMESTAMP DEFAULT NOW(),
-            updated_at TIMESTAMP DEFAULT NOW()
-          );
-          
-          CREATE TABLE IF NOT EXISTS surveys (
-            id SERIAL PRIMARY KEY,
-            survey_key VARCHAR(100) UNIQUE NOT NULL,
-            title VARCHAR(255) NOT NULL,
-            description TEXT,
-            reward_amount DECIMAL(8,2) NOT NULL,
-            is_active BOOLEAN DEFAULT true,
-            created_at TIMESTAMP DEFAULT NOW()
-          );
-        `);
-        
-        console.log('✓ Tablas básicas creadas');
-      }
-    } else {
-      console.log('✓ Base de datos ya inicializada');
+  await pool.query('SELECT NOW()');
+  logger.info('database_connected');
+
+  if (process.env.DB_MIGRATE_ON_START === 'false') {
+    const { pending } = await migrations.status();
+    if (pending.length > 0) {
+      throw new Error(`Migraciones pendientes: ${pending.map((migration) => migration.name).join(', ')}. ` +
+        'Aplícalas con `npm run db:migrate`');
     }
-  } catch (error) {
-    console.error('⚠ Error inicializando base de datos:', error.message);
-    console.log('Continuando sin base de datos...');
+  } else {
+    await migrations.migrate();
   }
+  logger.info('database_schema_ready');
 }
 
-// Error handlers mejorados
-app.use((err, req, res, next) => {
-  console.error('Error no manejado:', err);
-  res.status(500).json({ 
-    error: 'Error interno del servidor',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Error interno'
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Ruta no encontrada' });
-});
-
 process.on('unhandledRejection', (err) => {
-  console.error('Unhandled Promise rejection:', err);
+  logger.error('unhandled_rejection', { error: err });
 });
 
 process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
+  logger.error('uncaught_exception', { error: err });
   process.exit(1);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, closing database connections...');
+  logger.info('shutdown', { signal: 'SIGTERM' });
   try {
     await pool.end();
   } catch (error) {
-    console.error('Error closing pool:', error);
+    logger.error('database_close_error', { error });
   }
   process.exit(0);
 });
 
-// Iniciar servidor
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor corriendo en puerto ${PORT}`);
-  console.log(`📱 Entorno: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 URL: http://localhost:${PORT}`);
-  
-  // Inicializar base de datos de forma asíncrona
-  setTimeout(async () => {
-    try {
-      await initializeDatabase();
-    } catch (error) {
-      console.error('Failed to initialize database:', error);
-    }
-  }, 1000);
-});
+// Iniciar servidor. Sin base de datos o con el esquema a medias no arranca.
+// En modo demostración no se usa la base de datos: todo vive en memoria.
+async function prepareStorage() {
+  if (dataStore.getStore().demo) {
+    logger.warn('MODO DEMOSTRACIÓN: datos en memoria, nada se guarda ni se paga de verdad');
+    return;
+  }
+  await initializeDatabase();
+}
+
+prepareStorage()
+  .then(() => {
+    createApp().listen(PORT, () => {
+      // Falla al arrancar si los pagos o el límite de peticiones están mal configurados
+      logger.info('server_started', {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || 'development',
+        url: `http://localhost:${PORT}`,
+        payouts: payouts.getProvider().name,
+        rateLimitStore: rateLimiting.getStore().name
+      });
+
+      // Borrado diario de IPs y navegadores antiguos. Con
+      // DATA_RETENTION_SCHEDULE=false se ejecuta aparte (npm run data:retention)
+      if (!dataStore.getStore().demo && process.env.DATA_RETENTION_SCHEDULE !== 'false') {
+        logger.info('data_retention_scheduled', { days: privacy.RETENTION_DAYS });
+        privacy.scheduleRetention();
+      }
+
+      // Cada hora, los borradores de encuestas caducados pasan a abandonos
+      if (!dataStore.getStore().demo) {
+        surveyDrafts.scheduleExpiry();
+      }
+    });
+  })
+  .catch((error) => {
+    logger.error('No se pudo preparar el almacenamiento', { error });
+    process.exit(1);
+  });
 
 // Manejar shutdown gracefully
 process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down gracefully...');
+  logger.info('shutdown', { signal: 'SIGINT' });
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { startTestApp, lib } = require('./helpers');
+
+describe('control de acceso de administración', () => {
+  let app;
+  let user;
+  let staff;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp();
+    user = await app.createUser();
+    staff = await app.createUser({ role: 'staff' });
+    admin = await app.createUser({ role: 'admin' });
+  });
+
+  after(() => app.close());
+
+  const READ_ROUTES = [
+    '/api/admin/stats',
+    '/api/admin/users',
+    '/api/admin/responses',
+    '/api/admin/completed-surveys',
+    '/api/admin/transactions',
+    '/api/admin/withdrawals',
+    '/api/admin/reviews',
+    '/api/admin/surveys'
+  ];
+
+  it('sin sesión responde 401', async () => {
+    for (const route of READ_ROUTES) {
+      const { status, body } = await app.request('GET', route);
+      assert.equal(status, 401, route);
+      assert.equal(body.code, 'unauthorized');
+    }
+  });
+
+  it('un usuario normal recibe 403', async () => {
+    for (const route of READ_ROUTES) {
+      const { status, body } = await app.request('GET', route, { token: user.token });
+      assert.equal(status, 403, route);
+      assert.equal(body.code, 'forbidden');
+    }
+  });
+
+  it('staff puede consultar pero no modificar', async () => {
+    for (const route of READ_ROUTES) {
+      const { status } = await app.request('GET', route, { token: staff.token });
+      assert.equal(status, 200, route);
+    }
+
+    const changeRole = await app.request('PATCH', `/api/admin/users/${user.id}/role`, {
+      token: staff.token,
+      body: { role: 'admin' }
+    });
+    assert.equal(changeRole.status, 403);
+
+    const createSurvey = await app.request('POST', '/api/admin/surveys', {
+      token: staff.token,
+      body: { survey_key: 'staff_survey', title: 'No debería crearse', reward_amount: 1 }
+    });
+    assert.equal(createSurvey.status, 403);
+
+    const surveys = await app.pool.query("SELECT id FROM surveys WHERE survey_key = 'staff_survey'");
+    assert.equal(surveys.rows.length, 0);
+  });
+
+  it('staff solo exporta datos seudonimizados', async () => {
+    const { body: surveys } = await app.request('GET', '/api/surveys');
+    const communication = surveys.find((survey) => survey.survey_key === 'communication');
+    const respondent = await app.createUser();
+    await app.startSurvey(respondent, communication.id);
+    await app.submitSurvey(respondent, communication.id, { communication_q1: 'email' });
+
+    const route = `/api/admin/surveys/${communication.id}/export?format=json&pseudonymise=false`;
+    const asStaff = await app.request('GET', route, { token: staff.token });
+    const asAdmin = await app.request('GET', route, { token: admin.token });
+
+    assert.equal(asStaff.status, 200);
+    assert.equal(asAdmin.status, 200);
+    assert.equal(JSON.stringify(asStaff.body).includes(respondent.email), false);
+    assert.equal(JSON.stringify(asAdmin.body).includes(respondent.email), true);
+  });
+
+  it('la exportación termina si el cliente corta la descarga', async () => {
+    const { body: surveys } = await app.request('GET', '/api/surveys');
+    const communication = surveys.find((survey) => survey.survey_key === 'communication');
+    const respondent = await app.createUser();
+    await app.startSurvey(respondent, communication.id);
+    await app.submitSurvey(respondent, communication.id, { communication_q1: 'email' });
+
+    // Un cliente que no lee nada y se desconecta con la primera línea
+    const res = new Writable({
+      highWaterMark: 1,
+      write() {
+        setImmediate(() => this.destroy());
+      }
+    });
+    res.setHeader = () => {};
+
+    const exportOptions = lib('responseExport').parseExportOptions({ format: 'csv' });
+    const exported = lib('responseExport').streamSurveyExport(communication.id, exportOptions, res);
+    const timeout = new Promise((resolve) => setTimeout(() => resolve('timeout'), 2000).unref());
+    assert.equal(await Promise.race([exported.then(() => 'done'), timeout]), 'done');
+    assert.equal(res.writableEnded, false);
+  });
+
+  it('admin puede cambiar roles, salvo el suyo', async () => {
+    const promoted = await app.createUser();
+    const { status, body } = await app.request('PATCH', `/api/admin/users/${promoted.id}/role`, {
+      token: admin.token,
+      body: { role: 'staff' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.role, 'staff');
+
+    // El cambio de rol se aplica en la siguiente petición con la misma sesión
+    const stats = await app.request('GET', '/api/admin/stats', { token: promoted.token });
+    assert.equal(stats.status, 200);
+
+    const own = await app.request('PATCH', `/api/admin/users/${admin.id}/role`, {
+      token: admin.token,
+      body: { role: 'user' }
+    });
+    assert.equal(own.status, 400);
+
+    const invalid = await app.request('PATCH', `/api/admin/users/${promoted.id}/role`, {
+      token: admin.token,
+      body: { role: 'superadmin' }
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('valida los filtros de los listados', async () => {
+    const routes = [
+      '/api/admin/completed-surveys?survey_id=abc',
+      '/api/admin/completed-surveys?user_id=123',
+      '/api/admin/transactions?user_id=123',
+      '/api/admin/withdrawals?user_id=123',
+      '/api/admin/reviews?survey_id=1.5',
+      '/api/admin/users?email_verified=si'
+    ];
+    for (const route of routes) {
+      const { status, body } = await app.request('GET', route, { token: admin.token });
+      assert.equal(status, 400, route);
+      assert.equal(body.code, 'invalid_param', route);
+    }
+
+    const valid = await app.request('GET', `/api/admin/transactions?user_id=${admin.id}`, { token: admin.token });
+    assert.equal(valid.status, 200);
+  });
+
+  it('una sesión cerrada deja de dar acceso', async () => {
+    const other = await app.createUser({ role: 'admin' });
+    assert.equal((await app.request('GET', '/api/admin/stats', { token: other.token })).status, 200);
+
+    const logout = await app.request('POST', '/api/auth/logout', { token: other.token });
+    assert.equal(logout.status, 200);
+
+    const { status } = await app.request('GET', '/api/admin/stats', { token: other.token });
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('registro de auditoría', () => {
+  let app;
+  let admin;
+  let staff;
+
+  before(async () => {
+    app = await startTestApp();
+    admin = await app.createUser({ role: 'admin' });
+    staff = await app.createUser({ role: 'staff' });
+  });
+
+  after(() => app.close());
+
+  const activity = (query, token = admin.token) => app.request('GET', `/api/admin/activity?${query}`, { token });
+
+  it('registra los inicios de sesión, también los fallidos', async () => {
+    const user = await app.createUser();
+    const ok = await app.request('POST', '/api/auth/login', { body: { email: user.email, password: 'password123' }, ip: user.ip });
+    assert.equal(ok.status, 200);
+    const wrong = await app.request('POST', '/api/auth/login', { body: { email: user.email, password: 'otra-cosa' }, ip: '10.9.9.9' });
+    assert.equal(wrong.status, 401);
+
+    const { body } = await app.request('GET', `/api/admin/users/${user.id}/activity?type=login,login_failed`, { token: admin.token });
+    assert.deepEqual(body.data.map((event) => event.activity_type), ['login_failed', 'login']);
+
+    const [failed, login] = body.data;
+    assert.equal(failed.actor_id, null);
+    assert.equal(failed.ip_address, '10.9.9.9');
+    assert.deepEqual(failed.metadata, { reason: 'wrong_password' });
+    assert.equal(login.actor_id, user.id);
+    assert.equal(login.ip_address, user.ip);
+  });
+
+  it('guarda quién cambió un rol y los valores antes y después', async () => {
+    const user = await app.createUser();
+    const changed = await app.request('PATCH', `/api/admin/users/${user.id}/role`, { token: admin.token, body: { role: 'staff' } });
+    assert.equal(changed.status, 200);
+    assert.deepEqual(changed.body, { id: user.id, email: user.email, role: 'staff' });
+
+    const { body } = await activity(`type=role_changed&target_id=${user.id}`);
+    assert.equal(body.pagination.total, 1);
+    const [event] = body.data;
+    assert.equal(event.user_id, user.id);
+    assert.equal(event.actor_id, admin.id);
+    assert.equal(event.actor_email, admin.email);
+    assert.deepEqual(event.before_values, { role: 'user' });
+    assert.deepEqual(event.after_values, { role: 'staff' });
+
+    // También aparece en la línea de tiempo del admin, como actor
+    const { body: adminTimeline } = await app.request('GET', `/api/admin/users/${admin.id}/activity?type=role_changed`, { token: admin.token });
+    assert.ok(adminTimeline.data.some((item) => item.target_id === user.id));
+  });
+
+  it('devuelve X-Request-Id y lo guarda en los eventos de la petición', async () => {
+    const user = await app.createUser();
+    const requestId = 'test-request-0001';
+    const response = await app.request('POST', '/api/auth/login', {
+      body: { email: user.email, password: 'password123' },
+      headers: { 'X-Request-Id': requestId }
+    });
+    assert.equal(response.headers.get('x-request-id'), requestId);
+
+    const { body } = await activity(`request_id=${requestId}`);
+    assert.deepEqual(body.data.map((event) => [event.activity_type, event.user_id]), [['login', user.id]]);
+
+    // Un identificador no válido se sustituye por uno nuevo
+    const generated = await app.request('GET', '/api/health', { headers: { 'X-Request-Id': 'no válido' } });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('filtra la actividad y valida los filtros', async () => {
+    const { body } = await activity('type=user_registered&pageSize=2');
+    assert.equal(body.data.length, 2);
+    assert.ok(body.pagination.total >= 3);
+    assert.ok(body.data.every((event) => event.activity_type === 'user_registered'));
+
+    const { body: searched } = await activity(`q=${encodeURIComponent('Rol cambiado')}`);
+    assert.ok(searched.data.length > 0);
+    assert.ok(searched.data.every((event) => event.activity_type === 'role_changed'));
+
+    const unknownType = await activity('type=login,nada');
+    assert.equal(unknownType.status, 400);
+    assert.equal(unknownType.body.code, 'invalid_activity_type');
+
+    const badUser = await activity('user_id=123');
+    assert.equal(badUser.status, 400);
+    assert.equal(badUser.body.code, 'invalid_param');
+  });
+
+  it('al borrar la cuenta se conservan solo las acciones de los admin', async () => {
+    const user = await app.createUser();
+    await app.request('PATCH', `/api/admin/users/${user.id}/role`, { token: admin.token, body: { role: 'staff' } });
+    const erased = await app.request('DELETE', '/api/me', { token: user.token, body: { password: 'password123' } });
+    assert.equal(erased.status, 200);
+
+    const { body } = await app.request('GET', `/api/admin/users/${user.id}/activity`, { token: admin.token });
+    assert.deepEqual(body.data.map((event) => event.activity_type).sort(), ['account_erased', 'role_changed']);
+  });
+
+  it('registra los cambios de las preguntas y las versiones', async () => {
+    const { body: survey } = await app.request('POST', '/api/admin/surveys', {
+      token: admin.token,
+      body: { survey_key: 'audited_survey', title: 'Auditada', reward_amount: 0 }
+    });
+    const route = `/api/admin/surveys/${survey.id}/versions/1/questions`;
+    const { body: question } = await app.request('POST', route, {
+      token: admin.token,
+      body: { question_key: 'q1', question_text: 'Primera', question_type: 'text' }
+    });
+    const { body: other } = await app.request('POST', route, {
+      token: admin.token,
+      body: { question_key: 'q2', question_text: 'Segunda', question_type: 'text' }
+    });
+    await app.request('PATCH', `${route}/${question.id}`, { token: admin.token, body: { question_text: 'Primera pregunta' } });
+    await app.request('DELETE', `${route}/${other.id}`, { token: admin.token });
+    await app.request('PUT', `${route}/${question.id}/translations`, { token: admin.token, body: { en: { question_text: 'First' } } });
+    await app.request('POST', `/api/admin/surveys/${survey.id}/versions/1/publish`, { token: admin.token });
+    await app.request('POST', `/api/admin/surveys/${survey.id}/versions`, { token: admin.token });
+
+    const { body } = await activity(`target_type=survey&target_id=${survey.id}`);
+    assert.deepEqual(body.data.map((event) => event.activity_type).reverse(), [
+      'survey_created',
+      'survey_question_added',
+      'survey_question_added',
+      'survey_question_updated',
+      'survey_question_deleted',
+      'survey_question_translated',
+      'survey_version_published',
+      'survey_version_created'
+    ]);
+    assert.ok(body.data.every((event) => event.actor_id === admin.id));
+
+    const updated = body.data.find((event) => event.activity_type === 'survey_question_updated');
+    assert.deepEqual(updated.before_values, { question_text: 'Primera' });
+    assert.deepEqual(updated.after_values, { question_text: 'Primera pregunta' });
+    assert.deepEqual(updated.metadata, { version: 1, questionId: question.id, questionKey: 'q1' });
+
+    const deleted = body.data.find((event) => event.activity_type === 'survey_question_deleted');
+    assert.equal(deleted.before_values.question_key, 'q2');
+    assert.deepEqual(body.data[0].after_values, { version: 2, status: 'draft' });
+  });
+
+  it('solo los admin ven el registro', async () => {
+    const global = await activity('', staff.token);
+    assert.equal(global.status, 403);
+    const perUser = await app.request('GET', `/api/admin/users/${admin.id}/activity`, { token: staff.token });
+    assert.equal(perUser.status, 403);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('inicio de sesión y contraseñas', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(() => app.close());
+
+  const login = (body) => app.request('POST', '/api/auth/login', { body });
+
+  it('rechaza credenciales que no son texto', async () => {
+    const user = await app.createUser();
+
+    for (const body of [
+      { email: user.email, password: 12345678 },
+      { email: user.email, password: { $ne: '' } },
+      { email: [user.email], password: 'password123' },
+      { email: user.email }
+    ]) {
+      const response = await login(body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.equal(response.body.code, 'credentials_required');
+    }
+
+    assert.equal((await login({ email: user.email, password: 'otra-cosa' })).status, 401);
+    assert.equal((await login({ email: user.email, password: 'password123' })).status, 200);
+  });
+
+  it('al cambiar la contraseña caducan las sesiones anteriores, no las nuevas', async () => {
+    const user = await app.createUser();
+    const me = (token) => app.request('GET', '/api/me', { token });
+
+    await app.request('POST', '/api/auth/password-reset/request', { body: { email: user.email } });
+    const message = [...app.mail].reverse().find((item) => item.to === user.email && /reset=/.test(item.text));
+    const token = /reset=([a-f0-9]+)/.exec(message.text)[1];
+    const confirmed = await app.request('POST', '/api/auth/password-reset/confirm', { body: { token, password: 'nueva-clave-123' } });
+    assert.equal(confirmed.status, 200);
+
+    const old = await me(user.token);
+    assert.equal(old.status, 401);
+    assert.equal(old.body.code, 'session_expired');
+
+    // Justo después del cambio
+    const fresh = await login({ email: user.email, password: 'nueva-clave-123' });
+    assert.equal(fresh.status, 200);
+    assert.equal((await me(fresh.body.token)).status, 200);
+  });
+});
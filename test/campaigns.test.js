@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('fechas, cupos y público de las encuestas', () => {
+  let app;
+  let admin;
+  let campaignCount = 0;
+
+  before(async () => {
+    app = await startTestApp();
+    admin = await app.createUser({ role: 'admin' });
+  });
+
+  after(() => app.close());
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  // Encuesta publicada con una pregunta de texto
+  async function createCampaign(fields = {}) {
+    campaignCount += 1;
+    const created = await app.request('POST', '/api/admin/surveys', {
+      token: admin.token,
+      body: { survey_key: `campaign_${campaignCount}`, title: `Campaña ${campaignCount}`, reward_amount: 2, ...fields }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const route = `/api/admin/surveys/${created.body.id}/versions/1`;
+    await app.request('POST', `${route}/questions`, {
+      token: admin.token,
+      body: { question_key: 'opinion', question_text: '¿Qué opinas?', question_type: 'text' }
+    });
+    const published = await app.request('POST', `${route}/publish`, { token: admin.token });
+    assert.equal(published.status, 200, JSON.stringify(published.body));
+    return created.body;
+  }
+
+  const update = (survey, body) => app.request('PATCH', `/api/admin/surveys/${survey.id}`, { token: admin.token, body });
+
+  async function listedKeys(user) {
+    const { body } = await app.request('GET', '/api/surveys', { token: user && user.token });
+    return body.map((survey) => survey.survey_key);
+  }
+
+  async function answer(user, survey) {
+    await app.startSurvey(user, survey.id);
+    return app.submitSurvey(user, survey.id, { opinion: 'Bien' });
+  }
+
+  it('solo se puede responder entre la apertura y el cierre', async () => {
+    const survey = await createCampaign({ opens_at: inDays(1) });
+    const user = await app.createUser();
+
+    assert.equal((await listedKeys(user)).includes(survey.survey_key), false);
+    const early = await app.submitSurvey(user, survey.id, { opinion: 'Bien' });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, 'survey_not_open');
+    const start = await app.request('POST', `/api/surveys/${survey.id}/start`, { token: user.token });
+    assert.equal(start.body.code, 'survey_not_open');
+
+    await update(survey, { opens_at: null, closes_at: inDays(-1) });
+    const late = await app.submitSurvey(user, survey.id, { opinion: 'Bien' });
+    assert.equal(late.status, 409);
+    assert.equal(late.body.code, 'survey_closed');
+
+    const closesAt = inDays(7);
+    await update(survey, { closes_at: closesAt });
+    const { body } = await app.request('GET', '/api/surveys');
+    const listed = body.find((item) => item.id === survey.id);
+    assert.equal(new Date(listed.closes_at).toISOString(), closesAt);
+    assert.equal(listed.max_completions, undefined);
+    assert.equal(listed.budget_spent, undefined);
+    assert.equal((await answer(user, survey)).status, 200);
+  });
+
+  it('muestra las encuestas con público solo a quien lo cumple', async () => {
+    const survey = await createCampaign({ audience: { completed_surveys: ['communication'] } });
+    const communication = await app.getSurvey('communication');
+    const user = await app.createUser();
+
+    assert.equal((await listedKeys()).includes(survey.survey_key), false);
+    assert.equal((await listedKeys(user)).includes(survey.survey_key), false);
+    const refused = await app.submitSurvey(user, survey.id, { opinion: 'Bien' });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'survey_not_eligible');
+
+    await app.startSurvey(user, communication.id);
+    await app.submitSurvey(user, communication.id, { communication_q1: 'email' });
+    assert.equal((await listedKeys(user)).includes(survey.survey_key), true);
+    assert.equal((await answer(user, survey)).status, 200);
+  });
+
+  it('el público puede limitarse a los referidos', async () => {
+    const survey = await createCampaign({ audience: { referred: true } });
+    const referrer = await app.createUser();
+    const { rows: [{ referral_code: code }] } = await app.pool.query('SELECT referral_code FROM users WHERE id = $1', [referrer.id]);
+    const referred = await app.createUser({ referralCode: code });
+
+    assert.equal((await listedKeys(referrer)).includes(survey.survey_key), false);
+    assert.equal((await listedKeys(referred)).includes(survey.survey_key), true);
+  });
+
+  it('no supera el máximo de envíos aunque lleguen a la vez', async () => {
+    const survey = await createCampaign({ max_completions: 2 });
+    const users = [];
+    for (let i = 0; i < 5; i += 1) {
+      const user = await app.createUser();
+      await app.startSurvey(user, survey.id);
+      users.push(user);
+    }
+
+    const results = await Promise.all(users.map((user) => app.submitSurvey(user, survey.id, { opinion: 'Bien' })));
+    assert.equal(results.filter((result) => result.status === 200).length, 2);
+    assert.deepEqual(
+      results.filter((result) => result.status !== 200).map((result) => [result.status, result.body.code]),
+      Array(3).fill([409, 'survey_full'])
+    );
+
+    const { body } = await app.request('GET', `/api/admin/surveys/${survey.id}`, { token: admin.token });
+    assert.equal(body.completions_count, 2);
+    assert.equal((await listedKeys(users[4])).includes(survey.survey_key), false);
+  });
+
+  it('deja de pagar al agotar el presupuesto', async () => {
+    const survey = await createCampaign({ reward_amount: 2, budget: 3 });
+    const first = await app.createUser();
+    const second = await app.createUser();
+
+    assert.equal((await answer(first, survey)).status, 200);
+    const refused = await answer(second, survey);
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, 'survey_full');
+
+    const { body } = await app.request('GET', `/api/admin/surveys/${survey.id}`, { token: admin.token });
+    assert.equal(body.budget_spent, '2.00');
+
+    // Con más presupuesto se vuelve a abrir
+    await update(survey, { budget: 4 });
+    assert.equal((await answer(second, survey)).status, 200);
+  });
+
+  it('valida las fechas, los cupos y el público', async () => {
+    const invalid = await app.request('POST', '/api/admin/surveys', {
+      token: admin.token,
+      body: {
+        survey_key: 'invalid_campaign',
+        title: 'No válida',
+        reward_amount: 1,
+        opens_at: inDays(2),
+        closes_at: inDays(1),
+        max_completions: 0,
+        budget: -5,
+        audience: { country: 'es' }
+      }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_survey');
+    assert.deepEqual(Object.keys(invalid.body.details).sort(), ['audience', 'budget', 'closes_at', 'max_completions']);
+
+    // El cierre se compara también con la apertura ya guardada
+    const survey = await createCampaign({ opens_at: inDays(2) });
+    const closesBefore = await update(survey, { closes_at: inDays(1) });
+    assert.equal(closesBefore.status, 400);
+    assert.ok(closesBefore.body.details.closes_at);
+
+    const cleared = await update(survey, { opens_at: null, audience: {} });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.audience, null);
+  });
+});
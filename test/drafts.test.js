@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, answersFor, lib } = require('./helpers');
+
+describe('guardar y continuar', () => {
+  let app;
+  let main;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp();
+    main = await app.getSurvey('main_survey');
+    admin = await app.createUser({ role: 'admin' });
+  });
+
+  after(() => app.close());
+
+  function start(user) {
+    return app.request('POST', `/api/surveys/${main.id}/start`, { token: user.token, ip: user.ip });
+  }
+
+  function saveDraft(user, responses) {
+    return app.request('PUT', `/api/surveys/${main.id}/draft`, { token: user.token, body: { responses } });
+  }
+
+  // Las dos primeras respuestas válidas de la encuesta principal
+  function firstAnswers() {
+    const answers = answersFor(main.questions);
+    const [first, second] = main.questions;
+    return { [first.question_key]: answers[first.question_key], [second.question_key]: answers[second.question_key] };
+  }
+
+  it('crea un borrador vacío al abrir la encuesta', async () => {
+    const user = await app.createUser({ verified: true });
+    const { status, body } = await start(user);
+
+    assert.equal(status, 200);
+    assert.equal(body.resumed, false);
+    assert.deepEqual(body.draft.responses, {});
+    assert.equal(body.draft.last_question_key, null);
+  });
+
+  it('guarda las respuestas válidas y retoma donde se dejó', async () => {
+    const user = await app.createUser({ verified: true });
+    await start(user);
+
+    const answers = firstAnswers();
+    const saved = await saveDraft(user, { ...answers, q_inexistente: 'x', [main.questions[2].question_key]: 'opción inventada' });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.responses, answers);
+    assert.equal(saved.body.last_question_key, main.questions[1].question_key);
+
+    const resumed = await start(user);
+    assert.equal(resumed.body.resumed, true);
+    assert.deepEqual(resumed.body.draft.responses, answers);
+
+    const events = await app.pool.query(`
+      SELECT activity_type FROM activity_logs
+      WHERE user_id = $1 AND activity_type LIKE 'survey_%' ORDER BY created_at
+    `, [user.id]);
+    assert.deepEqual(events.rows.map((row) => row.activity_type), ['survey_started', 'survey_resumed']);
+
+    const invalid = await saveDraft(user, 'no es un objeto');
+    assert.equal(invalid.status, 400);
+  });
+
+  it('borra el borrador al enviar la encuesta', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.startSurvey(user, main.id);
+    await saveDraft(user, firstAnswers());
+
+    const { status } = await app.submitSurvey(user, main.id, answersFor(main.questions));
+    assert.equal(status, 200);
+
+    const draft = await app.request('GET', `/api/surveys/${main.id}/draft`, { token: user.token });
+    assert.equal(draft.status, 404);
+    const late = await saveDraft(user, firstAnswers());
+    assert.equal(late.status, 409);
+  });
+
+  it('descarta el borrador a petición del usuario', async () => {
+    const user = await app.createUser({ verified: true });
+    await start(user);
+    await saveDraft(user, firstAnswers());
+
+    const { status } = await app.request('DELETE', `/api/surveys/${main.id}/draft`, { token: user.token });
+    assert.equal(status, 204);
+    const resumed = await start(user);
+    assert.equal(resumed.body.resumed, false);
+  });
+
+  it('anota los borradores caducados como abandonos por pregunta', async () => {
+    const user = await app.createUser({ verified: true });
+    await start(user);
+    await saveDraft(user, firstAnswers());
+    const idle = await app.createUser({ verified: true });
+    await start(idle);
+    await app.pool.query("UPDATE survey_drafts SET expires_at = NOW() - INTERVAL '1 minute' WHERE user_id = ANY($1)", [[user.id, idle.id]]);
+
+    assert.equal(await lib('surveyDrafts').expireDrafts(), 2);
+    const left = await app.pool.query('SELECT COUNT(*)::int as count FROM survey_drafts WHERE user_id = ANY($1)', [[user.id, idle.id]]);
+    assert.equal(left.rows[0].count, 0);
+
+    const { status, body } = await app.request('GET', `/api/admin/surveys/${main.id}/results`, { token: admin.token });
+    assert.equal(status, 200);
+    assert.equal(body.dropoff.abandoned, 2);
+    assert.deepEqual(body.dropoff.before_first_answer, { count: 1, percentage: 50 });
+    const second = body.dropoff.questions.find((question) => question.question_key === main.questions[1].question_key);
+    assert.equal(second.count, 1);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('idiomas', () => {
+  let app;
+  let communication;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp();
+    communication = await app.getSurvey('communication');
+    admin = await app.createUser({ role: 'admin' });
+  });
+
+  after(() => app.close());
+
+  it('traduce los errores según Accept-Language y mantiene el código', async () => {
+    const credentials = { email: 'nadie@example.com', password: 'password123' };
+    const es = await app.request('POST', '/api/auth/login', { body: credentials });
+    const ca = await app.request('POST', '/api/auth/login', {
+      body: credentials,
+      headers: { 'Accept-Language': 'ca-ES,ca;q=0.9,es;q=0.8' }
+    });
+    const en = await app.request('POST', '/api/auth/login', {
+      body: credentials,
+      headers: { 'Accept-Language': 'fr;q=0.9, en;q=0.5' }
+    });
+
+    assert.deepEqual(es.body, { error: 'Email o contraseña incorrectos', code: 'invalid_credentials' });
+    assert.deepEqual(ca.body, { error: 'Correu electrònic o contrasenya incorrectes', code: 'invalid_credentials' });
+    assert.deepEqual(en.body, { error: 'Wrong email or password', code: 'invalid_credentials' });
+    assert.equal(ca.headers.get('content-language'), 'ca');
+  });
+
+  it('el idioma de la cuenta tiene prioridad sobre el del navegador', async () => {
+    const user = await app.createUser();
+
+    const invalid = await app.request('PATCH', '/api/me', { token: user.token, body: { locale: 'fr' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_locale');
+
+    const updated = await app.request('PATCH', '/api/me', { token: user.token, body: { locale: 'en' } });
+    assert.deepEqual(updated.body, { locale: 'en' });
+
+    const { body } = await app.request('POST', `/api/surveys/${communication.id}/submit`, {
+      token: user.token,
+      body: { responses: 'email', consent: true },
+      headers: { 'Accept-Language': 'ca' }
+    });
+    assert.deepEqual(body, { error: 'Invalid answer format', code: 'invalid_responses_format' });
+  });
+
+  it('traduce las encuestas sin cambiar los valores y exporta siempre el mismo', async () => {
+    const { body: surveys } = await app.request('GET', '/api/surveys', { headers: { 'Accept-Language': 'en' } });
+    const survey = surveys.find((item) => item.id === communication.id);
+    assert.equal(survey.title, 'Digital communication');
+    assert.equal(survey.translations, undefined);
+
+    const { body: questions } = await app.request('GET', `/api/surveys/${communication.id}/questions`, {
+      headers: { 'Accept-Language': 'ca' }
+    });
+    assert.equal(questions[0].question_text, 'Com prefereixes rebre informació sobre causes solidàries?');
+    assert.deepEqual(questions[0].options.map((option) => option.value), communication.questions[0].options.map((option) => option.value));
+    assert.notDeepEqual(questions[0].options.map((option) => option.label), communication.questions[0].options.map((option) => option.label));
+
+    const respondent = await app.createUser();
+    await app.request('PATCH', '/api/me', { token: respondent.token, body: { locale: 'ca' } });
+    await app.startSurvey(respondent, communication.id);
+    const submitted = await app.submitSurvey(respondent, communication.id, { communication_q1: 'redes' });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.message, 'Enquesta enviada correctament');
+
+    const { body: rows } = await app.request('GET', `/api/admin/surveys/${communication.id}/export?format=json`, {
+      token: admin.token,
+      headers: { 'Accept-Language': 'en' }
+    });
+    const row = rows.find((item) => item.communication_q1 === 'redes');
+    assert.ok(row, 'la exportación guarda el valor de la opción');
+  });
+
+  it('valida las traducciones de una pregunta, también en versiones publicadas', async () => {
+    const question = communication.questions[0];
+    const route = `/api/admin/surveys/${communication.id}/versions/1/questions/${question.id}/translations`;
+
+    const unknown = await app.request('PUT', route, {
+      token: admin.token,
+      body: { en: { options: { fax: 'Fax' } } }
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'invalid_translations');
+
+    const wrongLocale = await app.request('PUT', route, { token: admin.token, body: { fr: { question_text: 'Comment ?' } } });
+    assert.equal(wrongLocale.status, 400);
+
+    const updated = await app.request('PUT', route, {
+      token: admin.token,
+      body: { en: { question_text: 'How should we contact you?', options: { sms: 'Text message' } } }
+    });
+    assert.equal(updated.status, 200);
+
+    const { body: questions } = await app.request('GET', `/api/surveys/${communication.id}/questions`, {
+      headers: { 'Accept-Language': 'en' }
+    });
+    assert.equal(questions[0].question_text, 'How should we contact you?');
+    assert.equal(questions[0].options.find((option) => option.value === 'sms').label, 'Text message');
+    assert.equal(questions[0].options.find((option) => option.value === 'email').label, 'Email');
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDatabase, lib } = require('./helpers');
+
+describe('migraciones', () => {
+  let database;
+  let migrations;
+  let pool;
+  let tmpDir;
+
+  before(async () => {
+    database = await createTestDatabase();
+    migrations = lib('migrations');
+    pool = lib('db').pool;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sasa-migrations-'));
+  });
+
+  after(async () => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    await database.drop();
+  });
+
+  // Copia de migrations/ en un directorio temporal, con ficheros extra o
+  // modificados
+  function migrationsDir(name, files = {}) {
+    const dir = path.join(tmpDir, name);
+    fs.cpSync(migrations.MIGRATIONS_DIR, dir, { recursive: true });
+    for (const [file, sql] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, file), sql);
+    }
+    return dir;
+  }
+
+  async function tableExists(table) {
+    const result = await pool.query('SELECT to_regclass($1) IS NOT NULL as exists', [`public.${table}`]);
+    return result.rows[0].exists;
+  }
+
+  it('crea el esquema en una base de datos vacía', async () => {
+    const all = migrations.loadMigrations();
+    assert.deepEqual(await migrations.migrate(), all.map((migration) => migration.name));
+    assert.ok(await tableExists('users'));
+    assert.ok(await tableExists('ledger_entries'));
+
+    const { applied, pending } = await migrations.status();
+    assert.deepEqual(pending, []);
+    assert.deepEqual(applied.map((row) => row.checksum), all.map((migration) => migration.checksum));
+  });
+
+  it('no vuelve a aplicar lo que ya está aplicado', async () => {
+    assert.deepEqual(await migrations.migrate(), []);
+  });
+
+  it('rechaza una migración aplicada que ha cambiado', async () => {
+    const up = fs.readFileSync(path.join(migrations.MIGRATIONS_DIR, '001_initial_schema.up.sql'), 'utf8');
+    const dir = migrationsDir('changed', { '001_initial_schema.up.sql': `${up}\n-- editada\n` });
+
+    await assert.rejects(() => migrations.migrate({ dir }), /checksum distinto/);
+  });
+
+  it('aplica y deshace una migración nueva', async () => {
+    const dir = migrationsDir('extra', {
+      '999_test_extra.up.sql': 'CREATE TABLE test_extra (id SERIAL PRIMARY KEY);',
+      '999_test_extra.down.sql': 'DROP TABLE test_extra;'
+    });
+
+    assert.deepEqual(await migrations.migrate({ dir }), ['999_test_extra']);
+    assert.ok(await tableExists('test_extra'));
+
+    assert.deepEqual(await migrations.rollback({ dir }), ['999_test_extra']);
+    assert.equal(await tableExists('test_extra'), false);
+    assert.deepEqual((await migrations.status()).pending, []);
+  });
+
+  it('deja la base de datos como estaba si la migración falla', async () => {
+    const dir = migrationsDir('broken', {
+      '999_test_broken.up.sql': 'CREATE TABLE test_broken (id INT); SELECT * FROM tabla_que_no_existe;'
+    });
+
+    await assert.rejects(() => migrations.migrate({ dir }), /999_test_broken/);
+    assert.equal(await tableExists('test_broken'), false);
+    assert.deepEqual((await migrations.status({ dir })).pending.map((item) => item.name), ['999_test_broken']);
+  });
+
+  it('actualiza una base de datos creada con el antiguo schema.sql', async () => {
+    await migrations.rollback({ steps: migrations.loadMigrations().length });
+    assert.equal(await tableExists('users'), false);
+
+    // schema.sql era para Supabase: sus políticas usan auth.uid()
+    await pool.query("CREATE SCHEMA auth; CREATE FUNCTION auth.uid() RETURNS UUID AS 'SELECT NULL::UUID' LANGUAGE sql");
+    await pool.query(fs.readFileSync(path.join(__dirname, 'fixtures', 'legacy_schema.sql'), 'utf8'));
+    const { rows: [user] } = await pool.query(
+      "INSERT INTO users (email, referral_code, balance) VALUES ('legacy@example.com', 'REF123456', 1.50) RETURNING id"
+    );
+    const { rows: [survey] } = await pool.query(
+      "INSERT INTO surveys (survey_key, title, reward_amount) VALUES ('legacy', 'Antigua', 1.50) RETURNING id"
+    );
+    const { rows: [question] } = await pool.query(
+      "INSERT INTO survey_questions (survey_id, question_key, question_text, question_type) VALUES ($1, 'q1', '¿?', 'text') RETURNING id",
+      [survey.id]
+    );
+    await pool.query('INSERT INTO user_survey_responses (user_id, survey_id, question_id, answer_text) VALUES ($1, $2, $3, \'Sí\')',
+      [user.id, survey.id, question.id]);
+    await pool.query('INSERT INTO user_completed_surveys (user_id, survey_id, reward_paid) VALUES ($1, $2, true)', [user.id, survey.id]);
+
+    await assert.rejects(() => migrations.migrate(), /no historial de migraciones/);
+    assert.deepEqual(await migrations.upgradeLegacy(), ['001_initial_schema']);
+    await assert.rejects(() => migrations.upgradeLegacy(), /ya tiene historial/);
+    await migrations.migrate();
+    assert.deepEqual((await migrations.status()).pending, []);
+
+    // Las preguntas que había son la versión 1 publicada
+    const { rows: [upgraded] } = await pool.query(`
+      SELECT v.version, v.status, q.survey_version_id = v.id as question_in_version,
+             c.survey_version_id = v.id as completion_in_version
+      FROM surveys s
+      JOIN survey_versions v ON v.id = s.current_version_id
+      JOIN survey_questions q ON q.survey_id = s.id
+      JOIN user_completed_surveys c ON c.survey_id = s.id
+      WHERE s.id = $1
+    `, [survey.id]);
+    assert.deepEqual(upgraded, { version: 1, status: 'published', question_in_version: true, completion_in_version: true });
+
+    const { rows: [admin] } = await pool.query("SELECT role, password_hash FROM users WHERE email = 'admin@angelessinalas.com'");
+    assert.deepEqual(admin, { role: 'user', password_hash: null });
+    const { rows: [legacy] } = await pool.query('SELECT role, balance FROM users WHERE id = $1', [user.id]);
+    assert.deepEqual(legacy, { role: 'user', balance: '1.50' });
+  });
+
+  it('no actualiza bases de datos que no vienen de schema.sql', async () => {
+    await migrations.rollback({ steps: migrations.loadMigrations().length });
+    await pool.query('CREATE TABLE users (id UUID PRIMARY KEY)');
+    await assert.rejects(() => migrations.upgradeLegacy(), /faltan las tablas surveys/);
+    await pool.query('DROP TABLE users');
+  });
+});
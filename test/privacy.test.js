@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, answersFor, lib } = require('./helpers');
+
+describe('protección de datos', () => {
+  let app;
+  let main;
+
+  before(async () => {
+    app = await startTestApp();
+    main = await app.getSurvey('main_survey');
+  });
+
+  after(() => app.close());
+
+  async function countRows(table, userId) {
+    const result = await app.pool.query(`SELECT COUNT(*)::int as count FROM ${table} WHERE user_id = $1`, [userId]);
+    return result.rows[0].count;
+  }
+
+  // Usuario verificado con la encuesta principal enviada (5 EUR de saldo)
+  async function createRespondent() {
+    const user = await app.createUser({ verified: true });
+    await app.startSurvey(user, main.id);
+    const { status } = await app.submitSurvey(user, main.id, answersFor(main.questions));
+    assert.equal(status, 200);
+    return user;
+  }
+
+  it('exige el consentimiento al registrarse y al enviar una encuesta', async () => {
+    const register = await app.request('POST', '/api/auth/register', {
+      body: { email: 'sin-consentimiento@example.com', password: 'password123' },
+      ip: app.nextIp()
+    });
+    assert.equal(register.status, 400);
+    assert.ok(register.body.details.consent);
+
+    const user = await app.createUser();
+    const submit = await app.request('POST', `/api/surveys/${main.id}/submit`, {
+      token: user.token,
+      ip: user.ip,
+      body: { responses: answersFor(main.questions) }
+    });
+    assert.equal(submit.status, 400);
+    assert.ok(submit.body.details.consent);
+    assert.equal(await countRows('user_survey_responses', user.id), 0);
+  });
+
+  it('registra la versión de cada consentimiento', async () => {
+    const user = await createRespondent();
+    const { CONSENT_VERSIONS } = lib('privacy');
+
+    const consents = await app.pool.query(`
+      SELECT purpose, version, survey_id, survey_version_id IS NOT NULL as has_version
+      FROM consent_records WHERE user_id = $1 ORDER BY created_at
+    `, [user.id]);
+    assert.deepEqual(consents.rows, [
+      { purpose: 'terms', version: CONSENT_VERSIONS.terms, survey_id: null, has_version: false },
+      { purpose: 'survey', version: CONSENT_VERSIONS.survey, survey_id: main.id, has_version: true }
+    ]);
+  });
+
+  it('exporta los datos del usuario', async () => {
+    const user = await createRespondent();
+
+    const { status, headers, body } = await app.request('GET', '/api/me/export', { token: user.token });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), /attachment; filename="mis-datos-\d{8}\.json"/);
+
+    assert.equal(body.user.email, user.email);
+    assert.equal(body.user.password_hash, undefined);
+    assert.equal(body.survey_responses.length, main.questions.length);
+    assert.deepEqual(body.completed_surveys.map((item) => item.survey_key), ['main_survey']);
+    assert.deepEqual(body.balance, { available: 5, held: 0 });
+    assert.deepEqual(body.consents.map((item) => item.purpose), ['terms', 'survey']);
+    assert.ok(body.activity.some((item) => item.activity_type === 'survey_completed'));
+  });
+
+  it('borra la cuenta pero conserva el libro contable', async () => {
+    const user = await createRespondent();
+
+    const wrong = await app.request('DELETE', '/api/me', { token: user.token, body: { password: 'otra-cosa' } });
+    assert.equal(wrong.status, 403);
+
+    const { status } = await app.request('DELETE', '/api/me', { token: user.token, body: { password: 'password123' } });
+    assert.equal(status, 200);
+
+    const row = await app.pool.query('SELECT email, password_hash, ip_address, anonymized_at FROM users WHERE id = $1', [user.id]);
+    assert.equal(row.rows[0].email, `borrado-${user.id}@anonimo.invalid`);
+    assert.equal(row.rows[0].password_hash, null);
+    assert.equal(row.rows[0].ip_address, null);
+    assert.ok(row.rows[0].anonymized_at);
+
+    assert.equal(await countRows('user_survey_responses', user.id), 0);
+    assert.equal(await countRows('user_completed_surveys', user.id), 1);
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 5, held: 0 });
+    assert.deepEqual(await lib('ledger').findDrift(), { users: [], unbalancedTransactions: [] });
+
+    const me = await app.request('GET', '/api/me', { token: user.token });
+    assert.equal(me.status, 401);
+    const login = await app.request('POST', '/api/auth/login', { body: { email: user.email, password: 'password123' } });
+    assert.equal(login.status, 401);
+  });
+
+  it('no borra la cuenta con un retiro en curso', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 10);
+    const withdrawal = await app.request('POST', '/api/withdrawals', {
+      token: user.token,
+      ip: user.ip,
+      body: { amount: 10, paypalEmail: 'paypal@example.com' }
+    });
+    assert.equal(withdrawal.status, 201);
+
+    const { status, body } = await app.request('DELETE', '/api/me', { token: user.token, body: { password: 'password123' } });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'open_withdrawal');
+    const row = await app.pool.query('SELECT anonymized_at FROM users WHERE id = $1', [user.id]);
+    assert.equal(row.rows[0].anonymized_at, null);
+  });
+
+  it('la retención borra las IPs y los navegadores antiguos', async () => {
+    const user = await createRespondent();
+    await app.pool.query("UPDATE activity_logs SET created_at = NOW() - INTERVAL '100 days' WHERE user_id = $1", [user.id]);
+
+    const result = await lib('privacy').applyRetention({ days: 90 });
+    assert.ok(result.activityLogs >= 1);
+
+    const logs = await app.pool.query('SELECT ip_address, user_agent FROM activity_logs WHERE user_id = $1', [user.id]);
+    assert.ok(logs.rows.length > 0);
+    assert.ok(logs.rows.every((log) => log.ip_address === null && log.user_agent === null));
+
+    // Los datos recientes se quedan
+    const recent = await app.pool.query('SELECT ip_address FROM users WHERE id = $1', [user.id]);
+    assert.equal(recent.rows[0].ip_address, user.ip);
+  });
+});
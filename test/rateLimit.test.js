@@ -0,0 +1,55 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('límites de peticiones', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(() => app.close());
+
+  // Las demás pruebas los desactivan (helpers.js); aquí se activan solo
+  // durante cada prueba, después de crear los usuarios
+  const enable = () => { process.env.RATE_LIMIT_DISABLED = 'false'; };
+  afterEach(() => { process.env.RATE_LIMIT_DISABLED = 'true'; });
+
+  function assertLimited(response, code, windowSeconds) {
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, code);
+    const retryAfter = Number(response.headers.get('retry-after'));
+    assert.ok(retryAfter > windowSeconds - 10 && retryAfter <= windowSeconds, `Retry-After: ${retryAfter}`);
+    assert.equal(response.body.retryAfter, retryAfter);
+  }
+
+  it('corta los inicios de sesión fallidos de una cuenta', async () => {
+    const user = await app.createUser();
+    enable();
+
+    for (let i = 0; i < 10; i += 1) {
+      const wrong = await app.request('POST', '/api/auth/login', { body: { email: user.email, password: 'otra-cosa' }, ip: app.nextIp() });
+      assert.equal(wrong.status, 401);
+    }
+
+    // Ni siquiera con la contraseña correcta ni desde otra IP
+    const limited = await app.request('POST', '/api/auth/login', { body: { email: user.email, password: 'password123' }, ip: app.nextIp() });
+    assertLimited(limited, 'login_rate_limited', 15 * 60);
+  });
+
+  it('corta las solicitudes de retiro de un usuario', async () => {
+    const user = await app.createUser({ verified: true });
+    enable();
+
+    const withdraw = () => app.request('POST', '/api/withdrawals', {
+      token: user.token,
+      ip: user.ip,
+      body: { amount: 1, paypalEmail: 'paypal@example.com' }
+    });
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await withdraw()).status, 400);
+    }
+    assertLimited(await withdraw(), 'rate_limited', 60 * 60);
+  });
+});
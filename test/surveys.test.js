@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, answersFor } = require('./helpers');
+
+describe('envío de encuestas', () => {
+  let app;
+  let communication;
+  let main;
+
+  before(async () => {
+    app = await startTestApp();
+    communication = await app.getSurvey('communication');
+    main = await app.getSurvey('main_survey');
+  });
+
+  after(() => app.close());
+
+  async function countRows(table, userId) {
+    const result = await app.pool.query(`SELECT COUNT(*)::int as count FROM ${table} WHERE user_id = $1`, [userId]);
+    return result.rows[0].count;
+  }
+
+  it('lista las encuestas por defecto publicadas', async () => {
+    const { status, body } = await app.request('GET', '/api/surveys');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.map((survey) => survey.survey_key).sort(),
+      ['communication', 'donations', 'feedback', 'main_survey', 'socioeconomic', 'volunteering']
+    );
+    assert.equal(main.questions.length, 10);
+  });
+
+  it('guarda el envío y paga la recompensa', async () => {
+    const user = await app.createUser();
+    await app.startSurvey(user, main.id);
+
+    const { status, body } = await app.submitSurvey(user, main.id, answersFor(main.questions));
+    assert.equal(status, 200);
+    assert.equal(body.pendingReview, false);
+    assert.equal(body.reward, 5);
+    assert.equal(body.responsesCount, 10);
+
+    const me = await app.request('GET', '/api/me', { token: user.token });
+    assert.equal(me.body.balance, '5.00');
+    assert.deepEqual(me.body.completed_surveys.map((item) => item.survey_id), [main.id]);
+  });
+
+  it('rechaza un segundo envío de la misma encuesta sin guardar ni pagar nada', async () => {
+    const user = await app.createUser();
+    await app.startSurvey(user, communication.id);
+    const responses = answersFor(communication.questions);
+
+    const first = await app.submitSurvey(user, communication.id, responses);
+    assert.equal(first.status, 200);
+
+    const second = await app.submitSurvey(user, communication.id, responses);
+    assert.equal(second.status, 409);
+    assert.deepEqual(second.body, { error: 'Ya has completado esta encuesta', code: 'survey_completed' });
+
+    assert.equal(await countRows('user_survey_responses', user.id), 1);
+    assert.equal(await countRows('user_completed_surveys', user.id), 1);
+    const me = await app.request('GET', '/api/me', { token: user.token });
+    assert.equal(me.body.balance, '1.00');
+  });
+
+  it('solo acepta uno de dos envíos simultáneos', async () => {
+    const user = await app.createUser();
+    await app.startSurvey(user, communication.id);
+    const responses = answersFor(communication.questions);
+
+    const results = await Promise.all([
+      app.submitSurvey(user, communication.id, responses),
+      app.submitSurvey(user, communication.id, responses)
+    ]);
+
+    // El envío bloquea la fila del usuario: el segundo espera al primero y
+    // ya lo ve completado
+    assert.deepEqual(results.map((result) => result.status).sort(), [200, 409]);
+    assert.equal(await countRows('user_completed_surveys', user.id), 1);
+    const me = await app.request('GET', '/api/me', { token: user.token });
+    assert.equal(me.body.balance, '1.00');
+  });
+
+  it('acepta a la vez los envíos de quien invita y de sus referidos', async () => {
+    // El envío de cada referido abona el bono a quien le invitó mientras
+    // este envía la misma encuesta: ninguno puede quedar en un interbloqueo
+    const referrer = await app.createUser();
+    const { rows: [{ referral_code: code }] } = await app.pool.query('SELECT referral_code FROM users WHERE id = $1', [referrer.id]);
+    const users = [referrer];
+    for (let i = 0; i < 4; i += 1) {
+      users.push(await app.createUser({ referralCode: code }));
+    }
+    for (const user of users) {
+      await app.startSurvey(user, communication.id);
+    }
+
+    const responses = answersFor(communication.questions);
+    const results = await Promise.all(users.map((user) => app.submitSurvey(user, communication.id, responses)));
+    assert.deepEqual(results.map((result) => result.status), users.map(() => 200));
+  });
+
+  it('valida las respuestas antes de guardar nada', async () => {
+    const user = await app.createUser();
+    const { status, body } = await app.submitSurvey(user, communication.id, { communication_q1: 'no_existe' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_responses');
+    assert.equal(body.details.communication_q1.code, 'invalid_option');
+    assert.equal(await countRows('user_survey_responses', user.id), 0);
+  });
+
+  it('rechaza fechas que no existen', async () => {
+    const admin = await app.createUser({ role: 'admin' });
+    const { body: survey } = await app.request('POST', '/api/admin/surveys', {
+      token: admin.token,
+      body: { survey_key: 'dates', title: 'Fechas', reward_amount: 0 }
+    });
+    const route = `/api/admin/surveys/${survey.id}/versions/1`;
+    const question = { question_key: 'birthday', question_text: 'Fecha', question_type: 'date' };
+
+    const badSettings = await app.request('POST', `${route}/questions`, {
+      token: admin.token,
+      body: { ...question, settings: { min: '2024-02-30' } }
+    });
+    assert.equal(badSettings.status, 400);
+    assert.ok(badSettings.body.details.settings);
+
+    await app.request('POST', `${route}/questions`, { token: admin.token, body: question });
+    await app.request('POST', `${route}/publish`, { token: admin.token });
+
+    const user = await app.createUser();
+    const impossible = await app.submitSurvey(user, survey.id, { birthday: '2024-02-31' });
+    assert.equal(impossible.status, 400);
+    assert.equal(impossible.body.details.birthday.code, 'invalid_type');
+
+    const leapDay = await app.submitSurvey(user, survey.id, { birthday: '2024-02-29' });
+    assert.equal(leapDay.status, 200);
+  });
+
+  it('deja la recompensa pendiente de revisión si el envío tiene riesgo', async () => {
+    // Enviada nada más abrirla: too_fast llega por sí sola al umbral
+    const user = await app.createUser();
+    await app.startSurvey(user, main.id, { secondsAgo: 0 });
+
+    const { status, body } = await app.submitSurvey(user, main.id, answersFor(main.questions));
+    assert.equal(status, 200);
+    assert.equal(body.pendingReview, true);
+    assert.equal(body.reward, 0);
+
+    const review = await app.pool.query('SELECT status, reward_amount FROM submission_reviews WHERE user_id = $1', [user.id]);
+    assert.deepEqual(review.rows, [{ status: 'pending', reward_amount: '5.00' }]);
+    const me = await app.request('GET', '/api/me', { token: user.token });
+    assert.equal(me.body.balance, '0.00');
+  });
+
+  it('no toma como de quien le invitó la IP de un inicio de sesión fallido', async () => {
+    const referrer = await app.createUser();
+    const { rows: [{ referral_code: code }] } = await app.pool.query('SELECT referral_code FROM users WHERE id = $1', [referrer.id]);
+    const user = await app.createUser({ referralCode: code });
+
+    // Desde la IP del referido se intenta entrar en la cuenta de quien le invitó
+    const wrong = await app.request('POST', '/api/auth/login', { body: { email: referrer.email, password: 'otra-cosa' }, ip: user.ip });
+    assert.equal(wrong.status, 401);
+
+    await app.startSurvey(user, main.id);
+    const { status, body } = await app.submitSurvey(user, main.id, answersFor(main.questions));
+    assert.equal(status, 200);
+    assert.equal(body.pendingReview, false);
+  });
+
+  it('responde 404 con una encuesta que no existe y 401 sin sesión', async () => {
+    const user = await app.createUser();
+    const missing = await app.submitSurvey(user, 9999, {});
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'survey_not_available');
+
+    const anonymous = await app.request('POST', `/api/surveys/${communication.id}/submit`, { body: { responses: {} } });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'unauthorized');
+  });
+});
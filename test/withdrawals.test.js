@@ -0,0 +1,300 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, lib } = require('./helpers');
+
+describe('retiros', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(() => app.close());
+
+  function requestWithdrawal(user, amount, headers) {
+    return app.request('POST', '/api/withdrawals', {
+      token: user.token,
+      ip: user.ip,
+      body: { amount, paypalEmail: 'paypal@example.com' },
+      headers
+    });
+  }
+
+  // Webhook de PayPal simulado sobre el pago de un retiro
+  function payoutWebhook(eventType, withdrawalId, { secret = process.env.PAYOUT_MOCK_WEBHOOK_SECRET } = {}) {
+    return app.request('POST', '/api/payouts/webhook', {
+      body: { event_type: eventType, resource: { payout_item_id: `MOCK-ITEM-${withdrawalId}`, transaction_id: `TX-${withdrawalId}` } },
+      headers: secret ? { 'x-mock-webhook-secret': secret } : {}
+    });
+  }
+
+  // Retiro aprobado y enviado a PayPal (el proveedor simulado espera al webhook)
+  async function approvedWithdrawal(user, admin, amount) {
+    const { body } = await requestWithdrawal(user, amount);
+    const approve = await app.request('POST', `/api/admin/withdrawals/${body.withdrawal.id}/approve`, { token: admin.token, body: {} });
+    assert.equal(approve.body.status, 'processing');
+    return body.withdrawal;
+  }
+
+  // Ejecuta fn con el envío a PayPal sustituido por send
+  async function withPayoutSend(send, fn) {
+    const payouts = lib('payouts');
+    const provider = payouts.getProvider();
+    payouts.setProvider({ ...provider, send });
+    try {
+      return await fn();
+    } finally {
+      payouts.setProvider(provider);
+    }
+  }
+
+  // Retiro aprobado cuyo envío a PayPal ha fallado: sigue sin lote
+  async function approvedWithoutPayout(user, admin, amount) {
+    const { body } = await requestWithdrawal(user, amount);
+    const approve = await withPayoutSend(async () => { throw new Error('PayPal no responde'); },
+      () => app.request('POST', `/api/admin/withdrawals/${body.withdrawal.id}/approve`, { token: admin.token, body: {} }));
+    assert.equal(approve.status, 200);
+    assert.equal(approve.body.status, 'processing');
+    assert.ok(approve.body.payout_error);
+    return body.withdrawal;
+  }
+
+  async function withdrawalStatus(withdrawalId) {
+    const result = await app.pool.query('SELECT status FROM withdrawal_requests WHERE id = $1', [withdrawalId]);
+    return result.rows[0].status;
+  }
+
+  async function countWithdrawals(userId) {
+    const result = await app.pool.query('SELECT COUNT(*)::int as count FROM withdrawal_requests WHERE user_id = $1', [userId]);
+    return result.rows[0].count;
+  }
+
+  it('exige el email verificado', async () => {
+    const user = await app.createUser();
+    await app.creditBalance(user.id, 20);
+
+    const { status, body } = await requestWithdrawal(user, 10);
+    assert.equal(status, 403);
+    assert.equal(body.code, 'email_not_verified');
+  });
+
+  it('no permite retirar más que el saldo disponible', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 8);
+
+    const { status, body } = await requestWithdrawal(user, 10);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Saldo insuficiente');
+    assert.equal(await countWithdrawals(user.id), 0);
+  });
+
+  it('no permite retirar menos del mínimo', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 20);
+
+    const { status, body } = await requestWithdrawal(user, 1);
+    assert.equal(status, 400);
+    assert.ok(body.details.amount);
+  });
+
+  it('rechaza importes que no caben en la solicitud', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 20);
+
+    const { status, body } = await requestWithdrawal(user, 1e12);
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_amount');
+    assert.equal(await countWithdrawals(user.id), 0);
+  });
+
+  it('valida la cabecera Idempotency-Key', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 20);
+
+    for (const key of ['k'.repeat(101), 'clave con espacios']) {
+      const { status, body } = await requestWithdrawal(user, 5, { 'Idempotency-Key': key });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'invalid_idempotency_key');
+    }
+    assert.equal(await countWithdrawals(user.id), 0);
+    assert.equal((await requestWithdrawal(user, 5, { 'Idempotency-Key': 'k'.repeat(100) })).status, 201);
+  });
+
+  it('retiene el importe al solicitar el retiro', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 20);
+
+    const { status, body } = await requestWithdrawal(user, 15);
+    assert.equal(status, 201);
+    assert.equal(body.withdrawal.status, 'pending');
+
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 5, held: 15 });
+    const me = await app.request('GET', '/api/me', { token: user.token });
+    assert.equal(me.body.balance, '5.00');
+  });
+
+  it('acepta importes con céntimos y rechaza más de dos decimales', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 40);
+
+    for (const amount of [5.1, 8.2, '19.99']) {
+      const { status, body } = await requestWithdrawal(user, amount);
+      assert.equal(status, 201, `${amount}: ${JSON.stringify(body)}`);
+    }
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 6.71, held: 33.29 });
+
+    const { status, body } = await requestWithdrawal(user, 5.005);
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_amount');
+  });
+
+  it('con la misma Idempotency-Key devuelve la solicitud original', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 20);
+    const headers = { 'Idempotency-Key': 'retiro-1' };
+
+    const first = await requestWithdrawal(user, 10, headers);
+    const second = await requestWithdrawal(user, 10, headers);
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.withdrawal.id, first.body.withdrawal.id);
+    assert.equal(await countWithdrawals(user.id), 1);
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 10, held: 10 });
+  });
+
+  it('las solicitudes simultáneas nunca dejan el saldo en negativo', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 12);
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => requestWithdrawal(user, 5)));
+    const statuses = results.map((result) => result.status).sort();
+
+    assert.deepEqual(statuses, [201, 201, 400, 400, 400]);
+    assert.equal(await countWithdrawals(user.id), 2);
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 2, held: 10 });
+  });
+
+  it('rechazar un retiro devuelve el importe y pagarlo lo liquida', async () => {
+    const user = await app.createUser({ verified: true });
+    const admin = await app.createUser({ role: 'admin' });
+    await app.creditBalance(user.id, 20);
+
+    const rejected = await requestWithdrawal(user, 5);
+    const paid = await approvedWithoutPayout(user, admin, 10);
+
+    const reject = await app.request('POST', `/api/admin/withdrawals/${rejected.body.withdrawal.id}/reject`, {
+      token: admin.token,
+      body: { admin_notes: 'Datos de PayPal incorrectos' }
+    });
+    assert.equal(reject.status, 200);
+    assert.equal(reject.body.status, 'failed');
+
+    const markPaid = await app.request('POST', `/api/admin/withdrawals/${paid.id}/mark-paid`, {
+      token: admin.token,
+      body: { paypal_transaction_id: 'PAYPAL-TX-1' }
+    });
+    assert.equal(markPaid.status, 200);
+    assert.equal(markPaid.body.status, 'completed');
+
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 10, held: 0 });
+    assert.deepEqual(await lib('ledger').findDrift(), { users: [], unbalancedTransactions: [] });
+  });
+
+  it('un retiro enviado a PayPal solo lo cierra el resultado del pago', async () => {
+    const user = await app.createUser({ verified: true });
+    const admin = await app.createUser({ role: 'admin' });
+    await app.creditBalance(user.id, 20);
+    const succeeded = await approvedWithdrawal(user, admin, 10);
+    const failed = await approvedWithdrawal(user, admin, 10);
+
+    for (const [action, body] of [['reject', {}], ['mark-paid', { paypal_transaction_id: 'PAYPAL-TX-2' }]]) {
+      for (const withdrawal of [succeeded, failed]) {
+        const manual = await app.request('POST', `/api/admin/withdrawals/${withdrawal.id}/${action}`, { token: admin.token, body });
+        assert.equal(manual.status, 409);
+        assert.equal(manual.body.code, 'payout_in_progress');
+      }
+    }
+
+    await payoutWebhook('PAYMENT.PAYOUTS-ITEM.SUCCEEDED', succeeded.id);
+    await payoutWebhook('PAYMENT.PAYOUTS-ITEM.FAILED', failed.id);
+    assert.equal(await withdrawalStatus(succeeded.id), 'completed');
+    assert.equal(await withdrawalStatus(failed.id), 'failed');
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 10, held: 0 });
+  });
+
+  it('dos envíos a la vez del mismo retiro solo pagan una vez', async () => {
+    const user = await app.createUser({ verified: true });
+    const admin = await app.createUser({ role: 'admin' });
+    await app.creditBalance(user.id, 20);
+    const withdrawal = await approvedWithoutPayout(user, admin, 10);
+
+    const provider = lib('payouts').getProvider();
+    let sends = 0;
+    const results = await withPayoutSend(async (args) => {
+      sends += 1;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return provider.send(args);
+    }, () => Promise.all([1, 2].map(() => (
+      app.request('POST', `/api/admin/withdrawals/${withdrawal.id}/payout`, { token: admin.token, body: {} })
+    ))));
+
+    assert.equal(sends, 1);
+    assert.deepEqual(results.map((result) => result.status), [200, 200]);
+    assert.deepEqual(results.map((result) => result.body.payout_batch_id), Array(2).fill(`MOCK-BATCH-${withdrawal.id}`));
+  });
+
+  it('solo acepta webhooks del proveedor simulado con el secreto', async () => {
+    const user = await app.createUser({ verified: true });
+    const admin = await app.createUser({ role: 'admin' });
+    await app.creditBalance(user.id, 20);
+    const withdrawal = await approvedWithdrawal(user, admin, 10);
+
+    for (const secret of [null, 'otro-secreto']) {
+      const forged = await payoutWebhook('PAYMENT.PAYOUTS-ITEM.SUCCEEDED', withdrawal.id, { secret });
+      assert.equal(forged.status, 400);
+      assert.equal(forged.body.code, 'invalid_webhook_signature');
+    }
+    assert.equal(await withdrawalStatus(withdrawal.id), 'processing');
+
+    const signed = await payoutWebhook('PAYMENT.PAYOUTS-ITEM.SUCCEEDED', withdrawal.id);
+    assert.equal(signed.status, 200);
+    assert.equal(await withdrawalStatus(withdrawal.id), 'completed');
+  });
+
+  it('un pago devuelto por PayPal después de pagado vuelve al saldo', async () => {
+    const user = await app.createUser({ verified: true });
+    const admin = await app.createUser({ role: 'admin' });
+    await app.creditBalance(user.id, 20);
+    const withdrawal = await approvedWithdrawal(user, admin, 10);
+
+    await payoutWebhook('PAYMENT.PAYOUTS-ITEM.SUCCEEDED', withdrawal.id);
+    assert.equal(await withdrawalStatus(withdrawal.id), 'completed');
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 10, held: 0 });
+
+    const returned = await payoutWebhook('PAYMENT.PAYOUTS-ITEM.RETURNED', withdrawal.id);
+    assert.equal(returned.status, 200);
+    assert.equal(await withdrawalStatus(withdrawal.id), 'failed');
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 20, held: 0 });
+
+    // Un aviso repetido no lo devuelve dos veces
+    await payoutWebhook('PAYMENT.PAYOUTS-ITEM.RETURNED', withdrawal.id);
+    assert.deepEqual(await lib('ledger').getBalance(user.id), { available: 20, held: 0 });
+    assert.deepEqual(await lib('ledger').findDrift(), { users: [], unbalancedTransactions: [] });
+
+    const { body } = await app.request('GET', `/api/admin/activity?type=withdrawal_failed&target_id=${withdrawal.id}`, { token: admin.token });
+    assert.deepEqual(body.data[0].before_values, { status: 'completed' });
+  });
+
+  it('lista el historial del usuario paginado', async () => {
+    const user = await app.createUser({ verified: true });
+    await app.creditBalance(user.id, 30);
+    await requestWithdrawal(user, 5);
+    await requestWithdrawal(user, 6);
+
+    const { status, body } = await app.request('GET', '/api/withdrawals?pageSize=1', { token: user.token });
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].amount, '6.00');
+    assert.deepEqual(body.pagination, { page: 1, pageSize: 1, total: 2, totalPages: 2 });
+  });
+});